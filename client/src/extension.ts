@@ -4,7 +4,7 @@
  * ------------------------------------------------------------------------------------------ */
 
 import * as path from 'path';
-import { workspace, ExtensionContext } from 'vscode';
+import { commands, window, workspace, ExtensionContext, OutputChannel } from 'vscode';
 
 import {
 	LanguageClient,
@@ -13,8 +13,52 @@ import {
 	TransportKind
 } from 'vscode-languageclient/node';
 
+import { PolicyTests } from './policyTests';
+
 let client: LanguageClient;
 
+/** The `sentinel/evaluate` response of the server. */
+interface EvaluateResponse {
+	passed: boolean;
+	result?: string;
+	rules: { name: string; range: { start: { line: number } }; evaluated: boolean; value?: string }[];
+	prints: string[];
+	error?: { message: string; uri: string; range?: { start: { line: number; character: number } } };
+}
+
+/** Evaluates the policy in the active editor with the server's evaluator and writes the outcome to `output`. */
+async function evaluateActivePolicy(output: OutputChannel) {
+	const editor = window.activeTextEditor;
+	if (!editor || editor.document.languageId !== 'sentinel') {
+		window.showWarningMessage('Open a Sentinel policy to evaluate it.');
+		return;
+	}
+	const uri = editor.document.uri;
+	const response: EvaluateResponse | null = await client.sendRequest('sentinel/evaluate', {
+		textDocument: { uri: uri.toString() }
+	});
+	if (!response) {
+		return;
+	}
+	output.clear();
+	output.appendLine(`Policy: ${workspace.asRelativePath(uri)}`);
+	for (const line of response.prints) {
+		output.appendLine(`print: ${line}`);
+	}
+	for (const rule of response.rules) {
+		const value = rule.evaluated ? rule.value : '(not evaluated)';
+		output.appendLine(`  ${rule.name} (line ${rule.range.start.line + 1}): ${value}`);
+	}
+	if (response.error) {
+		const position = response.error.range
+			? `:${response.error.range.start.line + 1}:${response.error.range.start.character + 1}`
+			: '';
+		output.appendLine(`Error: ${response.error.message} (${response.error.uri}${position})`);
+	}
+	output.appendLine(`Result: ${response.passed ? 'pass' : 'fail'}${response.result ? ` (main = ${response.result})` : ''}`);
+	output.show(true);
+}
+
 export function activate(context: ExtensionContext) {
 	// The server is implemented in node
 	const serverModule = context.asAbsolutePath(
@@ -34,10 +78,16 @@ export function activate(context: ExtensionContext) {
 	// Options to control the language client
 	const clientOptions: LanguageClientOptions = {
 		// Register the server for plain text documents
-		documentSelector: [{ scheme: 'file', language: 'sentinel' }],
+		documentSelector: [
+			{ scheme: 'file', language: 'sentinel' },
+			{ scheme: 'file', language: 'sentinel-hcl' }
+		],
 		synchronize: {
-			// Notify the server about file changes to '.clientrc files contained in the workspace
-			fileEvents: workspace.createFileSystemWatcher('**/.clientrc')
+			// Notify the server about changes to policies, modules and configuration files in the workspace
+			fileEvents: [
+				workspace.createFileSystemWatcher('**/*.sentinel'),
+				workspace.createFileSystemWatcher('**/sentinel.hcl')
+			]
 		}
 	};
 
@@ -51,6 +101,15 @@ export function activate(context: ExtensionContext) {
 
 	// Start the client. This will also launch the server
 	client.start();
+
+	const output = window.createOutputChannel('Sentinel Evaluation');
+	context.subscriptions.push(
+		output,
+		commands.registerCommand('sentinel.evaluatePolicy', () => evaluateActivePolicy(output))
+	);
+
+	// Discover `test/<policy>/*.hcl` cases and run them from the Test Explorer
+	new PolicyTests(context, client);
 }
 
 export function deactivate(): Thenable<void> | undefined {
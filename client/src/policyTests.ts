@@ -0,0 +1,236 @@
+/**
+ * Sentinel tests in the Test Explorer. A policy `<name>.sentinel` is tested by
+ * the files `test/<name>/*.hcl` next to it; each file is a test case whose
+ * `test` block expects values of the policy's rules. Cases run through
+ * `sentinel test` when a binary is configured and through the language
+ * server's evaluator otherwise.
+ */
+import * as path from 'path';
+import {
+	CancellationToken,
+	ExtensionContext,
+	Location,
+	Position,
+	TestController,
+	TestItem,
+	TestMessage,
+	TestRun,
+	TestRunProfileKind,
+	TestRunRequest,
+	Uri,
+	tests,
+	workspace
+} from 'vscode';
+import { LanguageClient } from 'vscode-languageclient/node';
+import { policyPathOf, runSentinelTest } from './sentinelBinary';
+
+const TEST_CASE_GLOB = '**/test/*/*.hcl';
+
+interface Range {
+	start: { line: number; character: number };
+}
+
+/** The `sentinel/runTest` response of the server. */
+interface RunTestResponse {
+	expectations: { rule: string; expected: string; actual?: string; passed: boolean }[];
+	evaluation: {
+		rules: { name: string; range: Range; evaluated: boolean; value?: string }[];
+		prints: string[];
+		error?: { message: string; uri: string; range?: Range };
+	};
+}
+
+/** The policy a test case belongs to. */
+function policyOf(testCase: Uri): Uri {
+	return Uri.file(policyPathOf(testCase.fsPath));
+}
+
+function sentinelPath(policy: Uri): string {
+	return workspace.getConfiguration('languageServerExample', policy).get<string>('sentinelPath', '').trim();
+}
+
+/** Describes a failed evaluation the way `sentinel test` prints its trace. */
+function traceOf(response: RunTestResponse): string {
+	const lines = ['trace:'];
+	for (const rule of response.evaluation.rules) {
+		lines.push(`  Rule "${rule.name}" (line ${rule.range.start.line + 1}) = ${rule.evaluated ? rule.value : 'not evaluated'}`);
+	}
+	for (const print of response.evaluation.prints) {
+		lines.push(`  print: ${print}`);
+	}
+	return lines.join('\n');
+}
+
+function locationOf(uri: string, range: Range | undefined): Location | undefined {
+	return range && new Location(Uri.parse(uri), new Position(range.start.line, range.start.character));
+}
+
+export class PolicyTests {
+	private readonly controller: TestController;
+
+	constructor(context: ExtensionContext, private readonly client: LanguageClient) {
+		this.controller = tests.createTestController('sentinelTests', 'Sentinel');
+		this.controller.resolveHandler = async item => {
+			if (!item) {
+				await this.discover();
+			}
+		};
+		this.controller.refreshHandler = () => this.discover();
+		this.controller.createRunProfile('Run', TestRunProfileKind.Run, (request, token) => this.run(request, token), true);
+
+		const watcher = workspace.createFileSystemWatcher(TEST_CASE_GLOB);
+		watcher.onDidCreate(uri => this.addTestCase(uri));
+		watcher.onDidDelete(uri => this.removeTestCase(uri));
+		context.subscriptions.push(this.controller, watcher);
+	}
+
+	private async discover(): Promise<void> {
+		const files = await workspace.findFiles(TEST_CASE_GLOB, '**/node_modules/**');
+		for (const file of files) {
+			this.addTestCase(file);
+		}
+	}
+
+	/** Adds a test case under the item of its policy, creating that item as needed. */
+	private addTestCase(testCase: Uri): void {
+		const policy = policyOf(testCase);
+		let policyItem = this.controller.items.get(policy.toString());
+		if (!policyItem) {
+			policyItem = this.controller.createTestItem(policy.toString(), path.basename(policy.fsPath), policy);
+			this.controller.items.add(policyItem);
+		}
+		if (!policyItem.children.get(testCase.toString())) {
+			policyItem.children.add(this.controller.createTestItem(testCase.toString(), path.basename(testCase.fsPath), testCase));
+		}
+	}
+
+	private removeTestCase(testCase: Uri): void {
+		const policyItem = this.controller.items.get(policyOf(testCase).toString());
+		policyItem?.children.delete(testCase.toString());
+		if (policyItem && policyItem.children.size === 0) {
+			this.controller.items.delete(policyItem.id);
+		}
+	}
+
+	/** The test cases a request covers: the cases it names, those of the policies it names, or all of them. */
+	private testCasesOf(request: TestRunRequest): TestItem[] {
+		const roots: TestItem[] = [];
+		if (request.include) {
+			roots.push(...request.include);
+		} else {
+			this.controller.items.forEach(item => roots.push(item));
+		}
+		const cases: TestItem[] = [];
+		for (const item of roots) {
+			if (request.exclude?.includes(item)) {
+				continue;
+			}
+			if (!item.parent) {
+				item.children.forEach(child => {
+					if (!request.exclude?.includes(child)) {
+						cases.push(child);
+					}
+				});
+			} else {
+				// A rule expectation runs its whole case.
+				const testCase = item.parent.parent ? item.parent : item;
+				if (!cases.includes(testCase)) {
+					cases.push(testCase);
+				}
+			}
+		}
+		return cases;
+	}
+
+	private async run(request: TestRunRequest, token: CancellationToken): Promise<void> {
+		const run = this.controller.createTestRun(request);
+		for (const testCase of this.testCasesOf(request)) {
+			if (token.isCancellationRequested) {
+				run.skipped(testCase);
+				continue;
+			}
+			run.started(testCase);
+			const start = Date.now();
+			try {
+				const binary = testCase.uri && sentinelPath(testCase.uri);
+				if (binary) {
+					await this.runWithBinary(run, testCase, binary, token);
+				} else {
+					await this.runWithEvaluator(run, testCase);
+				}
+			} catch (error) {
+				run.errored(testCase, new TestMessage((error as Error).message), Date.now() - start);
+			}
+		}
+		run.end();
+	}
+
+	/** Creates the items of a case's rule expectations, replacing those of the previous run. */
+	private expectationItems(testCase: TestItem, rules: string[]): Map<string, TestItem> {
+		const items = new Map(rules.map(rule =>
+			[rule, this.controller.createTestItem(`${testCase.id}#${rule}`, rule, testCase.uri)] as const));
+		testCase.children.replace([...items.values()]);
+		return items;
+	}
+
+	private async runWithEvaluator(run: TestRun, testCase: TestItem): Promise<void> {
+		const start = Date.now();
+		const policy = policyOf(testCase.uri!);
+		const response: RunTestResponse | null = await this.client.sendRequest('sentinel/runTest', {
+			textDocument: { uri: policy.toString() },
+			testCase: { uri: testCase.id }
+		});
+		if (!response) {
+			throw new Error(`The policy ${path.basename(policy.fsPath)} was not found.`);
+		}
+		const error = response.evaluation.error;
+		const items = this.expectationItems(testCase, response.expectations.map(e => e.rule));
+		for (const expectation of response.expectations) {
+			const item = items.get(expectation.rule)!;
+			if (expectation.passed) {
+				run.passed(item);
+				continue;
+			}
+			const rule = response.evaluation.rules.find(r => r.name === expectation.rule);
+			const summary = error
+				? error.message
+				: rule
+					? `expected "${expectation.rule}" to be ${expectation.expected}, got: ${expectation.actual}`
+					: `rule "${expectation.rule}" is not defined by the policy`;
+			const message = TestMessage.diff(`${summary}\n\n${traceOf(response)}`, expectation.expected, expectation.actual ?? 'undefined');
+			message.location = error ? locationOf(error.uri, error.range) : locationOf(policy.toString(), rule?.range);
+			run.failed(item, message);
+		}
+		const duration = Date.now() - start;
+		if (error && response.expectations.length === 0) {
+			run.errored(testCase, new TestMessage(error.message), duration);
+		} else if (response.expectations.every(e => e.passed)) {
+			run.passed(testCase, duration);
+		} else {
+			run.failed(testCase, [], duration);
+		}
+	}
+
+	/** Runs a case with `sentinel test`, which prints the expectations that failed and the trace. */
+	private async runWithBinary(run: TestRun, testCase: TestItem, binary: string, token: CancellationToken): Promise<void> {
+		const start = Date.now();
+		const { state, failures, output } = await runSentinelTest(binary, testCase.uri!.fsPath, token);
+		run.appendOutput(`${output.replace(/\r?\n/g, '\r\n')}\r\n`, undefined, testCase);
+		const duration = Date.now() - start;
+		const items = this.expectationItems(testCase, failures);
+		for (const item of items.values()) {
+			run.failed(item, new TestMessage(output));
+		}
+		switch (state) {
+			case 'passed':
+				run.passed(testCase, duration);
+				break;
+			case 'failed':
+				run.failed(testCase, new TestMessage(output), duration);
+				break;
+			case 'errored':
+				run.errored(testCase, new TestMessage(output), duration);
+				break;
+		}
+	}
+}
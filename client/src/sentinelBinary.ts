@@ -0,0 +1,58 @@
+/**
+ * Runs test cases with the `sentinel test` command. This module does not
+ * depend on the VS Code API so that it can be tested with a stub binary.
+ */
+import { execFile } from 'child_process';
+import * as path from 'path';
+
+/** The part of a cancellation token the runner needs; VS Code's `CancellationToken` fits. */
+export interface Cancellation {
+	onCancellationRequested(listener: () => void): { dispose(): void };
+}
+
+/** The outcome of one case: `failures` names the rules whose expectations failed. */
+export interface BinaryResult {
+	state: 'passed' | 'failed' | 'errored';
+	failures: string[];
+	output: string;
+}
+
+/** The policy a test case belongs to: `<dir>/test/<name>/case.hcl` tests `<dir>/<name>.sentinel`. */
+export function policyPathOf(testCase: string): string {
+	const directory = path.dirname(testCase);
+	return path.join(path.dirname(path.dirname(directory)), `${path.basename(directory)}.sentinel`);
+}
+
+/**
+ * Interprets the exit code and output of `sentinel test`: it exits with 0 when
+ * every expectation held, 1 when some failed, each reported as
+ * `expected "<rule>" to be ...`, and 2 when the policy or case had an error.
+ */
+export function resultOf(code: number, output: string): BinaryResult {
+	if (code === 0) {
+		return { state: 'passed', failures: [], output };
+	}
+	const failures = [...new Set([...output.matchAll(/expected "([^"]+)"/g)].map(match => match[1]))];
+	return { state: code === 1 ? 'failed' : 'errored', failures, output };
+}
+
+/**
+ * Runs `sentinel test` on one case. Rejects when the binary cannot be run,
+ * for example with `ENOENT` when it does not exist.
+ */
+export function runSentinelTest(binary: string, testCase: string, token?: Cancellation): Promise<BinaryResult> {
+	const policy = policyPathOf(testCase);
+	const name = path.basename(testCase).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+	const args = ['test', `-run=^${name}$`, path.basename(policy)];
+	return new Promise((resolve, reject) => {
+		const child = execFile(binary, args, { cwd: path.dirname(policy) }, (error, stdout, stderr) => {
+			if (error && typeof error.code !== 'number') {
+				reject(error);
+				return;
+			}
+			resolve(resultOf(error ? Number(error.code) : 0, `${stdout}${stderr}`.trim()));
+		});
+		const cancellation = token?.onCancellationRequested(() => child.kill());
+		child.on('exit', () => cancellation?.dispose());
+	});
+}
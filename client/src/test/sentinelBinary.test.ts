@@ -0,0 +1,49 @@
+import * as assert from 'assert';
+import * as path from 'path';
+import { policyPathOf, resultOf, runSentinelTest } from '../sentinelBinary';
+
+/** A stub of the `sentinel` binary, and the directory its test cases live in. */
+const FIXTURES = path.join(__dirname, '..', '..', 'src', 'test', 'fixtures');
+const STUB = path.join(FIXTURES, 'sentinel');
+
+function testCase(name: string): string {
+	return path.join(FIXTURES, 'test', 'policy', `${name}.hcl`);
+}
+
+suite('sentinel test', () => {
+	test('finds the policy of a test case', () => {
+		assert.strictEqual(policyPathOf(path.join('/p', 'test', 'restrict', 'ok.hcl')), path.join('/p', 'restrict.sentinel'));
+	});
+
+	test('runs one case of the policy', async () => {
+		const { output } = await runSentinelTest(STUB, testCase('pass'));
+		assert.ok(output.startsWith('args: test -run=^pass\\.hcl$ policy.sentinel\n'), output);
+	});
+
+	test('passes a case when sentinel exits with 0', async () => {
+		const result = await runSentinelTest(STUB, testCase('pass'));
+		assert.strictEqual(result.state, 'passed');
+		assert.deepStrictEqual(result.failures, []);
+	});
+
+	test('fails a case and its expectations when sentinel exits with 1', async () => {
+		const result = await runSentinelTest(STUB, testCase('fail'));
+		assert.strictEqual(result.state, 'failed');
+		assert.deepStrictEqual(result.failures, ['main', 'is_small']);
+	});
+
+	test('errors a case when sentinel exits with 2', async () => {
+		const result = await runSentinelTest(STUB, testCase('broken'));
+		assert.strictEqual(result.state, 'errored');
+		assert.ok(result.output.includes('undefined value'));
+	});
+
+	test('rejects when the binary is missing', async () => {
+		await assert.rejects(runSentinelTest(path.join(FIXTURES, 'missing'), testCase('pass')), { code: 'ENOENT' });
+	});
+
+	test('reads failed expectations from the output', () => {
+		assert.deepStrictEqual(resultOf(0, 'expected "main"'), { state: 'passed', failures: [], output: 'expected "main"' });
+		assert.strictEqual(resultOf(127, '').state, 'errored');
+	});
+});
@@ -0,0 +1,406 @@
+/**
+ * AST node definitions for Sentinel policies.
+ *
+ * Every node carries the `start` and `end` character offsets of the source it
+ * was parsed from; use `TextDocument.positionAt` to turn them into LSP positions.
+ */
+
+export interface Span {
+	start: number;
+	end: number;
+}
+
+// ---- Expressions ----------------------------------------------------------
+
+export interface Identifier extends Span {
+	type: 'Identifier';
+	name: string;
+}
+
+export interface NumberLiteral extends Span {
+	type: 'NumberLiteral';
+	raw: string;
+	value: number;
+	isFloat: boolean;
+}
+
+export interface StringLiteral extends Span {
+	type: 'StringLiteral';
+	raw: string;
+	value: string;
+}
+
+export interface BooleanLiteral extends Span {
+	type: 'BooleanLiteral';
+	value: boolean;
+}
+
+export interface NullLiteral extends Span {
+	type: 'NullLiteral';
+}
+
+export interface UndefinedLiteral extends Span {
+	type: 'UndefinedLiteral';
+}
+
+export interface ListLiteral extends Span {
+	type: 'ListLiteral';
+	elements: Expression[];
+}
+
+export interface MapEntry extends Span {
+	key: Expression;
+	value: Expression;
+}
+
+export interface MapLiteral extends Span {
+	type: 'MapLiteral';
+	entries: MapEntry[];
+}
+
+export type UnaryOperator = '-' | '+' | '!' | 'not';
+
+export interface UnaryExpression extends Span {
+	type: 'UnaryExpression';
+	operator: UnaryOperator;
+	argument: Expression;
+}
+
+export type BinaryOperator =
+	| '*' | '/' | '%' | '+' | '-'
+	| '==' | '!=' | '<' | '<=' | '>' | '>='
+	| 'is' | 'is not' | 'contains' | 'not contains' | 'in' | 'not in'
+	| 'matches' | 'not matches'
+	| 'and' | 'or' | 'xor' | 'else';
+
+export interface BinaryExpression extends Span {
+	type: 'BinaryExpression';
+	operator: BinaryOperator;
+	/** Span of the operator itself, which may be two keywords such as `is not`. */
+	operatorSpan: Span;
+	left: Expression;
+	right: Expression;
+}
+
+export interface ParenthesizedExpression extends Span {
+	type: 'ParenthesizedExpression';
+	expression: Expression;
+}
+
+export interface MemberExpression extends Span {
+	type: 'MemberExpression';
+	object: Expression;
+	property: Identifier;
+}
+
+export interface IndexExpression extends Span {
+	type: 'IndexExpression';
+	object: Expression;
+	index: Expression;
+}
+
+export interface SliceExpression extends Span {
+	type: 'SliceExpression';
+	object: Expression;
+	low?: Expression;
+	high?: Expression;
+}
+
+export interface CallExpression extends Span {
+	type: 'CallExpression';
+	callee: Expression;
+	args: Expression[];
+	/** Offset of the opening parenthesis. */
+	argsStart: number;
+	/** Offset just past the closing parenthesis, or the end of the last argument when unclosed. */
+	argsEnd: number;
+}
+
+export interface RuleExpression extends Span {
+	type: 'RuleExpression';
+	when?: Expression;
+	body: Expression;
+}
+
+export interface FuncExpression extends Span {
+	type: 'FuncExpression';
+	params: Identifier[];
+	body: Block;
+}
+
+export type QuantifierKind = 'all' | 'any' | 'filter' | 'map';
+
+/** `all`, `any`, `filter` and `map` expressions: `<kind> collection as [key,] value { body }`. */
+export interface QuantifierExpression extends Span {
+	type: 'QuantifierExpression';
+	quantifier: QuantifierKind;
+	collection: Expression;
+	key?: Identifier;
+	value: Identifier;
+	body: Expression;
+}
+
+/**
+ * List (`[expr for coll as v if cond]`) and map
+ * (`{k: v for coll as a, b if cond}`) comprehensions.
+ */
+export interface ComprehensionExpression extends Span {
+	type: 'ComprehensionExpression';
+	kind: 'list' | 'map';
+	/** The element expression; for map comprehensions, the key expression. */
+	element: Expression;
+	/** The value expression of map comprehensions. */
+	elementValue?: Expression;
+	collection: Expression;
+	key?: Identifier;
+	value: Identifier;
+	condition?: Expression;
+}
+
+/** Placeholder produced where an expression failed to parse. */
+export interface BadExpression extends Span {
+	type: 'BadExpression';
+}
+
+export type Expression =
+	| Identifier
+	| NumberLiteral
+	| StringLiteral
+	| BooleanLiteral
+	| NullLiteral
+	| UndefinedLiteral
+	| ListLiteral
+	| MapLiteral
+	| UnaryExpression
+	| BinaryExpression
+	| ParenthesizedExpression
+	| MemberExpression
+	| IndexExpression
+	| SliceExpression
+	| CallExpression
+	| RuleExpression
+	| FuncExpression
+	| QuantifierExpression
+	| ComprehensionExpression
+	| BadExpression;
+
+// ---- Statements -----------------------------------------------------------
+
+export interface ImportDeclaration extends Span {
+	type: 'ImportDeclaration';
+	path: StringLiteral;
+	alias?: Identifier;
+}
+
+export interface ParamDeclaration extends Span {
+	type: 'ParamDeclaration';
+	name: Identifier;
+	default?: Expression;
+}
+
+export interface FuncDeclaration extends Span {
+	type: 'FuncDeclaration';
+	name: Identifier;
+	params: Identifier[];
+	body: Block;
+}
+
+export type AssignmentOperator = '=' | '+=' | '-=' | '*=' | '/=' | '%=';
+
+export interface Assignment extends Span {
+	type: 'Assignment';
+	operator: AssignmentOperator;
+	target: Expression;
+	value: Expression;
+}
+
+export interface ExpressionStatement extends Span {
+	type: 'ExpressionStatement';
+	expression: Expression;
+}
+
+export interface Block extends Span {
+	type: 'Block';
+	body: Statement[];
+}
+
+export interface IfStatement extends Span {
+	type: 'IfStatement';
+	test: Expression;
+	consequent: Block;
+	alternate?: Block | IfStatement;
+}
+
+export interface ForStatement extends Span {
+	type: 'ForStatement';
+	collection: Expression;
+	key?: Identifier;
+	value: Identifier;
+	body: Block;
+}
+
+export interface CaseClause extends Span {
+	type: 'CaseClause';
+	/** Empty for the `else:` clause. */
+	tests: Expression[];
+	isElse: boolean;
+	body: Statement[];
+}
+
+export interface CaseStatement extends Span {
+	type: 'CaseStatement';
+	discriminant?: Expression;
+	clauses: CaseClause[];
+}
+
+export interface ReturnStatement extends Span {
+	type: 'ReturnStatement';
+	argument?: Expression;
+}
+
+export interface BreakStatement extends Span {
+	type: 'BreakStatement';
+}
+
+export interface ContinueStatement extends Span {
+	type: 'ContinueStatement';
+}
+
+export type Statement =
+	| ImportDeclaration
+	| ParamDeclaration
+	| FuncDeclaration
+	| Assignment
+	| ExpressionStatement
+	| Block
+	| IfStatement
+	| ForStatement
+	| CaseStatement
+	| ReturnStatement
+	| BreakStatement
+	| ContinueStatement;
+
+export interface Program extends Span {
+	type: 'Program';
+	body: Statement[];
+}
+
+export type Node = Program | Statement | Expression | CaseClause;
+
+/**
+ * Returns the direct children of a node in source order. Shared by every
+ * traversal in the server so that new node types only need wiring up here.
+ */
+export function childrenOf(node: Node): Node[] {
+	const out: Node[] = [];
+	const add = (...nodes: (Node | undefined)[]) => {
+		for (const n of nodes) {
+			if (n) {
+				out.push(n);
+			}
+		}
+	};
+	switch (node.type) {
+		case 'Program':
+		case 'Block':
+			add(...node.body);
+			break;
+		case 'ImportDeclaration':
+			add(node.path, node.alias);
+			break;
+		case 'ParamDeclaration':
+			add(node.name, node.default);
+			break;
+		case 'FuncDeclaration':
+			add(node.name, ...node.params, node.body);
+			break;
+		case 'Assignment':
+			add(node.target, node.value);
+			break;
+		case 'ExpressionStatement':
+			add(node.expression);
+			break;
+		case 'IfStatement':
+			add(node.test, node.consequent, node.alternate);
+			break;
+		case 'ForStatement':
+			add(node.collection, node.key, node.value, node.body);
+			break;
+		case 'CaseStatement':
+			add(node.discriminant, ...node.clauses);
+			break;
+		case 'CaseClause':
+			add(...node.tests, ...node.body);
+			break;
+		case 'ReturnStatement':
+			add(node.argument);
+			break;
+		case 'ListLiteral':
+			add(...node.elements);
+			break;
+		case 'MapLiteral':
+			for (const entry of node.entries) {
+				add(entry.key, entry.value);
+			}
+			break;
+		case 'UnaryExpression':
+			add(node.argument);
+			break;
+		case 'BinaryExpression':
+			add(node.left, node.right);
+			break;
+		case 'ParenthesizedExpression':
+			add(node.expression);
+			break;
+		case 'MemberExpression':
+			add(node.object, node.property);
+			break;
+		case 'IndexExpression':
+			add(node.object, node.index);
+			break;
+		case 'SliceExpression':
+			add(node.object, node.low, node.high);
+			break;
+		case 'CallExpression':
+			add(node.callee, ...node.args);
+			break;
+		case 'RuleExpression':
+			add(node.when, node.body);
+			break;
+		case 'FuncExpression':
+			add(...node.params, node.body);
+			break;
+		case 'QuantifierExpression':
+			add(node.collection, node.key, node.value, node.body);
+			break;
+		case 'ComprehensionExpression':
+			// The bindings are introduced by the collection clause, which
+			// comes after the element in the source text.
+			add(node.element, node.elementValue, node.collection, node.key, node.value, node.condition);
+			break;
+	}
+	return out;
+}
+
+/** Depth-first pre-order walk. Return `false` from the visitor to skip a node's children. */
+export function walk(node: Node, visit: (node: Node, parent: Node | undefined) => boolean | void, parent?: Node): void {
+	if (visit(node, parent) === false) {
+		return;
+	}
+	for (const child of childrenOf(node)) {
+		walk(child, visit, node);
+	}
+}
+
+/** Returns the chain of nodes from `root` down to the innermost node containing `offset`. */
+export function nodePathAt(root: Node, offset: number): Node[] {
+	const path: Node[] = [];
+	let current: Node | undefined = root;
+	while (current) {
+		path.push(current);
+		// Prefer the later sibling when the offset sits exactly between two nodes.
+		const candidates: Node[] = childrenOf(current).filter(child => child.start <= offset && offset <= child.end);
+		current = candidates[candidates.length - 1];
+	}
+	return path;
+}
@@ -0,0 +1,374 @@
+/**
+ * Name resolution for Sentinel policies.
+ *
+ * The binder walks a parsed program, builds its scope tree and resolves every
+ * identifier reference to the symbol it denotes. Top-level declarations are
+ * visible throughout the policy (rules and functions are evaluated lazily), while
+ * function bodies, `if`/`for`/`case` blocks and quantifier bindings open nested
+ * scopes that may shadow outer names.
+ */
+import * as ast from './ast';
+import { BUILTIN_FUNCTIONS } from './stdlib';
+
+export type SymbolKind =
+	/** An `import` statement, named by its alias or last path segment. */
+	| 'import'
+	/** A policy `param`. */
+	| 'param'
+	/** A variable whose value is a `rule` expression. */
+	| 'rule'
+	/** A `func` declaration or a variable holding a function literal. */
+	| 'func'
+	/** Any other variable. */
+	| 'variable'
+	/** A function parameter. */
+	| 'parameter'
+	/** A loop, quantifier or comprehension binding (`as k, v`). */
+	| 'binding';
+
+export interface SentinelSymbol {
+	name: string;
+	kind: SymbolKind;
+	/** The identifier that introduces the symbol. */
+	declaration: ast.Identifier;
+	/** The statement or expression that declares the symbol. */
+	node: ast.Node;
+	scope: Scope;
+	/** Every other identifier resolving to this symbol, in source order. */
+	references: ast.Identifier[];
+}
+
+export interface Scope {
+	node: ast.Node;
+	parent?: Scope;
+	symbols: Map<string, SentinelSymbol>;
+	/** True for the scopes opened by function bodies. */
+	isFunction: boolean;
+}
+
+export interface Binding {
+	globalScope: Scope;
+	scopes: Scope[];
+	symbols: SentinelSymbol[];
+	/** Resolution of every identifier reference and declaration in the program. */
+	resolved: Map<ast.Identifier, SentinelSymbol>;
+	/** Identifiers referring to builtin functions. */
+	builtins: ast.Identifier[];
+	/** Identifiers that could not be resolved. */
+	unresolved: ast.Identifier[];
+	/** Identifiers that are assigned to (`x = ...`, `x += ...`) after their declaration. */
+	writes: Set<ast.Identifier>;
+	/** The innermost scope for each scope-opening node. */
+	scopeOf: Map<ast.Node, Scope>;
+	/** Rules and functions declared over a name already declared in the same scope. */
+	duplicates: Redeclaration[];
+}
+
+export interface Redeclaration {
+	declaration: ast.Identifier;
+	/** The symbol that already owned the name. */
+	existing: SentinelSymbol;
+}
+
+/** Name an import is bound to: its alias, or the last segment of its path. */
+export function importName(declaration: ast.ImportDeclaration): string | undefined {
+	if (declaration.alias) {
+		return declaration.alias.name || undefined;
+	}
+	const segment = declaration.path.value.split('/').pop() ?? '';
+	return /^[A-Za-z_][A-Za-z0-9_]*$/.test(segment) ? segment : undefined;
+}
+
+function kindOfValue(value: ast.Expression): SymbolKind {
+	let inner = value;
+	while (inner.type === 'ParenthesizedExpression') {
+		inner = inner.expression;
+	}
+	if (inner.type === 'RuleExpression') {
+		return 'rule';
+	}
+	if (inner.type === 'FuncExpression') {
+		return 'func';
+	}
+	return 'variable';
+}
+
+class Binder {
+	readonly binding: Binding;
+	private scope: Scope;
+
+	constructor(program: ast.Program) {
+		this.scope = { node: program, symbols: new Map(), isFunction: false };
+		this.binding = {
+			globalScope: this.scope,
+			scopes: [this.scope],
+			symbols: [],
+			resolved: new Map(),
+			builtins: [],
+			unresolved: [],
+			writes: new Set(),
+			scopeOf: new Map([[program, this.scope]]),
+			duplicates: []
+		};
+	}
+
+	bindProgram(program: ast.Program): void {
+		// Hoist top-level declarations so that rules and functions can refer to
+		// names declared further down the policy.
+		for (const statement of program.body) {
+			this.hoist(statement);
+		}
+		for (const statement of program.body) {
+			this.statement(statement);
+		}
+	}
+
+	private hoist(statement: ast.Statement): void {
+		switch (statement.type) {
+			case 'ImportDeclaration': {
+				const name = importName(statement);
+				if (name) {
+					const declaration = statement.alias ?? syntheticIdentifier(name, statement.path);
+					this.declare(name, 'import', declaration, statement);
+				}
+				break;
+			}
+			case 'ParamDeclaration':
+				this.declare(statement.name.name, 'param', statement.name, statement);
+				break;
+			case 'FuncDeclaration':
+				this.declare(statement.name.name, 'func', statement.name, statement);
+				break;
+			case 'Assignment':
+				if (statement.target.type === 'Identifier' && statement.operator === '=') {
+					this.declare(statement.target.name, kindOfValue(statement.value), statement.target, statement);
+				}
+				break;
+		}
+	}
+
+	private declare(name: string, kind: SymbolKind, declaration: ast.Identifier, node: ast.Node): SentinelSymbol | undefined {
+		const existing = this.scope.symbols.get(name);
+		if (existing && existing.declaration !== declaration && (kind === 'rule' || kind === 'func')) {
+			this.binding.duplicates.push({ declaration, existing });
+		}
+		if (!name || existing) {
+			return existing;
+		}
+		const symbol: SentinelSymbol = { name, kind, declaration, node, scope: this.scope, references: [] };
+		this.scope.symbols.set(name, symbol);
+		this.binding.symbols.push(symbol);
+		this.binding.resolved.set(declaration, symbol);
+		return symbol;
+	}
+
+	private lookup(name: string): SentinelSymbol | undefined {
+		for (let scope: Scope | undefined = this.scope; scope; scope = scope.parent) {
+			const symbol = scope.symbols.get(name);
+			if (symbol) {
+				return symbol;
+			}
+		}
+		return undefined;
+	}
+
+	private withScope(node: ast.Node, isFunction: boolean, body: () => void): void {
+		const scope: Scope = { node, parent: this.scope, symbols: new Map(), isFunction };
+		this.binding.scopes.push(scope);
+		this.binding.scopeOf.set(node, scope);
+		const saved = this.scope;
+		this.scope = scope;
+		try {
+			body();
+		} finally {
+			this.scope = saved;
+		}
+	}
+
+	private reference(identifier: ast.Identifier): void {
+		if (!identifier.name || this.binding.resolved.get(identifier)?.declaration === identifier) {
+			return;
+		}
+		const symbol = this.lookup(identifier.name);
+		if (symbol) {
+			symbol.references.push(identifier);
+			this.binding.resolved.set(identifier, symbol);
+		} else if (BUILTIN_FUNCTIONS.has(identifier.name)) {
+			this.binding.builtins.push(identifier);
+		} else {
+			this.binding.unresolved.push(identifier);
+		}
+	}
+
+	private bindings(key: ast.Identifier | undefined, value: ast.Identifier, node: ast.Node): void {
+		if (key) {
+			this.declare(key.name, 'binding', key, node);
+		}
+		this.declare(value.name, 'binding', value, node);
+	}
+
+	private block(block: ast.Block): void {
+		this.withScope(block, false, () => {
+			for (const statement of block.body) {
+				this.statement(statement);
+			}
+		});
+	}
+
+	private statement(statement: ast.Statement): void {
+		switch (statement.type) {
+			case 'ImportDeclaration':
+				break;
+			case 'ParamDeclaration':
+				if (statement.default) {
+					this.expression(statement.default);
+				}
+				break;
+			case 'FuncDeclaration':
+				if (this.scope !== this.binding.globalScope) {
+					this.declare(statement.name.name, 'func', statement.name, statement);
+				}
+				this.func(statement, statement.params, statement.body);
+				break;
+			case 'Assignment':
+				this.expression(statement.value);
+				if (statement.target.type === 'Identifier') {
+					const target = statement.target;
+					const existing = this.lookup(target.name);
+					if (existing && existing.declaration !== target) {
+						this.binding.writes.add(target);
+						this.reference(target);
+					} else if (!existing) {
+						this.declare(target.name, kindOfValue(statement.value), target, statement);
+					}
+				} else {
+					this.expression(statement.target);
+				}
+				break;
+			case 'ExpressionStatement':
+				this.expression(statement.expression);
+				break;
+			case 'Block':
+				this.block(statement);
+				break;
+			case 'IfStatement':
+				this.expression(statement.test);
+				this.block(statement.consequent);
+				if (statement.alternate) {
+					this.statement(statement.alternate);
+				}
+				break;
+			case 'ForStatement':
+				this.expression(statement.collection);
+				this.withScope(statement, false, () => {
+					this.bindings(statement.key, statement.value, statement);
+					this.block(statement.body);
+				});
+				break;
+			case 'CaseStatement':
+				if (statement.discriminant) {
+					this.expression(statement.discriminant);
+				}
+				for (const clause of statement.clauses) {
+					clause.tests.forEach(test => this.expression(test));
+					this.withScope(clause, false, () => clause.body.forEach(s => this.statement(s)));
+				}
+				break;
+			case 'ReturnStatement':
+				if (statement.argument) {
+					this.expression(statement.argument);
+				}
+				break;
+			case 'BreakStatement':
+			case 'ContinueStatement':
+				break;
+		}
+	}
+
+	private func(node: ast.Node, params: ast.Identifier[], body: ast.Block): void {
+		this.withScope(node, true, () => {
+			for (const param of params) {
+				this.declare(param.name, 'parameter', param, node);
+			}
+			for (const statement of body.body) {
+				this.statement(statement);
+			}
+		});
+	}
+
+	private expression(expression: ast.Expression): void {
+		switch (expression.type) {
+			case 'Identifier':
+				this.reference(expression);
+				break;
+			case 'MemberExpression':
+				// The property name is looked up on the object's value, not in scope.
+				this.expression(expression.object);
+				break;
+			case 'FuncExpression':
+				this.func(expression, expression.params, expression.body);
+				break;
+			case 'QuantifierExpression':
+				this.expression(expression.collection);
+				this.withScope(expression, false, () => {
+					this.bindings(expression.key, expression.value, expression);
+					this.expression(expression.body);
+				});
+				break;
+			case 'ComprehensionExpression':
+				this.expression(expression.collection);
+				this.withScope(expression, false, () => {
+					this.bindings(expression.key, expression.value, expression);
+					this.expression(expression.element);
+					if (expression.elementValue) {
+						this.expression(expression.elementValue);
+					}
+					if (expression.condition) {
+						this.expression(expression.condition);
+					}
+				});
+				break;
+			default:
+				for (const child of ast.childrenOf(expression)) {
+					this.expression(child as ast.Expression);
+				}
+		}
+	}
+}
+
+function syntheticIdentifier(name: string, span: ast.Span): ast.Identifier {
+	return { type: 'Identifier', name, start: span.start, end: span.end };
+}
+
+export function bind(program: ast.Program): Binding {
+	const binder = new Binder(program);
+	binder.bindProgram(program);
+	return binder.binding;
+}
+
+/** Returns the innermost scope enclosing `offset`. */
+export function scopeAt(binding: Binding, offset: number): Scope {
+	let best = binding.globalScope;
+	for (const scope of binding.scopes) {
+		if (scope.node.start <= offset && offset <= scope.node.end
+			&& scope.node.end - scope.node.start <= best.node.end - best.node.start) {
+			best = scope;
+		}
+	}
+	return best;
+}
+
+/** Lists every symbol visible from `scope`, innermost declarations first. */
+export function visibleSymbols(scope: Scope): SentinelSymbol[] {
+	const seen = new Set<string>();
+	const out: SentinelSymbol[] = [];
+	for (let current: Scope | undefined = scope; current; current = current.parent) {
+		for (const symbol of current.symbols.values()) {
+			if (!seen.has(symbol.name)) {
+				seen.add(symbol.name);
+				out.push(symbol);
+			}
+		}
+	}
+	return out;
+}
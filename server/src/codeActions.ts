@@ -0,0 +1,112 @@
+/**
+ * Quick fixes for the diagnostics of policies. Each fix is tied to a
+ * diagnostic by its `DiagnosticCode` and reads what it needs from the
+ * diagnostic's `data` or from the parsed document.
+ */
+import { CodeAction, CodeActionKind, Diagnostic, TextEdit } from 'vscode-languageserver/node';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import * as ast from './ast';
+import { getParseResult } from './documentCache';
+import { DIAGNOSTIC_SOURCE, DiagnosticCode } from './diagnostics';
+
+function quickFix(document: TextDocument, title: string, diagnostic: Diagnostic, edits: TextEdit[]): CodeAction {
+	return {
+		title,
+		kind: CodeActionKind.QuickFix,
+		diagnostics: [diagnostic],
+		isPreferred: true,
+		edit: { changes: { [document.uri]: edits } }
+	};
+}
+
+/** Inserts an import after the existing ones, or before the first statement when there are none. */
+function addImport(document: TextDocument, program: ast.Program, path: string): TextEdit {
+	const imports = program.body.filter(statement => statement.type === 'ImportDeclaration');
+	const last = imports[imports.length - 1];
+	if (last) {
+		return TextEdit.insert(document.positionAt(last.end), `\nimport "${path}"`);
+	}
+	const first = program.body[0];
+	const position = first ? { line: document.positionAt(first.start).line, character: 0 } : { line: 0, character: 0 };
+	return TextEdit.insert(position, `import "${path}"\n\n`);
+}
+
+/**
+ * Deletes the lines a statement occupies, and the blank line after them when
+ * the statement is the first of the file or follows a blank line too.
+ */
+export function removeLines(document: TextDocument, statement: ast.Statement): TextEdit {
+	const start = document.positionAt(statement.start);
+	let end = document.positionAt(statement.end).line + 1;
+	const isBlank = (line: number) => line < 0
+		|| document.getText({ start: { line, character: 0 }, end: { line: line + 1, character: 0 } }).trim() === '';
+	if (end < document.lineCount && isBlank(end) && isBlank(start.line - 1)) {
+		end++;
+	}
+	return TextEdit.del({ start: { line: start.line, character: 0 }, end: { line: end, character: 0 } });
+}
+
+/** Appends `main = rule { ... }` combining the rules of the policy, or `true` when it has none. */
+function addMain(document: TextDocument, program: ast.Program): TextEdit {
+	const text = document.getText();
+	const rules = program.body
+		.filter((statement): statement is ast.Assignment =>
+			statement.type === 'Assignment' && statement.target.type === 'Identifier' && statement.value.type === 'RuleExpression')
+		.map(statement => (statement.target as ast.Identifier).name);
+	const separator = text.length === 0 ? '' : text.endsWith('\n') ? '\n' : '\n\n';
+	const body = rules.length > 0 ? rules.join(' and ') : 'true';
+	return TextEdit.insert(document.positionAt(text.length), `${separator}main = rule {\n\t${body}\n}\n`);
+}
+
+function fixesFor(document: TextDocument, diagnostic: Diagnostic): CodeAction[] {
+	const program = getParseResult(document).program;
+	const offset = document.offsetAt(diagnostic.range.start);
+	switch (diagnostic.code) {
+		case DiagnosticCode.MissingImport: {
+			const path: string | undefined = diagnostic.data?.path;
+			return path ? [quickFix(document, `Add import "${path}"`, diagnostic, [addImport(document, program, path)])] : [];
+		}
+		case DiagnosticCode.Unused: {
+			const statement = program.body.find(s => s.type === 'ImportDeclaration' && s.start === offset);
+			if (statement?.type !== 'ImportDeclaration') {
+				return [];
+			}
+			const name = statement.alias?.name ?? statement.path.value;
+			return [quickFix(document, `Remove unused import '${name}'`, diagnostic, [removeLines(document, statement)])];
+		}
+		case DiagnosticCode.MissingMain:
+			return [quickFix(document, "Add a 'main' rule", diagnostic, [addMain(document, program)])];
+		case DiagnosticCode.PreferIs: {
+			const operator = document.getText(diagnostic.range) === '==' ? 'is' : 'is not';
+			return [quickFix(document, `Change to '${operator}'`, diagnostic, [TextEdit.replace(diagnostic.range, operator)])];
+		}
+		case DiagnosticCode.UnknownImportMember:
+		case DiagnosticCode.UnknownAttribute: {
+			const suggestion: string | undefined = diagnostic.data?.suggestion;
+			return suggestion
+				? [quickFix(document, `Change to '${suggestion}'`, diagnostic, [TextEdit.replace(diagnostic.range, suggestion)])]
+				: [];
+		}
+		default:
+			return [];
+	}
+}
+
+/** Code actions for the diagnostics in the requested range. */
+export function provideCodeActions(document: TextDocument, diagnostics: Diagnostic[]): CodeAction[] {
+	const actions: CodeAction[] = [];
+	const seen = new Set<string>();
+	for (const diagnostic of diagnostics) {
+		if (diagnostic.source !== DIAGNOSTIC_SOURCE) {
+			continue;
+		}
+		for (const action of fixesFor(document, diagnostic)) {
+			// Several uses of one missing import share a single fix.
+			if (diagnostic.code !== DiagnosticCode.MissingImport || !seen.has(action.title)) {
+				seen.add(action.title);
+				actions.push(action);
+			}
+		}
+	}
+	return actions;
+}
@@ -0,0 +1,667 @@
+/**
+ * Completion items built from the standard-library catalog, the imports
+ * available to the policy, the symbols in scope, the exports of imported
+ * modules, the schemas of the Terraform imports and the data of configured
+ * mocks. The tokens around the cursor decide which of them fit there.
+ */
+import {
+	Command,
+	CompletionItem,
+	CompletionItemKind,
+	InsertTextFormat,
+	MarkupKind,
+	Position,
+	Range
+} from 'vscode-languageserver/node';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import * as ast from './ast';
+import { SentinelSymbol, scopeAt, visibleSymbols } from './binder';
+import { getBinding, getParseResult } from './documentCache';
+import { AvailableImport, availableImports } from './imports';
+import { Comment, Token } from './lexer';
+import { mockKeys, mockStrings, mockValuesAt } from './mockData';
+import { moduleExports, resolveModule } from './modules';
+import {
+	BUILTINS,
+	CatalogMember,
+	IMPORTS,
+	defaultImportName,
+	documentationOf,
+	findBuiltin,
+	findImport,
+	findMember,
+	findObjectType,
+	signatureOf
+} from './stdlib';
+import { declarationText, symbolMarkdown } from './symbolInfo';
+import { AccessPath, PathStep, SchemaNode, accessPathOfSymbol, describeType, schemaAt } from './terraform';
+import { TypeInference } from './typeInference';
+import { IndexedFile } from './workspaceIndex';
+
+/** Payload attached to completion items so `resolveCompletion` can find their documentation. */
+export type CompletionData =
+	| { kind: 'keyword'; name: string }
+	| { kind: 'builtin'; name: string }
+	| { kind: 'member'; path: string; name: string }
+	| { kind: 'typeMember'; type: string; name: string };
+
+const KEYWORDS: Record<string, string> = {
+	'import': 'Imports a standard library, plugin, module or static import, optionally under an alias: `import "strings" as s`.',
+	'param': 'Declares a policy parameter, optionally with a default: `param region default "us-east-1"`.',
+	'default': 'Sets the default value of a `param`.',
+	'rule': 'Defines a lazily evaluated boolean rule: `name = rule { expression }`.',
+	'when': 'Guards a rule (`rule when cond { ... }`) or starts a clause of a `case` statement.',
+	'func': 'Defines a function: `func name(args) { return value }`.',
+	'return': 'Returns a value from a function.',
+	'if': 'Runs a block when a condition is true.',
+	'else': 'Alternative branch of an `if`, default clause of a `case`, or the `else` operator for undefined values.',
+	'case': 'Selects a clause by comparing a value against `when` expressions.',
+	'for': 'Iterates over a list or map: `for collection as key, value { ... }`.',
+	'break': 'Exits the innermost `for` loop.',
+	'continue': 'Skips to the next iteration of the innermost `for` loop.',
+	'all': 'Universal quantifier: true when the body holds for every element.',
+	'any': 'Existential quantifier: true when the body holds for at least one element.',
+	'filter': 'Returns the elements of a collection for which the body is true.',
+	'map': 'Returns a list with the body evaluated for every element of a collection.',
+	'as': 'Names the bindings of an `import`, loop, quantifier or comprehension.',
+	'in': 'Membership test: true when the left value is an element of the right collection.',
+	'contains': 'Membership test: true when the left collection contains the right value.',
+	'matches': 'True when the left string matches the regular expression on the right.',
+	'is': 'Equality comparison; `is not` negates it.',
+	'not': 'Logical negation, or negates `contains`, `in` and `matches`.',
+	'and': 'Logical conjunction.',
+	'or': 'Logical disjunction.',
+	'xor': 'Logical exclusive or.',
+	'true': 'The boolean true value.',
+	'false': 'The boolean false value.',
+	'null': 'The null value.',
+	'undefined': 'The undefined value, produced by failed lookups and propagated through expressions.'
+};
+
+interface Snippet {
+	label: string;
+	description: string;
+	body: string;
+	/** True for declarations that are only valid at the top level of a policy. */
+	topLevel?: boolean;
+}
+
+const SNIPPETS: readonly Snippet[] = [
+	{
+		label: 'rule',
+		description: 'A rule.',
+		body: '${1:name} = rule {\n\t${0:true}\n}',
+		topLevel: true
+	},
+	{
+		label: 'rule when',
+		description: 'A rule that is only evaluated when a condition holds, and is true otherwise.',
+		body: '${1:name} = rule when ${2:condition} {\n\t${0:true}\n}',
+		topLevel: true
+	},
+	{
+		label: 'param',
+		description: 'A policy parameter with a default value.',
+		body: 'param ${1:name} default ${0:value}',
+		topLevel: true
+	},
+	{
+		label: 'func',
+		description: 'A function.',
+		body: 'func ${1:name}(${2:args}) {\n\treturn ${0:true}\n}',
+		topLevel: true
+	},
+	{
+		label: 'all',
+		description: 'True when the body holds for every element of a collection.',
+		body: 'all ${1:collection} as _, ${2:v} {\n\t$0\n}'
+	},
+	{
+		label: 'any',
+		description: 'True when the body holds for at least one element of a collection.',
+		body: 'any ${1:collection} as _, ${2:v} {\n\t$0\n}'
+	},
+	{
+		label: 'filter',
+		description: 'The elements of a collection for which the body holds.',
+		body: 'filter ${1:tfplan.resource_changes} as _, ${2:rc} {\n\t$0\n}'
+	},
+	{
+		label: 'case',
+		description: 'A case statement with a `when` clause and an `else` clause.',
+		body: 'case ${1:value} {\nwhen ${2:match}:\n\t$0\nelse:\n\t\n}'
+	},
+	{
+		label: 'tfplan policy',
+		description: 'A policy checking the resources a Terraform plan creates or updates.',
+		body: [
+			'import "tfplan/v2" as tfplan',
+			'',
+			'${1:resources} = filter tfplan.resource_changes as _, rc {',
+			'\trc.type is "${2:aws_instance}" and',
+			'\t\trc.mode is "managed" and',
+			'\t\t(rc.change.actions contains "create" or rc.change.actions contains "update")',
+			'}',
+			'',
+			'${3:rule_name} = rule {',
+			'\tall ${1:resources} as _, rc {',
+			'\t\t$0',
+			'\t}',
+			'}',
+			'',
+			'main = rule {',
+			'\t${3:rule_name}',
+			'}'
+		].join('\n'),
+		topLevel: true
+	}
+];
+
+/** The snippets that can start a statement nested in a block. */
+const STATEMENT_SNIPPETS: readonly string[] = SNIPPETS.filter(snippet => !snippet.topLevel).map(snippet => snippet.label);
+
+/** The code a snippet inserts when every placeholder keeps its default. */
+function snippetPreview(body: string): string {
+	return body.replace(/\$\{\d+:([^}]*)\}/g, '$1').replace(/\$\d+/g, '');
+}
+
+export function snippetItems(labels?: readonly string[]): CompletionItem[] {
+	return SNIPPETS.filter(snippet => !labels || labels.includes(snippet.label)).map(snippet => ({
+		label: snippet.label,
+		kind: CompletionItemKind.Snippet,
+		documentation: {
+			kind: MarkupKind.Markdown,
+			value: `${snippet.description}\n\n\`\`\`sentinel\n${snippetPreview(snippet.body)}\n\`\`\``
+		},
+		insertText: snippet.body,
+		insertTextFormat: InsertTextFormat.Snippet
+	}));
+}
+
+function memberKind(member: CatalogMember): CompletionItemKind {
+	return member.kind === 'function' ? CompletionItemKind.Function : CompletionItemKind.Field;
+}
+
+const triggerParameterHints: Command = { title: 'Trigger parameter hints', command: 'editor.action.triggerParameterHints' };
+
+/** Makes a function item insert its parentheses and open signature help for the arguments. */
+function withCallSnippet(item: CompletionItem, member: CatalogMember): CompletionItem {
+	if (member.kind === 'function') {
+		item.insertText = member.params.length > 0 ? `${member.name}($0)` : `${member.name}()`;
+		item.insertTextFormat = InsertTextFormat.Snippet;
+		if (member.params.length > 0) {
+			item.command = triggerParameterHints;
+		}
+	}
+	return item;
+}
+
+/** Completion items for the members of a catalog import. */
+export function importMemberItems(path: string): CompletionItem[] {
+	const entry = findImport(path);
+	if (!entry) {
+		return [];
+	}
+	return entry.members.map(member => withCallSnippet({
+		label: member.name,
+		kind: memberKind(member),
+		detail: signatureOf(member, defaultImportName(path)),
+		data: { kind: 'member', path, name: member.name } satisfies CompletionData
+	}, member));
+}
+
+/** Completion items for the members of a catalog object type such as `decimal`. */
+export function typeMemberItems(type: string): CompletionItem[] {
+	const entry = findObjectType(type);
+	if (!entry) {
+		return [];
+	}
+	return entry.members.map(member => withCallSnippet({
+		label: member.name,
+		kind: member.kind === 'function' ? CompletionItemKind.Method : CompletionItemKind.Field,
+		detail: signatureOf(member),
+		data: { kind: 'typeMember', type, name: member.name } satisfies CompletionData
+	}, member));
+}
+
+function symbolKind(symbol: SentinelSymbol): CompletionItemKind {
+	switch (symbol.kind) {
+		case 'func':
+			return CompletionItemKind.Function;
+		case 'rule':
+			return CompletionItemKind.Value;
+		case 'import':
+			return CompletionItemKind.Module;
+		default:
+			return CompletionItemKind.Variable;
+	}
+}
+
+/** A completion item for a user-defined symbol; functions insert their parentheses. */
+function symbolItem(text: string, comments: Comment[], symbol: SentinelSymbol): CompletionItem {
+	const item: CompletionItem = {
+		label: symbol.name,
+		kind: symbolKind(symbol),
+		detail: declarationText(text, symbol).split('\n')[0],
+		documentation: { kind: MarkupKind.Markdown, value: symbolMarkdown(text, comments, symbol) }
+	};
+	const node = symbol.node;
+	const params = node.type === 'FuncDeclaration' ? node.params
+		: node.type === 'Assignment' && node.value.type === 'FuncExpression' ? node.value.params : undefined;
+	if (params) {
+		item.insertText = params.length > 0 ? `${symbol.name}($0)` : `${symbol.name}()`;
+		item.insertTextFormat = InsertTextFormat.Snippet;
+		if (params.length > 0) {
+			item.command = triggerParameterHints;
+		}
+	}
+	return item;
+}
+
+/** Completion items for the exports of a module file. */
+export function moduleMemberItems(module: IndexedFile): CompletionItem[] {
+	const text = module.document.getText();
+	return moduleExports(module).map(symbol => symbolItem(text, module.parsed.comments, symbol));
+}
+
+/** Whether `symbol` is set by the time `offset` runs; functions can be called before their declaration. */
+function isAssignedAt(text: string, symbol: SentinelSymbol, offset: number): boolean {
+	if (symbol.kind === 'func') {
+		return true;
+	}
+	// Neither `x = |` nor `r = rule { |`, which parses as ending before the
+	// cursor, can read the variable being declared; a line break ends it.
+	const node = symbol.node;
+	return node.type === 'Assignment'
+		? node.end < offset && text.slice(node.end, offset).includes('\n')
+		: symbol.declaration.end < offset;
+}
+
+/** Completion items for the symbols visible at `offset` that are set by then. */
+function scopeItems(document: TextDocument, offset: number): CompletionItem[] {
+	const parsed = getParseResult(document);
+	const text = document.getText();
+	return visibleSymbols(scopeAt(getBinding(document), offset))
+		.filter(symbol => isAssignedAt(text, symbol, offset))
+		.map(symbol => symbolItem(text, parsed.comments, symbol));
+}
+
+/** Completion items for the known keys of a Terraform schema object. */
+export function schemaFieldItems(node: SchemaNode): CompletionItem[] {
+	return Object.entries(node.fields ?? {}).map(([name, field]) => ({
+		label: name,
+		kind: CompletionItemKind.Field,
+		detail: describeType(field),
+		documentation: { kind: MarkupKind.Markdown, value: field.description }
+	}));
+}
+
+/** A chain of member and index accesses, such as `tfplan.resource_changes[k].change`. */
+interface MemberChain {
+	root: string;
+	steps: PathStep[];
+}
+
+function isPunct(token: Token | undefined, text: string): boolean {
+	return token?.kind === 'punct' && token.text === text;
+}
+
+/** Index of the last token that ends at or before `offset`. */
+function lastTokenBefore(tokens: Token[], offset: number): number {
+	return tokens.findIndex(token => token.kind === 'eof' || token.end > offset) - 1;
+}
+
+/**
+ * Reads the chain of accesses that ends with the token at `i`. Returns
+ * `undefined` when the chain includes anything other than names and indexes.
+ */
+function memberChainEndingAt(tokens: Token[], i: number): MemberChain | undefined {
+	const steps: PathStep[] = [];
+	while (i >= 0) {
+		const token = tokens[i];
+		if (isPunct(token, ']')) {
+			let depth = 0;
+			for (; i >= 0; i--) {
+				if (isPunct(tokens[i], ']')) {
+					depth++;
+				} else if (isPunct(tokens[i], '[') && --depth === 0) {
+					break;
+				}
+			}
+			steps.unshift({ kind: 'index' });
+			i--;
+		} else if (token.kind === 'ident') {
+			if (!isPunct(tokens[i - 1], '.')) {
+				return { root: token.text, steps };
+			}
+			steps.unshift({ kind: 'field', name: token.text });
+			i -= 2;
+		} else {
+			return undefined;
+		}
+	}
+	return undefined;
+}
+
+/**
+ * Reads the chain of accesses before the `.` the cursor follows, skipping a
+ * partially typed member name.
+ */
+function memberChainBefore(tokens: Token[], offset: number): MemberChain | undefined {
+	const i = dotBefore(tokens, offset);
+	return i >= 0 ? memberChainEndingAt(tokens, i - 1) : undefined;
+}
+
+/** Index of the `.` before the cursor, skipping a partially typed name; -1 when there is none. */
+function dotBefore(tokens: Token[], offset: number): number {
+	let i = lastTokenBefore(tokens, offset);
+	if (tokens[i]?.kind === 'ident' && tokens[i].end === offset) {
+		i--;
+	}
+	return isPunct(tokens[i], '.') ? i : -1;
+}
+
+/** Completion items for the members of the value before `dot`, such as the methods of `decimal.new(x)`. */
+function valueMemberItems(document: TextDocument, dot: Token): CompletionItem[] {
+	const parsed = getParseResult(document);
+	let object: ast.Expression | undefined;
+	ast.walk(parsed.program, node => {
+		if (!object && node.type === 'MemberExpression' && node.object.end === dot.start) {
+			object = node.object;
+		}
+	});
+	const inference = new TypeInference(getBinding(document), availableImports(document.uri));
+	const type = object && inference.typeOf(object);
+	return type ? typeMemberItems(type.name) : [];
+}
+
+/** Resolves a member chain at `offset` to the import value it denotes. */
+function accessPathOfChain(document: TextDocument, offset: number, chain: MemberChain): AccessPath | undefined {
+	const binding = getBinding(document);
+	const symbol = visibleSymbols(scopeAt(binding, offset)).find(s => s.name === chain.root);
+	const path = symbol && accessPathOfSymbol(binding, symbol);
+	return path && { importPath: path.importPath, steps: [...path.steps, ...chain.steps] };
+}
+
+/** Completion items for the keys found at a path in the policy's mock data; keys that are not identifiers are left out. */
+function mockKeyItems(document: TextDocument, path: AccessPath): CompletionItem[] {
+	const keys = [...mockKeys(mockValuesAt(document.uri, path))].filter(([key]) => /^[A-Za-z_][A-Za-z0-9_]*$/.test(key));
+	return keys.map(([key, type]) => ({
+		label: key,
+		kind: CompletionItemKind.Field,
+		detail: `${type} (mock data)`
+	}));
+}
+
+/** Completion items for the strings found at a path in the policy's mock data, replacing `range`. */
+function mockStringItems(document: TextDocument, path: AccessPath, range: Range): CompletionItem[] {
+	return mockStrings(mockValuesAt(document.uri, path)).map(value => ({
+		label: value,
+		kind: CompletionItemKind.Value,
+		detail: 'mock data',
+		textEdit: { range, newText: value }
+	}));
+}
+
+/**
+ * Import path for `name` at `offset`: the import it is bound to in scope, or
+ * the standard import it would name by default.
+ */
+function importPathOf(document: TextDocument, offset: number, name: string): string | undefined {
+	const symbol = visibleSymbols(scopeAt(getBinding(document), offset)).find(s => s.name === name);
+	if (symbol) {
+		return symbol.node.type === 'ImportDeclaration' ? symbol.node.path.value : undefined;
+	}
+	return IMPORTS.find(i => defaultImportName(i.path) === name)?.path;
+}
+
+/** The snippets labelled `labels`, or all of them, then the keywords `names` that no snippet stands for. */
+function snippetAndKeywordItems(labels: readonly string[] | undefined, names: readonly string[]): CompletionItem[] {
+	const snippets = snippetItems(labels);
+	return [...snippets, ...keywordItems(names.filter(name => !snippets.some(snippet => snippet.label === name)))];
+}
+
+export function keywordItems(names: readonly string[] = Object.keys(KEYWORDS)): CompletionItem[] {
+	return names.map(name => ({
+		label: name,
+		kind: CompletionItemKind.Keyword,
+		data: { kind: 'keyword', name } satisfies CompletionData
+	}));
+}
+
+export function builtinItems(): CompletionItem[] {
+	return BUILTINS.map(builtin => withCallSnippet({
+		label: builtin.name,
+		kind: CompletionItemKind.Function,
+		detail: signatureOf(builtin),
+		data: { kind: 'builtin', name: builtin.name } satisfies CompletionData
+	}, builtin));
+}
+
+/**
+ * Completion items for the imports available to a policy, replacing `range`:
+ * the partial path typed inside `import "`, or with `asStatement` the word
+ * typed where a statement starts, which becomes a whole `import` statement.
+ */
+export function importItems(imports: AvailableImport[], range: Range, asStatement = false): CompletionItem[] {
+	return imports.map(entry => ({
+		label: entry.path,
+		kind: CompletionItemKind.Module,
+		detail: `import "${entry.path}"`,
+		documentation: { kind: MarkupKind.Markdown, value: entry.description },
+		textEdit: { range, newText: asStatement ? `import "${entry.path}"` : entry.path }
+	}));
+}
+
+/**
+ * Where the cursor is, as far as completion is concerned: at the start of a
+ * top-level statement, where declarations may go, at the start of a statement
+ * in a block, where an expression is expected, or after a complete operand,
+ * where only an operator can follow.
+ */
+type CompletionContext = 'declaration' | 'statement' | 'expression' | 'operator';
+
+/** Keywords that can start a statement. */
+const STATEMENT_KEYWORDS: readonly string[] = [
+	'if', 'for', 'case', 'when', 'else', 'return', 'break', 'continue'
+];
+
+/** Keywords that can only start a top-level statement. */
+const DECLARATION_KEYWORDS: readonly string[] = ['import', 'param', 'func'];
+
+/** Keywords that can start an expression. */
+const EXPRESSION_KEYWORDS: readonly string[] = [
+	'all', 'any', 'filter', 'map', 'not', 'rule', 'func', 'true', 'false', 'null', 'undefined'
+];
+
+/** Keywords that can follow an operand. */
+const OPERATOR_KEYWORDS: readonly string[] = ['and', 'or', 'xor', 'is', 'not', 'contains', 'in', 'matches', 'else'];
+
+const VALUE_KEYWORDS: ReadonlySet<string> = new Set(['true', 'false', 'null', 'undefined']);
+
+/** Whether `token` can end an operand, so that an operator may follow it. */
+function endsOperand(token: Token): boolean {
+	switch (token.kind) {
+		case 'ident':
+		case 'int':
+		case 'float':
+		case 'string':
+			return true;
+		case 'keyword':
+			return VALUE_KEYWORDS.has(token.text);
+		case 'punct':
+			return token.text === ')' || token.text === ']' || token.text === '}';
+		default:
+			return false;
+	}
+}
+
+/** Whether `offset` is inside a comment or a string, where nothing is suggested. */
+function isInsideText(tokens: Token[], comments: Comment[], offset: number): boolean {
+	if (comments.some(c => c.start < offset && (offset < c.end || (c.kind === 'line' && offset === c.end)))) {
+		return true;
+	}
+	return tokens.some(token => (token.kind === 'string' || (token.kind === 'invalid' && /^["`]/.test(token.text)))
+		&& token.start < offset
+		&& (offset < token.end || token.text.length < 2 || token.text[token.text.length - 1] !== token.text[0]));
+}
+
+/** Whether a bracket opened before `offset` is still open there. */
+function isInsideBrackets(tokens: Token[], offset: number): boolean {
+	let depth = 0;
+	for (const token of tokens) {
+		if (token.start >= offset) {
+			break;
+		}
+		if (token.kind === 'punct' && (token.text === '{' || token.text === '(' || token.text === '[')) {
+			depth++;
+		} else if (token.kind === 'punct' && (token.text === '}' || token.text === ')' || token.text === ']')) {
+			depth = Math.max(0, depth - 1);
+		}
+	}
+	return depth > 0;
+}
+
+function completionContext(document: TextDocument, offset: number, word: Token | undefined): CompletionContext {
+	const parsed = getParseResult(document);
+	const start = word?.start ?? offset;
+	const previous = parsed.tokens[lastTokenBefore(parsed.tokens, start)];
+	if (!previous) {
+		return 'declaration';
+	}
+	const sameLine = !document.getText().slice(previous.end, start).includes('\n');
+	if (sameLine) {
+		return endsOperand(previous) ? 'operator' : 'expression';
+	}
+	// On a new line, the innermost construct around the cursor decides.
+	const path = ast.nodePathAt(parsed.program, start).filter(node => node.start < start);
+	const container = path[path.length - 1];
+	switch (container?.type) {
+		case undefined:
+		case 'Program':
+			// A block left open before the cursor ends where its parse stopped.
+			return isInsideBrackets(parsed.tokens, start) ? 'statement' : 'declaration';
+		case 'Block':
+		case 'CaseClause':
+		case 'CaseStatement':
+			return 'statement';
+		default:
+			return 'expression';
+	}
+}
+
+export function provideCompletion(document: TextDocument, position: Position): CompletionItem[] {
+	// Get the text at the current line up to the cursor position
+	const line = document.getText({
+		start: { line: position.line, character: 0 },
+		end: position
+	});
+
+	const importPath = /^\s*import\s+"([^"]*)$/.exec(line);
+	if (importPath) {
+		const start = { line: position.line, character: position.character - importPath[1].length };
+		return importItems(availableImports(document.uri).imports, { start, end: position });
+	}
+
+	const offset = document.offsetAt(position);
+	const { tokens, comments } = getParseResult(document);
+
+	// The value compared against in `rc.type is "aws_`.
+	const comparison = /(?:\bis(?:\s+not)?|==|!=)\s*"([^"]*)$/.exec(line);
+	if (comparison) {
+		const chain = memberChainEndingAt(tokens, lastTokenBefore(tokens, offset - comparison[0].length));
+		const path = chain && accessPathOfChain(document, offset, chain);
+		const start = { line: position.line, character: position.character - comparison[1].length };
+		return path ? mockStringItems(document, path, { start, end: position }) : [];
+	}
+
+	if (isInsideText(tokens, comments, offset)) {
+		return [];
+	}
+
+	const chain = memberChainBefore(tokens, offset);
+	if (chain) {
+		const path = accessPathOfChain(document, offset, chain);
+		const schema = path && schemaAt(path);
+		if (schema?.fields) {
+			return schemaFieldItems(schema);
+		}
+		// Past the schemas, such as under `change.after`, suggest what the mocks contain.
+		const mocked = path ? mockKeyItems(document, path) : [];
+		if (mocked.length > 0) {
+			return mocked;
+		}
+		const importPath = chain.steps.length === 0 ? importPathOf(document, offset, chain.root) : undefined;
+		if (importPath) {
+			const module = resolveModule(document.uri, importPath);
+			return module ? moduleMemberItems(module) : importMemberItems(importPath);
+		}
+	}
+	const dot = dotBefore(tokens, offset);
+	if (dot >= 0) {
+		return valueMemberItems(document, tokens[dot]);
+	}
+
+	const last = tokens[lastTokenBefore(tokens, offset)];
+	const word = last && last.end === offset && (last.kind === 'ident' || last.kind === 'keyword') ? last : undefined;
+	switch (completionContext(document, offset, word)) {
+		case 'operator':
+			return keywordItems(OPERATOR_KEYWORDS);
+		case 'expression':
+			return [
+				...snippetAndKeywordItems(['all', 'any', 'filter'], EXPRESSION_KEYWORDS),
+				...scopeItems(document, offset),
+				...builtinItems()
+			];
+		case 'statement':
+			return [
+				...snippetAndKeywordItems(STATEMENT_SNIPPETS, STATEMENT_KEYWORDS),
+				...scopeItems(document, offset),
+				...builtinItems()
+			];
+		default: {
+			// Imports must come before every other statement.
+			const start = word?.start ?? offset;
+			const canImport = getParseResult(document).program.body.every(s => s.type === 'ImportDeclaration' || s.start >= start);
+			return [
+				...snippetAndKeywordItems(undefined, [...DECLARATION_KEYWORDS.filter(name => canImport || name !== 'import'), ...STATEMENT_KEYWORDS]),
+				...scopeItems(document, offset),
+				...builtinItems(),
+				...(canImport ? importItems(availableImports(document.uri).imports, { start: document.positionAt(start), end: position }, true) : [])
+			];
+		}
+	}
+}
+
+export function resolveCompletion(item: CompletionItem): CompletionItem {
+	const data = item.data as CompletionData | undefined;
+	if (!data) {
+		return item;
+	}
+	let member: CatalogMember | undefined;
+	let qualifier: string | undefined;
+	switch (data.kind) {
+		case 'keyword':
+			item.documentation = { kind: MarkupKind.Markdown, value: KEYWORDS[data.name] ?? '' };
+			return item;
+		case 'builtin':
+			member = findBuiltin(data.name);
+			break;
+		case 'member': {
+			const entry = findImport(data.path);
+			member = entry && findMember(entry.members, data.name);
+			qualifier = defaultImportName(data.path);
+			break;
+		}
+		case 'typeMember': {
+			const entry = findObjectType(data.type);
+			member = entry && findMember(entry.members, data.name);
+			break;
+		}
+	}
+	if (member) {
+		item.detail = signatureOf(member, qualifier);
+		item.documentation = { kind: MarkupKind.Markdown, value: documentationOf(member, qualifier) };
+	}
+	return item;
+}
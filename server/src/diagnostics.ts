@@ -0,0 +1,439 @@
+import {
+	Diagnostic,
+	DiagnosticRelatedInformation,
+	DiagnosticSeverity,
+	DiagnosticTag,
+	Location
+} from 'vscode-languageserver/node';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import * as ast from './ast';
+import { Binding, SentinelSymbol } from './binder';
+import { ImportScope } from './imports';
+import { findExport, moduleOf } from './modules';
+import { ParseResult } from './parser';
+import { IMPORTS, defaultImportName, findImport } from './stdlib';
+import { closestName, schemaOf } from './terraform';
+import { TypeInference, acceptedTypes, operandMismatch, typeMismatch } from './typeInference';
+import { toRange } from './util';
+
+export const DIAGNOSTIC_SOURCE = 'sentinel';
+
+/** Codes of the semantic diagnostics, used by code actions to recognise them. */
+export const DiagnosticCode = {
+	Undefined: 'undefined',
+	MissingImport: 'missing-import',
+	Unused: 'unused',
+	Duplicate: 'duplicate',
+	AssignToRule: 'assign-to-rule',
+	MissingMain: 'missing-main',
+	InvalidMain: 'invalid-main',
+	UnreachableRule: 'unreachable-rule',
+	UnknownImport: 'unknown-import',
+	UnknownModuleMember: 'unknown-module-member',
+	UnknownAttribute: 'unknown-attribute',
+	UnknownImportMember: 'unknown-import-member',
+	PreferIs: 'prefer-is',
+	TypeMismatch: 'type-mismatch'
+} as const;
+
+/** Converts lexer and parser errors into diagnostics, in document order. */
+export function syntaxDiagnostics(document: TextDocument, parsed: ParseResult): Diagnostic[] {
+	return [...parsed.errors]
+		.sort((a, b) => a.start - b.start)
+		.map(error => ({
+			severity: DiagnosticSeverity.Error,
+			range: toRange(document, error),
+			message: error.message,
+			source: DIAGNOSTIC_SOURCE
+		}));
+}
+
+const UNUSED_KINDS: Readonly<Partial<Record<SentinelSymbol['kind'], string>>> = {
+	import: 'Import',
+	param: 'Param',
+	variable: 'Variable'
+};
+
+/**
+ * Reports name resolution problems: undefined identifiers, missing imports,
+ * unused imports, params and variables, duplicate rules or functions, and
+ * assignments to rules. Related locations are only attached when the client
+ * supports them. The top-level declarations of modules are their exports and
+ * are never reported as unused.
+ */
+export function semanticDiagnostics(document: TextDocument, binding: Binding, relatedInformation: boolean, isModule = false): Diagnostic[] {
+	const diagnostics: Diagnostic[] = [];
+	const related = (span: ast.Span, message: string): DiagnosticRelatedInformation[] | undefined =>
+		relatedInformation ? [DiagnosticRelatedInformation.create(Location.create(document.uri, toRange(document, span)), message)] : undefined;
+
+	for (const identifier of binding.unresolved) {
+		const missingImport = IMPORTS.find(entry => defaultImportName(entry.path) === identifier.name);
+		diagnostics.push(missingImport
+			? {
+				severity: DiagnosticSeverity.Error,
+				range: toRange(document, identifier),
+				message: `'${identifier.name}' is not imported. Add import "${missingImport.path}".`,
+				source: DIAGNOSTIC_SOURCE,
+				code: DiagnosticCode.MissingImport,
+				data: { path: missingImport.path }
+			}
+			: {
+				severity: DiagnosticSeverity.Error,
+				range: toRange(document, identifier),
+				message: `'${identifier.name}' is not defined.`,
+				source: DIAGNOSTIC_SOURCE,
+				code: DiagnosticCode.Undefined
+			});
+	}
+
+	const duplicates = new Set(binding.duplicates.map(duplicate => duplicate.declaration));
+	for (const { declaration, existing } of binding.duplicates) {
+		diagnostics.push({
+			severity: DiagnosticSeverity.Error,
+			range: toRange(document, declaration),
+			message: `'${declaration.name}' is already declared.`,
+			source: DIAGNOSTIC_SOURCE,
+			code: DiagnosticCode.Duplicate,
+			relatedInformation: related(existing.declaration, `'${existing.name}' is first declared here.`)
+		});
+	}
+
+	for (const symbol of binding.symbols) {
+		if (symbol.kind === 'rule') {
+			for (const write of symbol.references.filter(r => binding.writes.has(r) && !duplicates.has(r))) {
+				diagnostics.push({
+					severity: DiagnosticSeverity.Error,
+					range: toRange(document, write),
+					message: `Cannot assign to rule '${symbol.name}'.`,
+					source: DIAGNOSTIC_SOURCE,
+					code: DiagnosticCode.AssignToRule,
+					relatedInformation: related(symbol.declaration, `'${symbol.name}' is declared as a rule here.`)
+				});
+			}
+			continue;
+		}
+		const label = UNUSED_KINDS[symbol.kind];
+		const exported = isModule && symbol.scope === binding.globalScope && symbol.kind !== 'import';
+		if (!label || exported || symbol.name === 'main' || symbol.name.startsWith('_') || symbol.references.some(r => !binding.writes.has(r))) {
+			continue;
+		}
+		diagnostics.push({
+			severity: DiagnosticSeverity.Warning,
+			range: toRange(document, symbol.kind === 'import' ? symbol.node : symbol.declaration),
+			message: `${label} '${symbol.name}' is declared but never used.`,
+			source: DIAGNOSTIC_SOURCE,
+			code: DiagnosticCode.Unused,
+			tags: [DiagnosticTag.Unnecessary]
+		});
+	}
+
+	return diagnostics.sort((a, b) => document.offsetAt(a.range.start) - document.offsetAt(b.range.start));
+}
+
+const BOOLEAN_OPERATORS: ReadonlySet<string> = new Set([
+	'and', 'or', 'xor', '==', '!=', '<', '<=', '>', '>=', 'is', 'is not',
+	'contains', 'not contains', 'in', 'not in', 'matches', 'not matches'
+]);
+
+/** Whether `expression` could evaluate to a boolean; only values that certainly cannot are rejected. */
+function mayBeBoolean(expression: ast.Expression): boolean {
+	switch (expression.type) {
+		case 'ParenthesizedExpression':
+			return mayBeBoolean(expression.expression);
+		case 'BinaryExpression':
+			return BOOLEAN_OPERATORS.has(expression.operator)
+				|| (expression.operator === 'else' && (mayBeBoolean(expression.left) || mayBeBoolean(expression.right)));
+		case 'UnaryExpression':
+			return expression.operator === 'not' || expression.operator === '!';
+		case 'QuantifierExpression':
+			return expression.quantifier === 'all' || expression.quantifier === 'any';
+		case 'NumberLiteral':
+		case 'StringLiteral':
+		case 'NullLiteral':
+		case 'ListLiteral':
+		case 'MapLiteral':
+		case 'FuncExpression':
+		case 'ComprehensionExpression':
+		case 'SliceExpression':
+			return false;
+		default:
+			return true;
+	}
+}
+
+/**
+ * Maps each top-level symbol to the symbols its declaration and later
+ * assignments depend on.
+ */
+function topLevelDependencies(program: ast.Program, binding: Binding): Map<SentinelSymbol, Set<SentinelSymbol>> {
+	const dependencies = new Map<SentinelSymbol, Set<SentinelSymbol>>();
+	for (const statement of program.body) {
+		const owners = new Set<SentinelSymbol>();
+		const used = new Set<SentinelSymbol>();
+		ast.walk(statement, node => {
+			if (node.type !== 'Identifier') {
+				return;
+			}
+			const symbol = binding.resolved.get(node);
+			if (!symbol) {
+				return;
+			}
+			if (symbol.scope === binding.globalScope && (symbol.declaration === node || binding.writes.has(node))) {
+				owners.add(symbol);
+			} else {
+				used.add(symbol);
+			}
+		});
+		for (const owner of owners) {
+			const set = dependencies.get(owner) ?? new Set();
+			used.forEach(symbol => set.add(symbol));
+			dependencies.set(owner, set);
+		}
+	}
+	return dependencies;
+}
+
+/**
+ * Checks the policy as a whole: `main` must exist and be a rule or boolean
+ * expression, and every top-level rule should contribute to `main`.
+ */
+export function policyDiagnostics(document: TextDocument, program: ast.Program, binding: Binding): Diagnostic[] {
+	const main = binding.globalScope.symbols.get('main');
+	if (!main) {
+		return [{
+			severity: DiagnosticSeverity.Error,
+			range: { start: { line: 0, character: 0 }, end: document.positionAt(document.getText().split(/\r?\n/)[0].length) },
+			message: "The policy has no 'main' rule. Every policy must define main = rule { ... }.",
+			source: DIAGNOSTIC_SOURCE,
+			code: DiagnosticCode.MissingMain
+		}];
+	}
+
+	const diagnostics: Diagnostic[] = [];
+	const value = main.node.type === 'Assignment' ? main.node.value : undefined;
+	if (main.kind !== 'rule' && (!value || !mayBeBoolean(value))) {
+		diagnostics.push({
+			severity: DiagnosticSeverity.Error,
+			range: toRange(document, main.declaration),
+			message: "'main' must be a rule or a boolean expression.",
+			source: DIAGNOSTIC_SOURCE,
+			code: DiagnosticCode.InvalidMain
+		});
+	}
+
+	const dependencies = topLevelDependencies(program, binding);
+	const reachable = new Set<SentinelSymbol>([main]);
+	const pending = [main];
+	for (let symbol = pending.pop(); symbol; symbol = pending.pop()) {
+		for (const dependency of dependencies.get(symbol) ?? []) {
+			if (!reachable.has(dependency)) {
+				reachable.add(dependency);
+				pending.push(dependency);
+			}
+		}
+	}
+	for (const symbol of binding.globalScope.symbols.values()) {
+		if (symbol.kind === 'rule' && !reachable.has(symbol)) {
+			diagnostics.push({
+				severity: DiagnosticSeverity.Warning,
+				range: toRange(document, symbol.declaration),
+				message: `Rule '${symbol.name}' is not reachable from 'main' and does not affect the policy outcome.`,
+				source: DIAGNOSTIC_SOURCE,
+				code: DiagnosticCode.UnreachableRule,
+				tags: [DiagnosticTag.Unnecessary]
+			});
+		}
+	}
+	return diagnostics;
+}
+
+/**
+ * Reports imports that are neither built in nor configured. Without a
+ * configuration file the policy may be run with any configuration, so nothing
+ * is reported.
+ */
+export function importDiagnostics(document: TextDocument, program: ast.Program, scope: ImportScope): Diagnostic[] {
+	if (!scope.config) {
+		return [];
+	}
+	const available = new Set(scope.imports.map(entry => entry.path));
+	const diagnostics: Diagnostic[] = [];
+	for (const statement of program.body) {
+		if (statement.type === 'ImportDeclaration' && !available.has(statement.path.value)) {
+			diagnostics.push({
+				severity: DiagnosticSeverity.Error,
+				range: toRange(document, statement.path),
+				message: `Unknown import '${statement.path.value}'. It is neither a standard import nor configured in sentinel.hcl.`,
+				source: DIAGNOSTIC_SOURCE,
+				code: DiagnosticCode.UnknownImport
+			});
+		}
+	}
+	return diagnostics;
+}
+
+/** Reports uses of names that an imported module does not export, such as calls to undefined functions. */
+export function moduleDiagnostics(document: TextDocument, program: ast.Program, binding: Binding): Diagnostic[] {
+	const diagnostics: Diagnostic[] = [];
+	ast.walk(program, (node, parent) => {
+		if (node.type !== 'MemberExpression' || node.object.type !== 'Identifier' || !node.property.name) {
+			return;
+		}
+		const module = moduleOf(document.uri, binding, node.object);
+		if (!module || findExport(module, node.property.name)) {
+			return;
+		}
+		const isCall = parent?.type === 'CallExpression' && parent.callee === node;
+		diagnostics.push({
+			severity: DiagnosticSeverity.Error,
+			range: toRange(document, node.property),
+			message: isCall
+				? `Module '${node.object.name}' does not define a function '${node.property.name}'.`
+				: `Module '${node.object.name}' does not define '${node.property.name}'.`,
+			source: DIAGNOSTIC_SOURCE,
+			code: DiagnosticCode.UnknownModuleMember
+		});
+	});
+	return diagnostics;
+}
+
+/**
+ * Warns about attributes that Terraform import schemas do not define, such as
+ * `rc.chnage` where `rc` is a planned resource change. `data.suggestion` holds
+ * the closest known attribute, if any.
+ */
+export function terraformDiagnostics(document: TextDocument, program: ast.Program, binding: Binding): Diagnostic[] {
+	const diagnostics: Diagnostic[] = [];
+	ast.walk(program, node => {
+		if (node.type !== 'MemberExpression' || !node.property.name) {
+			return;
+		}
+		const object = schemaOf(binding, node.object);
+		if (object?.type !== 'object' || !object.fields || node.property.name in object.fields) {
+			return;
+		}
+		const suggestion = closestName(node.property.name, Object.keys(object.fields));
+		diagnostics.push({
+			severity: DiagnosticSeverity.Warning,
+			range: toRange(document, node.property),
+			message: suggestion
+				? `Unknown attribute '${node.property.name}'. Did you mean '${suggestion}'?`
+				: `Unknown attribute '${node.property.name}'.`,
+			source: DIAGNOSTIC_SOURCE,
+			code: DiagnosticCode.UnknownAttribute,
+			data: { suggestion }
+		});
+	});
+	return diagnostics;
+}
+
+/**
+ * Warns about members that standard imports do not have, such as
+ * `strings.to_uper`. Imports that a configuration provides under a standard
+ * name are not checked. `data.suggestion` holds the closest member, if any.
+ */
+export function stdlibDiagnostics(document: TextDocument, program: ast.Program, binding: Binding, scope: ImportScope): Diagnostic[] {
+	const diagnostics: Diagnostic[] = [];
+	ast.walk(program, node => {
+		if (node.type !== 'MemberExpression' || node.object.type !== 'Identifier' || !node.property.name) {
+			return;
+		}
+		const symbol = binding.resolved.get(node.object);
+		if (symbol?.kind !== 'import' || symbol.node.type !== 'ImportDeclaration') {
+			return;
+		}
+		const path = symbol.node.path.value;
+		const entry = findImport(path);
+		if (!entry || scope.imports.find(i => i.path === path)?.origin !== 'stdlib'
+			|| entry.members.some(member => member.name === node.property.name)) {
+			return;
+		}
+		const suggestion = closestName(node.property.name, entry.members.map(member => member.name));
+		diagnostics.push({
+			severity: DiagnosticSeverity.Warning,
+			range: toRange(document, node.property),
+			message: suggestion
+				? `Import '${path}' has no member '${node.property.name}'. Did you mean '${suggestion}'?`
+				: `Import '${path}' has no member '${node.property.name}'.`,
+			source: DIAGNOSTIC_SOURCE,
+			code: DiagnosticCode.UnknownImportMember,
+			data: { suggestion }
+		});
+	});
+	return diagnostics;
+}
+
+/** Literals that Sentinel style compares with `is` rather than `==`. */
+const IS_LITERALS: ReadonlySet<ast.Expression['type']> = new Set(['StringLiteral', 'BooleanLiteral', 'NullLiteral']);
+
+function isLiteralForIs(expression: ast.Expression): boolean {
+	while (expression.type === 'ParenthesizedExpression') {
+		expression = expression.expression;
+	}
+	return IS_LITERALS.has(expression.type);
+}
+
+/**
+ * Hints that `==` and `!=` against a string, bool or null literal, as in
+ * `rc.mode == "managed"`, read better as Sentinel's `is` and `is not`, which
+ * compare the same way. Comparisons of numbers and computed values are left
+ * alone.
+ */
+export function styleDiagnostics(document: TextDocument, program: ast.Program): Diagnostic[] {
+	const diagnostics: Diagnostic[] = [];
+	ast.walk(program, node => {
+		if (node.type !== 'BinaryExpression' || (node.operator !== '==' && node.operator !== '!=')
+			|| !(isLiteralForIs(node.left) || isLiteralForIs(node.right))) {
+			return;
+		}
+		const preferred = node.operator === '==' ? 'is' : 'is not';
+		diagnostics.push({
+			severity: DiagnosticSeverity.Hint,
+			range: toRange(document, node.operatorSpan),
+			message: `Prefer '${preferred}' to '${node.operator}'.`,
+			source: DIAGNOSTIC_SOURCE,
+			code: DiagnosticCode.PreferIs
+		});
+	});
+	return diagnostics;
+}
+
+/**
+ * Warns about values whose inferred types certainly do not fit: arguments of
+ * catalog functions, such as `length(5)`, and operands of comparisons and
+ * arithmetic, such as a string compared with `>` against an int.
+ */
+export function typeDiagnostics(document: TextDocument, program: ast.Program, binding: Binding, scope: ImportScope): Diagnostic[] {
+	const inference = new TypeInference(binding, scope);
+	const text = document.getText();
+	const diagnostics: Diagnostic[] = [];
+	const warn = (span: ast.Span, message: string) => diagnostics.push({
+		severity: DiagnosticSeverity.Warning,
+		range: toRange(document, span),
+		message,
+		source: DIAGNOSTIC_SOURCE,
+		code: DiagnosticCode.TypeMismatch
+	});
+	ast.walk(program, node => {
+		if (node.type === 'BinaryExpression') {
+			const message = operandMismatch(node.operator, inference.typeOf(node.left), inference.typeOf(node.right));
+			if (message) {
+				warn(node, message);
+			}
+			return;
+		}
+		const callee = node.type === 'CallExpression' ? inference.functionOf(node.callee) : undefined;
+		if (node.type !== 'CallExpression' || !callee) {
+			return;
+		}
+		node.args.forEach((arg, i) => {
+			const last = callee.params[callee.params.length - 1];
+			const param = i < callee.params.length ? callee.params[i] : last?.variadic ? last : undefined;
+			const mismatch = param && typeMismatch(inference.typeOf(arg), acceptedTypes(param.type));
+			if (mismatch) {
+				warn(arg, `Argument '${param.name}' of ${text.slice(node.callee.start, node.callee.end)}: ${mismatch}.`);
+			}
+		});
+	});
+	return diagnostics;
+}
@@ -0,0 +1,41 @@
+/**
+ * Per-document cache of parse results so that every language feature shares
+ * a single parse (and name resolution) of each document version.
+ */
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import { Binding, bind } from './binder';
+import { ParseResult, parse } from './parser';
+
+interface CacheEntry {
+	version: number;
+	result: ParseResult;
+	binding?: Binding;
+}
+
+const cache: Map<string, CacheEntry> = new Map();
+
+function getEntry(document: TextDocument): CacheEntry {
+	const cached = cache.get(document.uri);
+	if (cached && cached.version === document.version) {
+		return cached;
+	}
+	const entry: CacheEntry = { version: document.version, result: parse(document.getText()) };
+	cache.set(document.uri, entry);
+	return entry;
+}
+
+export function getParseResult(document: TextDocument): ParseResult {
+	return getEntry(document).result;
+}
+
+export function getBinding(document: TextDocument): Binding {
+	const entry = getEntry(document);
+	if (!entry.binding) {
+		entry.binding = bind(entry.result.program);
+	}
+	return entry.binding;
+}
+
+export function evictParseResult(uri: string): void {
+	cache.delete(uri);
+}
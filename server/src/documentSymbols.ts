@@ -0,0 +1,101 @@
+/**
+ * Document outline: the imports, params, rules, funcs and variables declared at
+ * the top level of a policy.
+ */
+import { DocumentSymbol, SymbolKind } from 'vscode-languageserver/node';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import * as ast from './ast';
+import { Binding, SentinelSymbol } from './binder';
+import { getBinding } from './documentCache';
+import { toRange } from './util';
+
+const MAX_DETAIL_LENGTH = 60;
+
+/** Collapses an expression's source onto one line, shortened for display. */
+function summarize(text: string, span: ast.Span): string {
+	const flat = text.slice(span.start, span.end).replace(/\s+/g, ' ').trim();
+	return flat.length > MAX_DETAIL_LENGTH ? `${flat.slice(0, MAX_DETAIL_LENGTH - 1)}…` : flat;
+}
+
+function unwrap(expression: ast.Expression): ast.Expression {
+	while (expression.type === 'ParenthesizedExpression') {
+		expression = expression.expression;
+	}
+	return expression;
+}
+
+function outlineSymbol(document: TextDocument, text: string, symbol: SentinelSymbol): DocumentSymbol | undefined {
+	const node = symbol.node;
+	const range = toRange(document, node);
+	const selectionRange = toRange(document, symbol.declaration);
+	switch (symbol.kind) {
+		case 'import':
+			if (node.type !== 'ImportDeclaration') {
+				return undefined;
+			}
+			return { name: symbol.name, detail: `import "${node.path.value}"`, kind: SymbolKind.Module, range, selectionRange };
+		case 'param':
+			if (node.type !== 'ParamDeclaration') {
+				return undefined;
+			}
+			return {
+				name: symbol.name,
+				detail: node.default ? `default ${summarize(text, node.default)}` : 'param',
+				kind: SymbolKind.Constant,
+				range,
+				selectionRange
+			};
+		case 'func': {
+			const params = node.type === 'FuncDeclaration'
+				? node.params
+				: node.type === 'Assignment' && node.value.type === 'FuncExpression' ? node.value.params : [];
+			return {
+				name: symbol.name,
+				detail: `func(${params.map(param => param.name).join(', ')})`,
+				kind: SymbolKind.Function,
+				range,
+				selectionRange
+			};
+		}
+		case 'rule': {
+			if (node.type !== 'Assignment') {
+				return undefined;
+			}
+			const rule = unwrap(node.value);
+			const children: DocumentSymbol[] = [];
+			if (rule.type === 'RuleExpression' && rule.when) {
+				children.push({
+					name: `when ${summarize(text, rule.when)}`,
+					kind: SymbolKind.Boolean,
+					range: toRange(document, rule.when),
+					selectionRange: toRange(document, rule.when)
+				});
+			}
+			return { name: symbol.name, detail: 'rule', kind: SymbolKind.Boolean, range, selectionRange, children };
+		}
+		case 'variable':
+			if (node.type !== 'Assignment') {
+				return undefined;
+			}
+			return { name: symbol.name, detail: summarize(text, node.value), kind: SymbolKind.Variable, range, selectionRange };
+		default:
+			return undefined;
+	}
+}
+
+/** Outline of the top-level declarations of a document, in source order. */
+export function outlineSymbols(document: TextDocument, binding: Binding): DocumentSymbol[] {
+	const text = document.getText();
+	const symbols: DocumentSymbol[] = [];
+	for (const symbol of binding.globalScope.symbols.values()) {
+		const outline = outlineSymbol(document, text, symbol);
+		if (outline) {
+			symbols.push(outline);
+		}
+	}
+	return symbols.sort((a, b) => a.range.start.line - b.range.start.line || a.range.start.character - b.range.start.character);
+}
+
+export function provideDocumentSymbols(document: TextDocument): DocumentSymbol[] {
+	return outlineSymbols(document, getBinding(document));
+}
@@ -0,0 +1,860 @@
+/**
+ * An interpreter for Sentinel policies over the server's AST, so policies can
+ * be run against mock data without the Sentinel binary.
+ *
+ * It follows the semantics policies rely on: `undefined` propagates through
+ * expressions until `else` replaces it, rules are evaluated once and only when
+ * something refers to them, quantifiers bind keys and values like Sentinel
+ * does, and the value of `main` decides the result.
+ */
+import * as fs from 'fs';
+import * as ast from './ast';
+import { importName } from './binder';
+import { hclValue } from './mockData';
+import { ParseResult, parse } from './parser';
+import { HttpFixtures, RuntimeContext, builtinFunctions, runtimeImport } from './runtimeImports';
+import {
+	Callable,
+	NativeFunction,
+	RuntimeError,
+	SentinelMap,
+	SentinelObject,
+	Value,
+	compareValues,
+	equals,
+	formatValue,
+	fromPlain,
+	isMap,
+	isNumber,
+	toMapKey,
+	typeOf
+} from './runtimeValues';
+import { ConfiguredImport } from './sentinelConfig';
+import { uriToPath } from './util';
+import { getIndexedFile } from './workspaceIndex';
+
+export interface EvaluationOptions {
+	/** The mocks, modules and static data configured for the policy. */
+	imports?: readonly ConfiguredImport[];
+	/** Values of the policy's params, by name. */
+	params?: ReadonlyMap<string, Value>;
+	/** Variables defined before the policy runs, like `global` blocks in `sentinel.hcl`. */
+	globals?: ReadonlyMap<string, Value>;
+	httpFixtures?: HttpFixtures;
+	/** The time `time.now` returns; defaults to the current time. */
+	now?: Date;
+	/** Rules to evaluate after `main` even if it does not refer to them, as `sentinel test` does for its expectations. */
+	rules?: readonly string[];
+}
+
+export interface RuleResult {
+	name: string;
+	/** The identifier the rule is assigned to. */
+	span: ast.Span;
+	/** False for rules that nothing referred to, which Sentinel never evaluates. */
+	evaluated: boolean;
+	value: Value;
+}
+
+export interface EvaluationResult {
+	/** The value of `main`; `undefined` when it is undefined or the evaluation failed. */
+	result: Value;
+	/** The top-level rules of the policy, in declaration order. */
+	rules: RuleResult[];
+	/** The output of `print` calls, in order. */
+	prints: string[];
+	error?: RuntimeError;
+}
+
+/** A rule, evaluated the first time something refers to it. */
+class Rule {
+	private state: 'pending' | 'evaluating' | 'done' = 'pending';
+	private value: Value;
+
+	constructor(readonly node: ast.RuleExpression, readonly environment: Environment, readonly span: ast.Span) {}
+
+	get evaluated(): boolean {
+		return this.state === 'done';
+	}
+
+	get result(): Value {
+		return this.value;
+	}
+
+	evaluate(evaluation: Evaluation): Value {
+		if (this.state === 'done') {
+			return this.value;
+		}
+		if (this.state === 'evaluating') {
+			throw new RuntimeError('The rule refers to itself.', this.span);
+		}
+		this.state = 'evaluating';
+		try {
+			if (!this.node.when) {
+				this.value = evaluation.evaluate(this.node.body, this.environment);
+			} else {
+				const when = evaluation.evaluate(this.node.when, this.environment);
+				// A rule whose `when` predicate is false passes without evaluating its body.
+				this.value = when === undefined ? undefined
+					: expectBool(when, 'The when predicate', this.node.when) ? evaluation.evaluate(this.node.body, this.environment)
+						: true;
+			}
+			this.state = 'done';
+			return this.value;
+		} finally {
+			if (this.state === 'evaluating') {
+				this.state = 'pending';
+			}
+		}
+	}
+}
+
+type Slot = Value | Rule;
+
+class Environment {
+	private readonly slots: Map<string, Slot> = new Map();
+
+	constructor(readonly parent?: Environment) {}
+
+	private owner(name: string): Environment | undefined {
+		for (let environment: Environment | undefined = this; environment; environment = environment.parent) {
+			if (environment.slots.has(name)) {
+				return environment;
+			}
+		}
+		return undefined;
+	}
+
+	has(name: string): boolean {
+		return this.owner(name) !== undefined;
+	}
+
+	get(name: string): Slot {
+		return this.owner(name)?.slots.get(name);
+	}
+
+	define(name: string, slot: Slot): void {
+		this.slots.set(name, slot);
+	}
+
+	/** Updates the variable where it is visible, or defines it in this scope. */
+	assign(name: string, slot: Slot): void {
+		(this.owner(name) ?? this).slots.set(name, slot);
+	}
+
+	entries(): IterableIterator<[string, Slot]> {
+		return this.slots.entries();
+	}
+}
+
+class UserFunction extends Callable {
+	constructor(
+		readonly name: string,
+		private readonly evaluation: Evaluation,
+		private readonly node: ast.FuncDeclaration | ast.FuncExpression,
+		private readonly closure: Environment
+	) {
+		super();
+	}
+
+	call(args: Value[], span: ast.Span): Value {
+		return this.evaluation.callFunction(this.name, this.node, this.closure, args, span);
+	}
+}
+
+type Signal = { kind: 'return'; value: Value } | { kind: 'break' } | { kind: 'continue' } | undefined;
+
+const MAX_CALL_DEPTH = 256;
+
+/** Translates a Go regular expression's leading flags, such as `(?i)`, to JavaScript. */
+/** The value of an int literal: decimal, octal with a leading `0`, or hexadecimal with `0x`. */
+function intLiteral(literal: ast.NumberLiteral): bigint {
+	try {
+		return BigInt(literal.raw.replace(/^0(?=\d)/, '0o'));
+	} catch {
+		throw new RuntimeError(`Invalid int literal '${literal.raw}'.`, literal);
+	}
+}
+
+function toRegExp(pattern: string, span: ast.Span): RegExp {
+	const flags = /^\(\?([ims]+)\)/.exec(pattern);
+	try {
+		return new RegExp(flags ? pattern.slice(flags[0].length) : pattern, flags?.[1] ?? '');
+	} catch (error) {
+		throw new RuntimeError(`Invalid regular expression: ${(error as Error).message}`, span);
+	}
+}
+
+/** The key and value bindings of iterating over a collection: indexes and elements of lists, keys and values of maps. */
+function iterationOf(collection: Value, span: ast.Span): [Value, Value][] {
+	if (Array.isArray(collection)) {
+		return collection.map((element, i) => [BigInt(i), element]);
+	}
+	if (isMap(collection)) {
+		return [...collection];
+	}
+	throw new RuntimeError(`Cannot iterate over a ${typeOf(collection)}.`, span);
+}
+
+/** Binds `as value` or `as key, value`; a single binding over a map binds its keys. */
+function bindIteration(environment: Environment, collection: Value, keyName: ast.Identifier | undefined, valueName: ast.Identifier, key: Value, value: Value): void {
+	if (keyName) {
+		environment.define(keyName.name, key);
+		environment.define(valueName.name, value);
+	} else {
+		environment.define(valueName.name, isMap(collection) ? key : value);
+	}
+}
+
+function contains(container: Value, item: Value, span: ast.Span): boolean {
+	if (Array.isArray(container)) {
+		return container.some(element => equals(element, item));
+	}
+	if (isMap(container)) {
+		return container.has(toMapKey(item, span));
+	}
+	if (typeof container === 'string' && typeof item === 'string') {
+		return container.includes(item);
+	}
+	throw new RuntimeError(`Cannot look for a ${typeOf(item)} in a ${typeOf(container)}.`, span);
+}
+
+const INT_OPERATIONS: Readonly<Record<string, (a: bigint, b: bigint) => bigint>> = {
+	'+': (a, b) => a + b,
+	'-': (a, b) => a - b,
+	'*': (a, b) => a * b,
+	'/': (a, b) => a / b,
+	'%': (a, b) => a % b
+};
+
+const FLOAT_OPERATIONS: Readonly<Record<string, (a: number, b: number) => number>> = {
+	'+': (a, b) => a + b,
+	'-': (a, b) => a - b,
+	'*': (a, b) => a * b,
+	'/': (a, b) => a / b,
+	'%': (a, b) => a % b
+};
+
+/** Adds, subtracts, multiplies or divides numbers; `+` also joins strings and lists. Ints mixed with floats become floats. */
+function arithmetic(operator: string, left: Value, right: Value, span: ast.Span): Value {
+	if (operator === '+') {
+		if (typeof left === 'string' && typeof right === 'string') {
+			return left + right;
+		}
+		if (Array.isArray(left) && Array.isArray(right)) {
+			return [...left, ...right];
+		}
+	}
+	if (!isNumber(left) || !isNumber(right)) {
+		throw new RuntimeError(`Cannot apply '${operator}' to ${typeOf(left)} and ${typeOf(right)}.`, span);
+	}
+	if (typeof left === 'bigint' && typeof right === 'bigint') {
+		if ((operator === '/' || operator === '%') && right === 0n) {
+			throw new RuntimeError('Division by zero.', span);
+		}
+		return INT_OPERATIONS[operator](left, right);
+	}
+	return FLOAT_OPERATIONS[operator](Number(left), Number(right));
+}
+
+/** Applies a binary operator other than the logical ones and `else` to two defined values. */
+function binary(operator: ast.BinaryOperator, left: Value, right: Value, span: ast.Span): Value {
+	switch (operator) {
+		case '+':
+		case '-':
+		case '*':
+		case '/':
+		case '%':
+			return arithmetic(operator, left, right, span);
+		case '<':
+		case '<=':
+		case '>':
+		case '>=': {
+			const order = compareValues(left, right);
+			if (order === undefined) {
+				throw new RuntimeError(`Cannot compare ${typeOf(left)} and ${typeOf(right)}.`, span);
+			}
+			return operator === '<' ? order < 0 : operator === '<=' ? order <= 0 : operator === '>' ? order > 0 : order >= 0;
+		}
+		case '==':
+		case 'is':
+			return equals(left, right);
+		case '!=':
+		case 'is not':
+			return !equals(left, right);
+		case 'contains':
+			return contains(left, right, span);
+		case 'not contains':
+			return !contains(left, right, span);
+		case 'in':
+			return contains(right, left, span);
+		case 'not in':
+			return !contains(right, left, span);
+		case 'matches':
+		case 'not matches': {
+			if (typeof left !== 'string' || typeof right !== 'string') {
+				throw new RuntimeError(`'${operator}' needs two strings, got ${typeOf(left)} and ${typeOf(right)}.`, span);
+			}
+			const matched = toRegExp(right, span).test(left);
+			return operator === 'matches' ? matched : !matched;
+		}
+		default:
+			throw new RuntimeError(`Unsupported operator '${operator}'.`, span);
+	}
+}
+
+function expectBool(value: Value, what: string, span: ast.Span): boolean {
+	if (typeof value !== 'boolean') {
+		throw new RuntimeError(`${what} must be a bool, got ${typeOf(value)}.`, span);
+	}
+	return value;
+}
+
+function unwrap(expression: ast.Expression): ast.Expression {
+	return expression.type === 'ParenthesizedExpression' ? unwrap(expression.expression) : expression;
+}
+
+/** One run of a policy, with the modules it loaded and the output it printed. */
+class Evaluation {
+	readonly prints: string[] = [];
+	private readonly context: RuntimeContext;
+	private readonly builtins: Map<string, NativeFunction>;
+	private readonly modules: Map<string, SentinelObject> = new Map();
+	private readonly loading: Set<string> = new Set();
+	private callDepth = 0;
+
+	constructor(private readonly options: EvaluationOptions) {
+		this.context = {
+			print: message => this.prints.push(message),
+			now: options.now ?? new Date(),
+			httpFixtures: options.httpFixtures ?? {}
+		};
+		this.builtins = builtinFunctions(this.context);
+	}
+
+	/** Runs the top-level statements of a policy or module; functions are declared before anything runs. */
+	runProgram(program: ast.Program, environment: Environment, isModule: boolean): void {
+		for (const statement of program.body) {
+			if (statement.type === 'FuncDeclaration') {
+				environment.define(statement.name.name, new UserFunction(statement.name.name, this, statement, environment));
+			}
+		}
+		for (const statement of program.body) {
+			if (statement.type === 'ParamDeclaration') {
+				this.declareParam(statement, environment, isModule);
+				continue;
+			}
+			const signal = this.execute(statement, environment);
+			if (signal) {
+				throw new RuntimeError(`'${signal.kind}' is only allowed inside ${signal.kind === 'return' ? 'functions' : 'loops'}.`, statement);
+			}
+		}
+	}
+
+	private declareParam(statement: ast.ParamDeclaration, environment: Environment, isModule: boolean): void {
+		const name = statement.name.name;
+		const value = isModule ? undefined : this.options.params?.get(name);
+		if (value !== undefined) {
+			environment.define(name, value);
+		} else if (statement.default) {
+			environment.define(name, this.evaluate(statement.default, environment));
+		} else {
+			throw new RuntimeError(`No value was given for param '${name}'.`, statement.name);
+		}
+	}
+
+	private importValue(declaration: ast.ImportDeclaration): Value {
+		const path = declaration.path.value;
+		const configured = this.options.imports?.find(entry => entry.name === path);
+		if (!configured) {
+			const value = runtimeImport(path, this.context);
+			if (!value) {
+				throw new RuntimeError(`The evaluator cannot provide import "${path}"; configure a mock for it in sentinel.hcl.`, declaration.path);
+			}
+			return value;
+		}
+		if (configured.kind === 'mock' && configured.data) {
+			return fromPlain(hclValue(configured.data));
+		}
+		if (configured.kind === 'plugin') {
+			throw new RuntimeError(`Plugin import "${path}" cannot be evaluated; configure a mock for it instead.`, declaration.path);
+		}
+		if (!configured.sourceUri) {
+			throw new RuntimeError(`The source of import "${path}" is not a local file.`, declaration.path);
+		}
+		if (configured.kind === 'static') {
+			try {
+				return fromPlain(JSON.parse(fs.readFileSync(uriToPath(configured.sourceUri), 'utf8')));
+			} catch (error) {
+				throw new RuntimeError(`Cannot load the data of import "${path}": ${(error as Error).message}`, declaration.path);
+			}
+		}
+		return this.loadModule(configured.sourceUri, declaration);
+	}
+
+	/** Runs a module or mock file once and returns its top-level values as an import. */
+	private loadModule(uri: string, declaration: ast.ImportDeclaration): SentinelObject {
+		const cached = this.modules.get(uri);
+		if (cached) {
+			return cached;
+		}
+		if (this.loading.has(uri)) {
+			throw new RuntimeError(`Import "${declaration.path.value}" imports itself.`, declaration.path);
+		}
+		let parsed: ParseResult;
+		try {
+			parsed = getIndexedFile(uri)?.parsed ?? parse(fs.readFileSync(uriToPath(uri), 'utf8'));
+		} catch (error) {
+			throw new RuntimeError(`Cannot read the source of import "${declaration.path.value}": ${(error as Error).message}`, declaration.path);
+		}
+		const environment = new Environment();
+		this.loading.add(uri);
+		try {
+			if (parsed.errors.length > 0) {
+				throw new RuntimeError(parsed.errors[0].message, parsed.errors[0]);
+			}
+			this.runProgram(parsed.program, environment, true);
+		} catch (error) {
+			if (error instanceof RuntimeError && !error.uri) {
+				error.uri = uri;
+			}
+			throw error;
+		} finally {
+			this.loading.delete(uri);
+		}
+		const members: Record<string, () => Value> = {};
+		for (const [name] of environment.entries()) {
+			members[name] = () => this.read(environment.get(name));
+		}
+		const module = new SentinelObject('module', members);
+		this.modules.set(uri, module);
+		return module;
+	}
+
+	/** Reads a variable, evaluating it first if it is a rule. */
+	read(slot: Slot): Value {
+		return slot instanceof Rule ? slot.evaluate(this) : slot;
+	}
+
+	callFunction(name: string, node: ast.FuncDeclaration | ast.FuncExpression, closure: Environment, args: Value[], span: ast.Span): Value {
+		if (args.length !== node.params.length) {
+			throw new RuntimeError(`${name} expects ${node.params.length} argument(s), got ${args.length}.`, span);
+		}
+		if (this.callDepth >= MAX_CALL_DEPTH) {
+			throw new RuntimeError('Too many nested function calls.', span);
+		}
+		const environment = new Environment(closure);
+		node.params.forEach((param, i) => environment.define(param.name, args[i]));
+		this.callDepth++;
+		try {
+			const signal = this.executeAll(node.body.body, environment);
+			if (signal?.kind === 'return') {
+				return signal.value;
+			}
+			if (signal) {
+				throw new RuntimeError(`'${signal.kind}' is only allowed inside loops.`, node.body);
+			}
+			throw new RuntimeError(`${name} ended without returning a value.`, node.body);
+		} finally {
+			this.callDepth--;
+		}
+	}
+
+	private executeAll(statements: ast.Statement[], environment: Environment): Signal {
+		for (const statement of statements) {
+			const signal = this.execute(statement, environment);
+			if (signal) {
+				return signal;
+			}
+		}
+		return undefined;
+	}
+
+	private execute(statement: ast.Statement, environment: Environment): Signal {
+		switch (statement.type) {
+			case 'ImportDeclaration': {
+				const name = importName(statement);
+				if (name) {
+					environment.define(name, this.importValue(statement));
+				}
+				return undefined;
+			}
+			case 'ParamDeclaration':
+				throw new RuntimeError('Params can only be declared at the top level.', statement);
+			case 'FuncDeclaration':
+				environment.define(statement.name.name, new UserFunction(statement.name.name, this, statement, environment));
+				return undefined;
+			case 'Assignment':
+				this.assign(statement, environment);
+				return undefined;
+			case 'ExpressionStatement':
+				this.evaluate(statement.expression, environment);
+				return undefined;
+			case 'Block':
+				return this.executeAll(statement.body, new Environment(environment));
+			case 'IfStatement': {
+				const test = this.evaluate(statement.test, environment);
+				if (expectBool(test, 'The if condition', statement.test)) {
+					return this.executeAll(statement.consequent.body, new Environment(environment));
+				}
+				return statement.alternate ? this.execute(statement.alternate, environment) : undefined;
+			}
+			case 'ForStatement': {
+				const collection = this.evaluate(statement.collection, environment);
+				if (collection === undefined) {
+					return undefined;
+				}
+				for (const [key, value] of iterationOf(collection, statement.collection)) {
+					const scope = new Environment(environment);
+					bindIteration(scope, collection, statement.key, statement.value, key, value);
+					const signal = this.executeAll(statement.body.body, scope);
+					if (signal?.kind === 'break') {
+						break;
+					}
+					if (signal?.kind === 'return') {
+						return signal;
+					}
+				}
+				return undefined;
+			}
+			case 'CaseStatement':
+				return this.executeCase(statement, environment);
+			case 'ReturnStatement':
+				return { kind: 'return', value: statement.argument ? this.evaluate(statement.argument, environment) : undefined };
+			case 'BreakStatement':
+				return { kind: 'break' };
+			case 'ContinueStatement':
+				return { kind: 'continue' };
+		}
+	}
+
+	/** Runs the first clause with a `when` value equal to the discriminant, or that is true without one. */
+	private executeCase(statement: ast.CaseStatement, environment: Environment): Signal {
+		const discriminant = statement.discriminant && this.evaluate(statement.discriminant, environment);
+		let chosen = statement.clauses.find(clause => clause.tests.some(test => {
+			const value = this.evaluate(test, environment);
+			return statement.discriminant ? equals(discriminant, value) : value === true;
+		}));
+		chosen ??= statement.clauses.find(clause => clause.isElse);
+		return chosen ? this.executeAll(chosen.body, new Environment(environment)) : undefined;
+	}
+
+	private assign(statement: ast.Assignment, environment: Environment): void {
+		const target = statement.target;
+		const value = unwrap(statement.value);
+		if (target.type === 'Identifier' && statement.operator === '=' && value.type === 'RuleExpression') {
+			environment.assign(target.name, new Rule(value, environment, target));
+			return;
+		}
+		const compound = statement.operator === '=' ? undefined : statement.operator.slice(0, -1) as ast.BinaryOperator;
+		const combine = (current: Value): Value => {
+			const right = this.evaluate(statement.value, environment);
+			if (!compound) {
+				return right;
+			}
+			return current === undefined || right === undefined ? undefined : binary(compound, current, right, statement);
+		};
+		if (target.type === 'Identifier') {
+			if (compound && !environment.has(target.name)) {
+				throw new RuntimeError(`'${target.name}' is not defined.`, target);
+			}
+			environment.assign(target.name, combine(compound ? this.read(environment.get(target.name)) : undefined));
+			return;
+		}
+		if (target.type !== 'IndexExpression' && target.type !== 'MemberExpression') {
+			throw new RuntimeError('Only variables, list elements and map keys can be assigned to.', target);
+		}
+		const container = this.evaluate(target.object, environment);
+		const key = target.type === 'MemberExpression' ? target.property.name : this.evaluate(target.index, environment);
+		if (isMap(container)) {
+			const mapKey = toMapKey(key, target);
+			container.set(mapKey, combine(container.get(mapKey)));
+		} else if (Array.isArray(container)) {
+			const index = typeof key === 'bigint' ? Number(key < 0n ? BigInt(container.length) + key : key) : -1;
+			if (index < 0 || index >= container.length) {
+				throw new RuntimeError(`Index ${formatValue(key)} is out of range for a list of length ${container.length}.`, target);
+			}
+			container[index] = combine(container[index]);
+		} else {
+			throw new RuntimeError(`Cannot assign into a ${typeOf(container)}.`, target);
+		}
+	}
+
+	evaluate(expression: ast.Expression, environment: Environment): Value {
+		switch (expression.type) {
+			case 'Identifier': {
+				if (environment.has(expression.name)) {
+					return this.read(environment.get(expression.name));
+				}
+				const builtin = this.builtins.get(expression.name);
+				if (!builtin) {
+					throw new RuntimeError(`'${expression.name}' is not defined.`, expression);
+				}
+				return builtin;
+			}
+			case 'NumberLiteral':
+				return expression.isFloat ? expression.value : intLiteral(expression);
+			case 'StringLiteral':
+			case 'BooleanLiteral':
+				return expression.value;
+			case 'NullLiteral':
+				return null;
+			case 'UndefinedLiteral':
+				return undefined;
+			case 'ListLiteral':
+				return expression.elements.map(element => this.evaluate(element, environment));
+			case 'MapLiteral':
+				return new Map(expression.entries.map(entry => [
+					toMapKey(this.evaluate(entry.key, environment), entry.key),
+					this.evaluate(entry.value, environment)
+				]));
+			case 'ParenthesizedExpression':
+				return this.evaluate(expression.expression, environment);
+			case 'UnaryExpression':
+				return this.evaluateUnary(expression, environment);
+			case 'BinaryExpression':
+				return this.evaluateBinary(expression, environment);
+			case 'MemberExpression':
+				return this.evaluateMember(expression, environment);
+			case 'IndexExpression':
+				return this.evaluateIndex(expression, environment);
+			case 'SliceExpression':
+				return this.evaluateSlice(expression, environment);
+			case 'CallExpression': {
+				const callee = this.evaluate(expression.callee, environment);
+				if (callee === undefined) {
+					return undefined;
+				}
+				if (!(callee instanceof Callable)) {
+					throw new RuntimeError(`A ${typeOf(callee)} cannot be called.`, expression.callee);
+				}
+				const args = expression.args.map(arg => this.evaluate(arg, environment));
+				return callee.call(args, expression);
+			}
+			case 'RuleExpression':
+				return new Rule(expression, environment, expression).evaluate(this);
+			case 'FuncExpression':
+				return new UserFunction('func', this, expression, environment);
+			case 'QuantifierExpression':
+				return this.evaluateQuantifier(expression, environment);
+			case 'ComprehensionExpression':
+				return this.evaluateComprehension(expression, environment);
+			case 'BadExpression':
+				throw new RuntimeError('Cannot evaluate an expression with syntax errors.', expression);
+		}
+	}
+
+	private evaluateUnary(expression: ast.UnaryExpression, environment: Environment): Value {
+		const argument = this.evaluate(expression.argument, environment);
+		if (argument === undefined) {
+			return undefined;
+		}
+		if (expression.operator === '!' || expression.operator === 'not') {
+			return !expectBool(argument, `The operand of '${expression.operator}'`, expression);
+		}
+		if (!isNumber(argument)) {
+			throw new RuntimeError(`Cannot apply '${expression.operator}' to a ${typeOf(argument)}.`, expression);
+		}
+		return expression.operator === '-' ? -argument : argument;
+	}
+
+	private evaluateBinary(expression: ast.BinaryExpression, environment: Environment): Value {
+		const { operator } = expression;
+		if (operator === 'else') {
+			const left = this.evaluate(expression.left, environment);
+			return left !== undefined ? left : this.evaluate(expression.right, environment);
+		}
+		if (operator === 'and' || operator === 'or' || operator === 'xor') {
+			// An operand that decides the result, `false` for `and` and `true`
+			// for `or`, does so even when the other operand is undefined.
+			const decides = (value: boolean) => (operator === 'and' && !value) || (operator === 'or' && value);
+			const left = this.evaluate(expression.left, environment);
+			const a = left === undefined ? undefined : expectBool(left, `The left operand of '${operator}'`, expression.left);
+			if (a !== undefined && decides(a)) {
+				return a;
+			}
+			const right = this.evaluate(expression.right, environment);
+			if (right === undefined) {
+				return undefined;
+			}
+			const b = expectBool(right, `The right operand of '${operator}'`, expression.right);
+			if (a === undefined) {
+				return decides(b) ? b : undefined;
+			}
+			return operator === 'xor' ? a !== b : b;
+		}
+		const left = this.evaluate(expression.left, environment);
+		const right = this.evaluate(expression.right, environment);
+		if (left === undefined || right === undefined) {
+			return undefined;
+		}
+		return binary(operator, left, right, expression.operatorSpan);
+	}
+
+	private evaluateMember(expression: ast.MemberExpression, environment: Environment): Value {
+		const object = this.evaluate(expression.object, environment);
+		const name = expression.property.name;
+		if (object === undefined || object === null) {
+			return undefined;
+		}
+		if (isMap(object)) {
+			return object.get(name);
+		}
+		if (object instanceof SentinelObject) {
+			return object.get(name);
+		}
+		throw new RuntimeError(`Cannot select '${name}' from a ${typeOf(object)}.`, expression.property);
+	}
+
+	private evaluateIndex(expression: ast.IndexExpression, environment: Environment): Value {
+		const object = this.evaluate(expression.object, environment);
+		const index = this.evaluate(expression.index, environment);
+		if (object === undefined || object === null || index === undefined) {
+			return undefined;
+		}
+		if (isMap(object)) {
+			return object.get(toMapKey(index, expression.index));
+		}
+		if (Array.isArray(object)) {
+			if (typeof index !== 'bigint') {
+				throw new RuntimeError(`List indexes must be ints, got ${typeOf(index)}.`, expression.index);
+			}
+			return object[Number(index < 0n ? BigInt(object.length) + index : index)];
+		}
+		throw new RuntimeError(`Cannot index a ${typeOf(object)}.`, expression);
+	}
+
+	private evaluateSlice(expression: ast.SliceExpression, environment: Environment): Value {
+		const object = this.evaluate(expression.object, environment);
+		if (object === undefined) {
+			return undefined;
+		}
+		if (typeof object !== 'string' && !Array.isArray(object)) {
+			throw new RuntimeError(`Cannot slice a ${typeOf(object)}.`, expression);
+		}
+		const bound = (node: ast.Expression | undefined, fallback: number): number => {
+			const value = node ? this.evaluate(node, environment) : BigInt(fallback);
+			if (typeof value !== 'bigint') {
+				throw new RuntimeError(`Slice bounds must be ints, got ${typeOf(value)}.`, node ?? expression);
+			}
+			return Number(value);
+		};
+		return object.slice(bound(expression.low, 0), bound(expression.high, object.length));
+	}
+
+	private evaluateQuantifier(expression: ast.QuantifierExpression, environment: Environment): Value {
+		const collection = this.evaluate(expression.collection, environment);
+		if (collection === undefined) {
+			return undefined;
+		}
+		const results: [Value, Value, Value][] = [];
+		for (const [key, value] of iterationOf(collection, expression.collection)) {
+			const scope = new Environment(environment);
+			bindIteration(scope, collection, expression.key, expression.value, key, value);
+			const result = this.evaluate(expression.body, scope);
+			if (expression.quantifier === 'map') {
+				results.push([key, value, result]);
+				continue;
+			}
+			if (result === undefined) {
+				return undefined;
+			}
+			const passed = expectBool(result, `The body of '${expression.quantifier}'`, expression.body);
+			if (expression.quantifier === 'all' && !passed) {
+				return false;
+			}
+			if (expression.quantifier === 'any' && passed) {
+				return true;
+			}
+			if (passed) {
+				results.push([key, value, result]);
+			}
+		}
+		switch (expression.quantifier) {
+			case 'all':
+				return true;
+			case 'any':
+				return false;
+			case 'map':
+				return results.map(([, , result]) => result);
+			case 'filter':
+				return isMap(collection)
+					? new Map(results.map(([key, value]) => [toMapKey(key), value]))
+					: results.map(([, value]) => value);
+		}
+	}
+
+	private evaluateComprehension(expression: ast.ComprehensionExpression, environment: Environment): Value {
+		const collection = this.evaluate(expression.collection, environment);
+		if (collection === undefined) {
+			return undefined;
+		}
+		const list: Value[] = [];
+		const map: SentinelMap = new Map();
+		for (const [key, value] of iterationOf(collection, expression.collection)) {
+			const scope = new Environment(environment);
+			bindIteration(scope, collection, expression.key, expression.value, key, value);
+			if (expression.condition && !expectBool(this.evaluate(expression.condition, scope), 'The comprehension condition', expression.condition)) {
+				continue;
+			}
+			const element = this.evaluate(expression.element, scope);
+			if (expression.kind === 'list') {
+				list.push(element);
+			} else {
+				map.set(toMapKey(element, expression.element), expression.elementValue && this.evaluate(expression.elementValue, scope));
+			}
+		}
+		return expression.kind === 'list' ? list : map;
+	}
+
+	/** The top-level rules of a policy environment, in declaration order. */
+	rulesOf(environment: Environment): RuleResult[] {
+		const rules: RuleResult[] = [];
+		for (const [name, slot] of environment.entries()) {
+			if (slot instanceof Rule) {
+				rules.push({ name, span: slot.span, evaluated: slot.evaluated, value: slot.result });
+			}
+		}
+		return rules.sort((a, b) => a.span.start - b.span.start);
+	}
+}
+
+/**
+ * Evaluates a policy: runs its top-level statements, then `main`. Rules that
+ * `main` does not reach are reported as not evaluated. Errors, including
+ * syntax errors, end the evaluation and are returned rather than thrown.
+ */
+export function evaluatePolicy(parsed: ParseResult, options: EvaluationOptions = {}): EvaluationResult {
+	const evaluation = new Evaluation(options);
+	const environment = new Environment();
+	const finish = (result: Value, error?: RuntimeError): EvaluationResult =>
+		({ result, rules: evaluation.rulesOf(environment), prints: evaluation.prints, error });
+	try {
+		if (parsed.errors.length > 0) {
+			throw new RuntimeError(parsed.errors[0].message, parsed.errors[0]);
+		}
+		options.globals?.forEach((value, name) => environment.define(name, value));
+		evaluation.runProgram(parsed.program, environment, false);
+		if (!environment.has('main')) {
+			throw new RuntimeError("The policy does not define 'main'.");
+		}
+		const result = evaluation.read(environment.get('main'));
+		if (result !== undefined && typeof result !== 'boolean') {
+			throw new RuntimeError(`'main' must be a bool, got ${typeOf(result)}.`);
+		}
+		for (const name of options.rules ?? []) {
+			if (environment.has(name)) {
+				evaluation.read(environment.get(name));
+			}
+		}
+		return finish(result);
+	} catch (error) {
+		if (error instanceof RuntimeError) {
+			return finish(undefined, error);
+		}
+		if (error instanceof RangeError) {
+			return finish(undefined, new RuntimeError(error.message));
+		}
+		throw error;
+	}
+}
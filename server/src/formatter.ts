@@ -0,0 +1,398 @@
+/**
+ * Formatter producing the canonical `sentinel fmt` layout without needing the
+ * Sentinel binary.
+ *
+ * Formatting works on the token stream, line by line: line breaks chosen by the
+ * author are kept, while indentation, spacing between tokens, alignment of map
+ * literal values and blank lines are normalised. The parse tree is only used to
+ * classify braces, so comments never need to be re-attached to nodes. Documents
+ * with syntax errors are left untouched.
+ */
+import { Range, TextEdit } from 'vscode-languageserver/node';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import * as ast from './ast';
+import { getParseResult } from './documentCache';
+import { Token } from './lexer';
+import { ParseResult } from './parser';
+
+interface Piece {
+	text: string;
+	start: number;
+	end: number;
+	kind: Token['kind'] | 'comment';
+	/** True for `//` and `#` comments, which always end their line. */
+	lineComment?: boolean;
+}
+
+/** A source line, or several lines joined by a multi-line comment or string. */
+interface LineGroup {
+	firstLine: number;
+	lastLine: number;
+	pieces: Piece[];
+}
+
+type BraceKind = 'block' | 'case' | 'map' | 'expression';
+
+interface OpenBracket {
+	text: string;
+	/** For `[`: whether it indexes a value rather than starting a list literal. */
+	isIndex: boolean;
+	braceKind?: BraceKind;
+	start: number;
+}
+
+/** One indentation level: the brackets left open at the end of a single line. */
+interface IndentLevel {
+	open: number;
+	/** Kind of the last bracket opened on the line, which decides how its contents are laid out. */
+	braceKind?: BraceKind;
+}
+
+const OPENERS: ReadonlySet<string> = new Set(['(', '[', '{']);
+const CLOSERS: ReadonlySet<string> = new Set([')', ']', '}']);
+const BINARY_PUNCTUATION: ReadonlySet<string> = new Set([
+	'+', '-', '*', '/', '%', '==', '!=', '<', '<=', '>', '>=',
+	'=', '+=', '-=', '*=', '/=', '%='
+]);
+const BINARY_KEYWORDS: ReadonlySet<string> = new Set(['and', 'or', 'xor', 'is', 'not', 'contains', 'in', 'matches']);
+const VALUE_KEYWORDS: ReadonlySet<string> = new Set(['true', 'false', 'null', 'undefined']);
+
+function isPunct(piece: Piece | undefined, text?: string): boolean {
+	return !!piece && piece.kind === 'punct' && (text === undefined || piece.text === text);
+}
+
+/** Whether `piece` ends a value, so that a following `(` or `[` is a call or index. */
+function endsValue(piece: Piece | undefined): boolean {
+	if (!piece) {
+		return false;
+	}
+	switch (piece.kind) {
+		case 'ident':
+		case 'string':
+		case 'int':
+		case 'float':
+			return true;
+		case 'keyword':
+			return VALUE_KEYWORDS.has(piece.text);
+		case 'punct':
+			return piece.text === ')' || piece.text === ']' || piece.text === '}';
+		default:
+			return false;
+	}
+}
+
+/** Classifies every `{` in the program by what it opens. */
+function classifyBraces(program: ast.Program, tokens: Token[]): Map<number, BraceKind> {
+	const kinds = new Map<number, BraceKind>();
+	const braceAfter = (offset: number) => tokens.find(t => t.start >= offset && t.kind === 'punct' && t.text === '{');
+	ast.walk(program, node => {
+		switch (node.type) {
+			case 'Block':
+				kinds.set(node.start, 'block');
+				break;
+			case 'CaseStatement': {
+				const brace = braceAfter(node.discriminant ? node.discriminant.end : node.start + 'case'.length);
+				if (brace) {
+					kinds.set(brace.start, 'case');
+				}
+				break;
+			}
+			case 'MapLiteral':
+				kinds.set(node.start, 'map');
+				break;
+			case 'ComprehensionExpression':
+				if (node.kind === 'map') {
+					kinds.set(node.start, 'map');
+				}
+				break;
+		}
+	});
+	return kinds;
+}
+
+function collectPieces(parsed: ParseResult): Piece[] {
+	const pieces: Piece[] = parsed.tokens
+		.filter(token => token.kind !== 'eof')
+		.map(token => ({ text: token.text, start: token.start, end: token.end, kind: token.kind }));
+	for (const comment of parsed.comments) {
+		pieces.push({
+			text: comment.kind === 'line' ? comment.text.trimEnd() : comment.text,
+			start: comment.start,
+			end: comment.end,
+			kind: 'comment',
+			lineComment: comment.kind === 'line'
+		});
+	}
+	return pieces.sort((a, b) => a.start - b.start);
+}
+
+function groupLines(document: TextDocument, pieces: Piece[]): LineGroup[] {
+	const groups: LineGroup[] = [];
+	// The empty "line" after a final newline is not part of the content.
+	const lineCount = document.getText().endsWith('\n') ? document.lineCount - 1 : document.lineCount;
+	let index = 0;
+	for (let line = 0; line < lineCount; line++) {
+		const group: LineGroup = { firstLine: line, lastLine: line, pieces: [] };
+		while (index < pieces.length && document.positionAt(pieces[index].start).line <= group.lastLine) {
+			const piece = pieces[index++];
+			group.pieces.push(piece);
+			group.lastLine = Math.max(group.lastLine, document.positionAt(piece.end).line);
+		}
+		groups.push(group);
+		line = group.lastLine;
+	}
+	return groups;
+}
+
+/** Separator between two adjacent pieces on the same line. */
+function separator(prev: Piece, cur: Piece, prevIsUnary: boolean, innermost: OpenBracket | undefined): string {
+	if (prev.kind === 'comment' || cur.kind === 'comment') {
+		return ' ';
+	}
+	if (isPunct(cur, ')') || isPunct(cur, ']') || isPunct(cur, ',') || isPunct(cur, ';') || isPunct(cur, '.') || isPunct(prev, '.')) {
+		return '';
+	}
+	if (isPunct(prev, '(') || isPunct(prev, '[')) {
+		return '';
+	}
+	if (isPunct(cur, ':')) {
+		return '';
+	}
+	if (isPunct(prev, ':')) {
+		return innermost?.text === '[' && innermost.isIndex ? '' : ' ';
+	}
+	if (prevIsUnary) {
+		return '';
+	}
+	if (isPunct(cur, '(')) {
+		return endsValue(prev) || (prev.kind === 'keyword' && prev.text === 'func') ? '' : ' ';
+	}
+	if (isPunct(cur, '[')) {
+		return endsValue(prev) && !isPunct(prev, '}') ? '' : ' ';
+	}
+	if (isPunct(cur, '}') && isPunct(prev, '{')) {
+		return '';
+	}
+	return ' ';
+}
+
+function isUnaryOperator(piece: Piece, prev: Piece | undefined): boolean {
+	if (!isPunct(piece, '-') && !isPunct(piece, '+') && !isPunct(piece, '!')) {
+		return false;
+	}
+	return !endsValue(prev);
+}
+
+/** Whether a line ending in `piece` continues onto the next line. */
+function endsWithOperator(piece: Piece | undefined): boolean {
+	if (!piece) {
+		return false;
+	}
+	return (piece.kind === 'punct' && BINARY_PUNCTUATION.has(piece.text))
+		|| (piece.kind === 'keyword' && BINARY_KEYWORDS.has(piece.text));
+}
+
+interface FormattedLine {
+	group: LineGroup;
+	/** Formatted text, or `undefined` when the (blank) line is removed. */
+	text: string | undefined;
+	/** For map entries that can be aligned: the map and the length of the key part including `:`. */
+	alignment?: { mapStart: number; keyLength: number; indent: string };
+}
+
+function formatLines(document: TextDocument, parsed: ParseResult): FormattedLine[] {
+	const pieces = collectPieces(parsed);
+	const braceKinds = classifyBraces(parsed.program, parsed.tokens);
+	const groups = groupLines(document, pieces);
+
+	const brackets: OpenBracket[] = [];
+	const levels: IndentLevel[] = [];
+	const out: FormattedLine[] = [];
+	let previousCode: Piece | undefined;
+	let previousCodeLevelDepth = 0;
+	let lastEmittedBlank = true;
+	let lastEmittedEndsWithOpener = false;
+
+	const closeBracket = (fromCurrentLine: { count: number }) => {
+		brackets.pop();
+		if (fromCurrentLine.count > 0) {
+			fromCurrentLine.count--;
+			return;
+		}
+		const level = levels[levels.length - 1];
+		if (level) {
+			level.open--;
+			if (level.open <= 0) {
+				levels.pop();
+			}
+		}
+	};
+
+	for (let g = 0; g < groups.length; g++) {
+		const group = groups[g];
+		const code = group.pieces;
+
+		if (code.length === 0) {
+			const nextCode = groups.slice(g + 1).find(next => next.pieces.length > 0);
+			const remove = lastEmittedBlank
+				|| lastEmittedEndsWithOpener
+				|| !nextCode
+				|| (isPunct(nextCode.pieces[0]) && CLOSERS.has(nextCode.pieces[0].text));
+			out.push({ group, text: remove ? undefined : '' });
+			if (!remove) {
+				lastEmittedBlank = true;
+			}
+			continue;
+		}
+
+		// Leading closing brackets dedent the line they start.
+		const opened = { count: 0 };
+		let i = 0;
+		while (i < code.length && isPunct(code[i]) && CLOSERS.has(code[i].text)) {
+			closeBracket(opened);
+			i++;
+		}
+
+		const top = levels[levels.length - 1];
+		let depth = levels.length;
+		const first = code[0];
+		const isClauseHeader = top?.braceKind === 'case'
+			&& first.kind === 'keyword'
+			&& (first.text === 'when' || (first.text === 'else' && isPunct(code[1], ':')));
+		if (isClauseHeader) {
+			depth--;
+		}
+		const atStatementLevel = !top || top.braceKind === 'block' || top.braceKind === 'case';
+		const isContinuation = first.kind !== 'comment'
+			&& atStatementLevel
+			&& endsWithOperator(previousCode)
+			&& previousCodeLevelDepth === levels.length
+			&& !(isPunct(first) && CLOSERS.has(first.text));
+		if (isContinuation) {
+			depth++;
+		}
+		const indent = '\t'.repeat(Math.max(depth, 0));
+
+		let text = '';
+		let alignment: FormattedLine['alignment'];
+		const innermostAtStart = brackets[brackets.length - 1];
+		const isMapEntryLine = innermostAtStart?.braceKind === 'map' && i === 0;
+		let prevIsUnary = false;
+		for (let p = 0; p < code.length; p++) {
+			const piece = code[p];
+			const prev = code[p - 1];
+			if (p > 0) {
+				text += separator(prev, piece, prevIsUnary, brackets[brackets.length - 1]);
+			}
+			text += piece.text;
+			prevIsUnary = isUnaryOperator(piece, prev);
+			if (p >= i && isPunct(piece) && OPENERS.has(piece.text)) {
+				brackets.push({
+					text: piece.text,
+					isIndex: piece.text === '[' && endsValue(prev),
+					braceKind: piece.text === '{' ? (braceKinds.get(piece.start) ?? 'expression') : undefined,
+					start: piece.start
+				});
+				opened.count++;
+			} else if (p >= i && isPunct(piece) && CLOSERS.has(piece.text)) {
+				closeBracket(opened);
+			}
+			if (isMapEntryLine && !alignment && isPunct(piece, ':') && brackets[brackets.length - 1] === innermostAtStart
+				&& p < code.length - 1 && code[p + 1].kind !== 'comment') {
+				alignment = { mapStart: innermostAtStart.start, keyLength: text.length, indent };
+			}
+		}
+
+		if (opened.count > 0) {
+			levels.push({ open: opened.count, braceKind: brackets[brackets.length - 1].braceKind });
+		}
+
+		const lastCode = [...code].reverse().find(piece => piece.kind !== 'comment');
+		if (lastCode) {
+			previousCode = lastCode;
+			previousCodeLevelDepth = levels.length;
+		}
+		lastEmittedBlank = false;
+		lastEmittedEndsWithOpener = !!lastCode && lastCode === code[code.length - 1] && isPunct(lastCode) && OPENERS.has(lastCode.text);
+		out.push({ group, text: indent + text, alignment });
+	}
+
+	alignMapEntries(out);
+	return out;
+}
+
+/** Pads consecutive entries of the same multi-line map literal so their values line up. */
+function alignMapEntries(lines: FormattedLine[]): void {
+	let run: FormattedLine[] = [];
+	const flush = () => {
+		if (run.length > 1) {
+			const width = Math.max(...run.map(line => line.alignment!.keyLength));
+			for (const line of run) {
+				const { keyLength, indent } = line.alignment!;
+				const body = line.text!.slice(indent.length);
+				line.text = indent + body.slice(0, keyLength) + ' '.repeat(width - keyLength + 1) + body.slice(keyLength).trimStart();
+			}
+		}
+		run = [];
+	};
+	for (const line of lines) {
+		if (line.text === undefined) {
+			continue;
+		}
+		if (line.alignment && (run.length === 0 || run[0].alignment!.mapStart === line.alignment.mapStart)) {
+			run.push(line);
+			continue;
+		}
+		flush();
+		if (line.alignment) {
+			run.push(line);
+		}
+	}
+	flush();
+}
+
+/** The range of a line group, excluding its line terminator. */
+function lineRange(document: TextDocument, group: LineGroup): Range {
+	const text = document.getText();
+	let end = group.lastLine + 1 < document.lineCount
+		? document.offsetAt({ line: group.lastLine + 1, character: 0 })
+		: text.length;
+	if (text[end - 1] === '\n') {
+		end--;
+	}
+	if (text[end - 1] === '\r') {
+		end--;
+	}
+	return { start: { line: group.firstLine, character: 0 }, end: document.positionAt(end) };
+}
+
+/**
+ * Computes the edits that format `document`, or only the lines overlapping
+ * `range` when one is given.
+ */
+export function formatDocument(document: TextDocument, range?: Range): TextEdit[] {
+	const parsed = getParseResult(document);
+	if (parsed.errors.length > 0) {
+		return [];
+	}
+	const edits: TextEdit[] = [];
+	const endsWithNewline = document.getText().endsWith('\n');
+	for (const line of formatLines(document, parsed)) {
+		const { group } = line;
+		if (range && (group.lastLine < range.start.line || group.firstLine > range.end.line)) {
+			continue;
+		}
+		let text = line.text;
+		// Files end with exactly one newline.
+		if (!endsWithNewline && group.lastLine === document.lineCount - 1 && text) {
+			text += '\n';
+		}
+		const current = lineRange(document, group);
+		if (text === undefined && group.lastLine + 1 < document.lineCount) {
+			edits.push(TextEdit.del({ start: current.start, end: { line: group.lastLine + 1, character: 0 } }));
+		} else if (document.getText(current) !== (text ?? '')) {
+			edits.push(TextEdit.replace(current, text ?? ''));
+		}
+	}
+	return edits;
+}
@@ -0,0 +1,520 @@
+/**
+ * Error-tolerant parser for the HCL subset used by Sentinel configuration
+ * files (`sentinel.hcl` and test cases): attributes, labelled blocks and
+ * literal, collection, reference and function call expressions.
+ *
+ * Like the policy parser, it never throws; problems are collected in `errors`
+ * and parsing resumes at the next line.
+ */
+import { Comment, SyntaxError } from './lexer';
+
+export interface HclSpan {
+	start: number;
+	end: number;
+}
+
+export interface HclName extends HclSpan {
+	name: string;
+}
+
+export interface HclLabel extends HclSpan {
+	value: string;
+}
+
+export interface HclAttribute extends HclSpan {
+	type: 'Attribute';
+	name: HclName;
+	value: HclExpression;
+}
+
+export interface HclBlock extends HclSpan {
+	type: 'Block';
+	blockType: HclName;
+	labels: HclLabel[];
+	body: HclBody;
+}
+
+export interface HclBody extends HclSpan {
+	items: (HclAttribute | HclBlock)[];
+}
+
+export interface HclLiteral extends HclSpan {
+	type: 'Literal';
+	kind: 'string' | 'number' | 'bool' | 'null';
+	/** Decoded value; interpolations in strings are kept as written. */
+	value: string | number | boolean | null;
+}
+
+export interface HclTuple extends HclSpan {
+	type: 'Tuple';
+	items: HclExpression[];
+}
+
+export interface HclObjectItem extends HclSpan {
+	key: HclExpression;
+	value: HclExpression;
+}
+
+export interface HclObject extends HclSpan {
+	type: 'Object';
+	items: HclObjectItem[];
+}
+
+/** A variable reference with optional attribute and index traversal, such as `local.tags[0]`. */
+export interface HclReference extends HclSpan {
+	type: 'Reference';
+	path: string[];
+}
+
+export interface HclCall extends HclSpan {
+	type: 'Call';
+	name: HclName;
+	args: HclExpression[];
+}
+
+/** Any other expression (operators, conditionals); only its extent is kept. */
+export interface HclOther extends HclSpan {
+	type: 'Other';
+}
+
+export type HclExpression = HclLiteral | HclTuple | HclObject | HclReference | HclCall | HclOther;
+
+export interface HclParseResult {
+	body: HclBody;
+	comments: Comment[];
+	errors: SyntaxError[];
+}
+
+// ---- Lexer -----------------------------------------------------------------
+
+type HclTokenKind = 'ident' | 'number' | 'string' | 'heredoc' | 'punct' | 'newline' | 'invalid' | 'eof';
+
+interface HclToken {
+	kind: HclTokenKind;
+	text: string;
+	/** Decoded contents of `string` and `heredoc` tokens. */
+	value?: string;
+	start: number;
+	end: number;
+}
+
+const HCL_PUNCTUATION = [
+	'==', '!=', '<=', '>=', '&&', '||', '=>', '...',
+	'{', '}', '[', ']', '(', ')', '=', ',', '.', ':', '?', '!',
+	'+', '-', '*', '/', '%', '<', '>'
+];
+
+const HCL_ESCAPES: Record<string, string> = { 'n': '\n', 'r': '\r', 't': '\t', '"': '"', '\\': '\\' };
+
+function tokenizeHcl(text: string, comments: Comment[], errors: SyntaxError[]): HclToken[] {
+	const tokens: HclToken[] = [];
+	let pos = 0;
+	const push = (kind: HclTokenKind, start: number, value?: string) =>
+		tokens.push({ kind, text: text.slice(start, pos), value, start, end: pos });
+
+	while (pos < text.length) {
+		const ch = text[pos];
+		const start = pos;
+		if (ch === '\n') {
+			pos++;
+			push('newline', start);
+		} else if (ch === ' ' || ch === '\t' || ch === '\r') {
+			pos++;
+		} else if (ch === '#' || text.startsWith('//', pos)) {
+			while (pos < text.length && text[pos] !== '\n') {
+				pos++;
+			}
+			comments.push({ kind: 'line', text: text.slice(start, pos), start, end: pos });
+		} else if (text.startsWith('/*', pos)) {
+			const close = text.indexOf('*/', pos + 2);
+			pos = close === -1 ? text.length : close + 2;
+			if (close === -1) {
+				errors.push({ message: 'Unterminated block comment.', start, end: pos });
+			}
+			comments.push({ kind: 'block', text: text.slice(start, pos), start, end: pos });
+		} else if (/[A-Za-z_]/.test(ch)) {
+			while (pos < text.length && /[A-Za-z0-9_-]/.test(text[pos])) {
+				pos++;
+			}
+			push('ident', start);
+		} else if (/[0-9]/.test(ch)) {
+			const match = /^[0-9]+(\.[0-9]+)?([eE][+-]?[0-9]+)?/.exec(text.slice(pos))!;
+			pos += match[0].length;
+			push('number', start);
+		} else if (ch === '"') {
+			pos++;
+			let value = '';
+			let depth = 0;
+			let closed = false;
+			while (pos < text.length && text[pos] !== '\n') {
+				const c = text[pos];
+				if (depth === 0 && c === '"') {
+					pos++;
+					closed = true;
+					break;
+				}
+				if (c === '\\' && pos + 1 < text.length) {
+					value += HCL_ESCAPES[text[pos + 1]] ?? text[pos + 1];
+					pos += 2;
+					continue;
+				}
+				// Template interpolations may contain quoted strings of their own.
+				if ((c === '$' || c === '%') && text[pos + 1] === '{') {
+					depth++;
+					value += text.slice(pos, pos + 2);
+					pos += 2;
+					continue;
+				}
+				if (depth > 0 && c === '}') {
+					depth--;
+				}
+				value += c;
+				pos++;
+			}
+			if (!closed) {
+				errors.push({ message: 'Unterminated string.', start, end: pos });
+			}
+			push('string', start, value);
+		} else if (text.startsWith('<<', pos) && /^<<-?[A-Za-z_][A-Za-z0-9_]*/.test(text.slice(pos))) {
+			const header = /^<<-?([A-Za-z_][A-Za-z0-9_]*)/.exec(text.slice(pos))!;
+			const lineEnd = text.indexOf('\n', pos);
+			const marker = new RegExp(`^[ \\t]*${header[1]}[ \\t]*$`, 'm');
+			const rest = lineEnd === -1 ? null : marker.exec(text.slice(lineEnd + 1));
+			if (!rest || lineEnd === -1) {
+				pos = text.length;
+				errors.push({ message: `Unterminated heredoc; expected a closing '${header[1]}' line.`, start, end: pos });
+				push('heredoc', start, '');
+			} else {
+				const bodyStart = lineEnd + 1;
+				pos = bodyStart + rest.index + rest[0].length;
+				push('heredoc', start, text.slice(bodyStart, bodyStart + rest.index));
+			}
+		} else {
+			const punct = HCL_PUNCTUATION.find(p => text.startsWith(p, pos));
+			if (punct) {
+				pos += punct.length;
+				push('punct', start);
+			} else {
+				pos++;
+				errors.push({ message: `Unexpected character '${ch}'.`, start, end: pos });
+				push('invalid', start);
+			}
+		}
+	}
+	tokens.push({ kind: 'eof', text: '', start: text.length, end: text.length });
+	return tokens;
+}
+
+// ---- Parser ----------------------------------------------------------------
+
+const CLOSING: Record<string, string> = { '{': '}', '[': ']', '(': ')' };
+
+class HclParser {
+	private pos = 0;
+
+	constructor(
+		private readonly tokens: HclToken[],
+		private readonly errors: SyntaxError[]
+	) { }
+
+	private peek(offset = 0): HclToken {
+		return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+	}
+
+	private next(): HclToken {
+		const token = this.peek();
+		if (token.kind !== 'eof') {
+			this.pos++;
+		}
+		return token;
+	}
+
+	private isPunct(text: string, token = this.peek()): boolean {
+		return token.kind === 'punct' && token.text === text;
+	}
+
+	private error(message: string, start: number, end: number): void {
+		if (!this.errors.some(e => e.start === start)) {
+			this.errors.push({ message, start, end });
+		}
+	}
+
+	private skipNewlines(): void {
+		while (this.peek().kind === 'newline') {
+			this.next();
+		}
+	}
+
+	/** Skips the rest of a malformed line, including any brackets opened on it. */
+	private skipLine(): void {
+		let depth = 0;
+		for (let token = this.peek(); token.kind !== 'eof'; token = this.peek()) {
+			if (depth === 0 && (token.kind === 'newline' || this.isPunct('}', token))) {
+				return;
+			}
+			if (token.kind === 'punct' && CLOSING[token.text]) {
+				depth++;
+			} else if (token.kind === 'punct' && Object.values(CLOSING).includes(token.text)) {
+				depth--;
+			}
+			this.next();
+		}
+	}
+
+	parseBody(start: number, closing: boolean): HclBody {
+		const items: HclBody['items'] = [];
+		for (;;) {
+			this.skipNewlines();
+			const token = this.peek();
+			if (token.kind === 'eof' || (closing && this.isPunct('}'))) {
+				return { start, end: token.start, items };
+			}
+			if (token.kind !== 'ident') {
+				this.error(closing ? `Unexpected '${token.text}'; expected an attribute or block.` : `Unexpected '${token.text}'; expected a block.`, token.start, token.end);
+				this.skipLine();
+				if (this.isPunct('}') && !closing) {
+					this.next();
+				}
+				continue;
+			}
+			const item = this.isPunct('=', this.peek(1)) || this.isPunct(':', this.peek(1)) ? this.parseAttribute() : this.parseBlock();
+			if (item) {
+				items.push(item);
+			}
+			const after = this.peek();
+			if (after.kind !== 'newline' && after.kind !== 'eof' && !(closing && this.isPunct('}'))) {
+				this.error(`Unexpected '${after.text}'; expected a new line.`, after.start, after.end);
+				this.skipLine();
+			}
+		}
+	}
+
+	private parseAttribute(): HclAttribute {
+		const nameToken = this.next();
+		this.next(); // `=`
+		const value = this.parseExpression();
+		return {
+			type: 'Attribute',
+			name: { name: nameToken.text, start: nameToken.start, end: nameToken.end },
+			value,
+			start: nameToken.start,
+			end: value.end
+		};
+	}
+
+	private parseBlock(): HclBlock | undefined {
+		const typeToken = this.next();
+		const labels: HclLabel[] = [];
+		while (this.peek().kind === 'string' || this.peek().kind === 'ident') {
+			const label = this.next();
+			labels.push({ value: label.value ?? label.text, start: label.start, end: label.end });
+		}
+		if (!this.isPunct('{')) {
+			const token = this.peek();
+			this.error(`Expected '{' to open the '${typeToken.text}' block.`, token.start, token.end);
+			this.skipLine();
+			return undefined;
+		}
+		const open = this.next();
+		const body = this.parseBody(open.end, true);
+		let end = this.peek().end;
+		if (this.isPunct('}')) {
+			this.next();
+		} else {
+			this.error(`Missing '}' to close the '${typeToken.text}' block.`, typeToken.start, typeToken.end);
+			end = body.end;
+		}
+		return {
+			type: 'Block',
+			blockType: { name: typeToken.text, start: typeToken.start, end: typeToken.end },
+			labels,
+			body,
+			start: typeToken.start,
+			end
+		};
+	}
+
+	private parseExpression(): HclExpression {
+		const first = this.parseOperand();
+		let end = first.end;
+		let combined = false;
+		// Operators and conditionals are not interpreted; keep the whole extent.
+		while (this.peek().kind === 'punct' && ['==', '!=', '<', '<=', '>', '>=', '&&', '||', '+', '-', '*', '/', '%', '?', ':'].includes(this.peek().text)) {
+			this.next();
+			end = this.parseOperand().end;
+			combined = true;
+		}
+		return combined ? { type: 'Other', start: first.start, end } : first;
+	}
+
+	private parseOperand(): HclExpression {
+		const token = this.peek();
+		if (this.isPunct('!') || this.isPunct('-')) {
+			this.next();
+			const operand = this.parseOperand();
+			return { type: 'Other', start: token.start, end: operand.end };
+		}
+		switch (token.kind) {
+			case 'string':
+			case 'heredoc':
+				this.next();
+				return { type: 'Literal', kind: 'string', value: token.value ?? '', start: token.start, end: token.end };
+			case 'number':
+				this.next();
+				return { type: 'Literal', kind: 'number', value: Number(token.text), start: token.start, end: token.end };
+			case 'ident':
+				return this.parseIdentifierExpression();
+			case 'punct':
+				if (token.text === '[') {
+					return this.parseTuple();
+				}
+				if (token.text === '{') {
+					return this.parseObject();
+				}
+				if (token.text === '(') {
+					this.next();
+					const inner = this.parseExpression();
+					const close = this.expect(')');
+					return { type: 'Other', start: token.start, end: close ?? inner.end };
+				}
+				break;
+		}
+		this.error(`Expected an expression, found '${token.kind === 'newline' ? 'end of line' : token.text || 'end of file'}'.`, token.start, token.end);
+		return { type: 'Other', start: token.start, end: token.start };
+	}
+
+	private expect(text: string): number | undefined {
+		this.skipNewlines();
+		if (this.isPunct(text)) {
+			return this.next().end;
+		}
+		const token = this.peek();
+		this.error(`Expected '${text}'.`, token.start, token.end);
+		return undefined;
+	}
+
+	private parseIdentifierExpression(): HclExpression {
+		const token = this.next();
+		if (token.text === 'true' || token.text === 'false') {
+			return { type: 'Literal', kind: 'bool', value: token.text === 'true', start: token.start, end: token.end };
+		}
+		if (token.text === 'null') {
+			return { type: 'Literal', kind: 'null', value: null, start: token.start, end: token.end };
+		}
+		if (this.isPunct('(')) {
+			this.next();
+			const args = this.parseList(')');
+			return { type: 'Call', name: { name: token.text, start: token.start, end: token.end }, args: args.items, start: token.start, end: args.end };
+		}
+		const path = [token.text];
+		let end = token.end;
+		for (;;) {
+			if (this.isPunct('.') && (this.peek(1).kind === 'ident' || this.peek(1).kind === 'number')) {
+				this.next();
+				const part = this.next();
+				path.push(part.text);
+				end = part.end;
+			} else if (this.isPunct('[')) {
+				this.next();
+				this.skipNewlines();
+				const index = this.parseExpression();
+				path.push(index.type === 'Literal' ? String(index.value) : '*');
+				end = this.expect(']') ?? index.end;
+			} else {
+				return { type: 'Reference', path, start: token.start, end };
+			}
+		}
+	}
+
+	/** Parses comma separated expressions up to `closing`, which may span lines. */
+	private parseList(closing: string): { items: HclExpression[]; end: number } {
+		const items: HclExpression[] = [];
+		for (;;) {
+			this.skipNewlines();
+			if (this.isPunct(closing)) {
+				return { items, end: this.next().end };
+			}
+			if (this.peek().kind === 'eof') {
+				const token = this.peek();
+				this.error(`Expected '${closing}'.`, token.start, token.end);
+				return { items, end: token.start };
+			}
+			const before = this.pos;
+			items.push(this.parseExpression());
+			this.skipNewlines();
+			if (this.isPunct(',')) {
+				this.next();
+			} else if (!this.isPunct(closing)) {
+				const token = this.peek();
+				this.error(`Expected ',' or '${closing}'.`, token.start, token.end);
+				if (this.pos === before) {
+					this.next();
+				}
+			}
+		}
+	}
+
+	private parseTuple(): HclTuple {
+		const open = this.next();
+		const { items, end } = this.parseList(']');
+		return { type: 'Tuple', items, start: open.start, end };
+	}
+
+	private parseObject(): HclObject {
+		const open = this.next();
+		const items: HclObjectItem[] = [];
+		for (;;) {
+			this.skipNewlines();
+			const token = this.peek();
+			if (this.isPunct('}')) {
+				this.next();
+				return { type: 'Object', items, start: open.start, end: token.end };
+			}
+			if (token.kind === 'eof') {
+				this.error("Expected '}' to close the object.", open.start, open.end);
+				return { type: 'Object', items, start: open.start, end: token.start };
+			}
+			const before = this.pos;
+			const key = this.parseOperand();
+			if (this.isPunct('=') || this.isPunct(':')) {
+				this.next();
+				const value = this.parseExpression();
+				items.push({ key, value, start: key.start, end: value.end });
+			} else {
+				const next = this.peek();
+				this.error(`Expected '=' after the object key.`, next.start, next.end);
+				this.skipLine();
+			}
+			if (this.isPunct(',')) {
+				this.next();
+			}
+			if (this.pos === before) {
+				this.next();
+			}
+		}
+	}
+}
+
+export function parseHcl(text: string): HclParseResult {
+	const comments: Comment[] = [];
+	const errors: SyntaxError[] = [];
+	const tokens = tokenizeHcl(text, comments, errors);
+	const parser = new HclParser(tokens, errors);
+	const body = parser.parseBody(0, false);
+	return { body, comments, errors };
+}
+
+/** Finds the innermost block whose braces enclose `offset`. */
+export function blockAt(body: HclBody, offset: number): HclBlock | undefined {
+	for (const item of body.items) {
+		if (item.type === 'Block' && item.body.start <= offset && offset <= item.body.end) {
+			return blockAt(item.body, offset) ?? item;
+		}
+	}
+	return undefined;
+}
+
+/** Returns the attribute of `body` named `name`, if any. */
+export function attributeOf(body: HclBody, name: string): HclAttribute | undefined {
+	return body.items.find((item): item is HclAttribute => item.type === 'Attribute' && item.name.name === name);
+}
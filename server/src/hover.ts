@@ -0,0 +1,104 @@
+/**
+ * Hover documentation for standard-library members, module exports, Terraform
+ * import fields, builtins and user symbols, with the inferred types of values.
+ */
+import { Hover, MarkupKind, Position } from 'vscode-languageserver/node';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import * as ast from './ast';
+import { Binding } from './binder';
+import { getBinding, getParseResult } from './documentCache';
+import { availableImports } from './imports';
+import { findExport, moduleOf } from './modules';
+import { documentationOf, findBuiltin, findImport, findMember, findObjectType } from './stdlib';
+import { symbolMarkdown } from './symbolInfo';
+import { describeType, schemaOf } from './terraform';
+import { TypeInference, formatType } from './typeInference';
+import { toRange } from './util';
+
+function markdown(document: TextDocument, span: ast.Span, value: string): Hover {
+	return {
+		contents: { kind: MarkupKind.Markdown, value },
+		range: toRange(document, span)
+	};
+}
+
+/** Returns the catalog import path an expression refers to, if it names a standard import. */
+export function stdlibImportPath(binding: Binding, expression: ast.Expression): string | undefined {
+	if (expression.type !== 'Identifier') {
+		return undefined;
+	}
+	const symbol = binding.resolved.get(expression);
+	if (!symbol || symbol.kind !== 'import' || symbol.node.type !== 'ImportDeclaration') {
+		return undefined;
+	}
+	const path = symbol.node.path.value;
+	return findImport(path) ? path : undefined;
+}
+
+export function provideHover(document: TextDocument, position: Position): Hover | null {
+	const parsed = getParseResult(document);
+	const binding = getBinding(document);
+	const text = document.getText();
+	const offset = document.offsetAt(position);
+	const path = ast.nodePathAt(parsed.program, offset);
+	const node = path[path.length - 1];
+	const parent = path[path.length - 2];
+
+	if (node.type === 'StringLiteral' && parent?.type === 'ImportDeclaration') {
+		const entry = availableImports(document.uri).imports.find(i => i.path === node.value);
+		return entry ? markdown(document, node, `**import "${entry.path}"**\n\n${entry.description}`) : null;
+	}
+	if (node.type !== 'Identifier' || !node.name) {
+		return null;
+	}
+
+	if (parent?.type === 'MemberExpression' && parent.property === node) {
+		const module = moduleOf(document.uri, binding, parent.object);
+		const exported = module && findExport(module, node.name);
+		if (module && exported) {
+			return markdown(document, node, symbolMarkdown(module.document.getText(), module.parsed.comments, exported));
+		}
+		const field = schemaOf(binding, parent);
+		if (field) {
+			return markdown(document, node, `**${node.name}**: \`${describeType(field)}\`\n\n${field.description}`);
+		}
+		const importPath = stdlibImportPath(binding, parent.object);
+		const member = importPath && findMember(findImport(importPath)?.members ?? [], node.name);
+		if (member && parent.object.type === 'Identifier') {
+			return markdown(document, node, documentationOf(member, parent.object.name));
+		}
+		// Members of values such as decimals, and fields of maps.
+		const inference = new TypeInference(binding, availableImports(document.uri));
+		const objectType = inference.typeOf(parent.object);
+		const typeMember = objectType && findMember(findObjectType(objectType.name)?.members ?? [], node.name);
+		if (typeMember) {
+			return markdown(document, node, documentationOf(typeMember));
+		}
+		const type = inference.typeOf(parent);
+		return type ? markdown(document, node, `**${node.name}**: \`${formatType(type)}\``) : null;
+	}
+
+	const symbol = binding.resolved.get(node);
+	if (symbol) {
+		let value = symbolMarkdown(text, parsed.comments, symbol);
+		if (symbol.kind === 'import' && symbol.node.type === 'ImportDeclaration') {
+			const path = symbol.node.path.value;
+			const entry = availableImports(document.uri).imports.find(i => i.path === path);
+			if (entry) {
+				value += `\n\n${entry.description}`;
+			}
+		} else if (symbol.kind !== 'func') {
+			const type = new TypeInference(binding, availableImports(document.uri)).typeOfSymbol(symbol);
+			if (type) {
+				value += `\n\nType: \`${formatType(type)}\``;
+			}
+		}
+		return markdown(document, node, value);
+	}
+
+	const builtin = binding.builtins.includes(node) ? findBuiltin(node.name) : undefined;
+	if (builtin) {
+		return markdown(document, node, documentationOf(builtin));
+	}
+	return null;
+}
@@ -0,0 +1,70 @@
+/**
+ * Resolution of `import` paths: the standard library, the imports Terraform
+ * Cloud and Enterprise provide to policy checks, and the modules, plugins,
+ * static data and mocks configured in the policy's `sentinel.hcl`.
+ */
+import { ConfiguredImport, SentinelConfig, findConfigFor } from './sentinelConfig';
+import { IMPORTS } from './stdlib';
+
+export type ImportOrigin = 'stdlib' | 'terraform' | ConfiguredImport['kind'];
+
+export interface AvailableImport {
+	path: string;
+	origin: ImportOrigin;
+	description: string;
+	/** The configuration entry, for imports declared in `sentinel.hcl`. */
+	configured?: ConfiguredImport;
+}
+
+export interface ImportScope {
+	/** The configuration file the policy resolves imports against, if one was found. */
+	config?: SentinelConfig;
+	imports: AvailableImport[];
+}
+
+export const TERRAFORM_IMPORTS: readonly { path: string; description: string }[] = [
+	{ path: 'tfplan/v2', description: 'The changes in the Terraform plan, with the planned values of every resource.' },
+	{ path: 'tfconfig/v2', description: 'The Terraform configuration: resources, modules, providers, variables and outputs as written.' },
+	{ path: 'tfstate/v2', description: 'The Terraform state, with the values of every resource and data source.' },
+	{ path: 'tfrun', description: 'Metadata of the run: workspace, organization, cost estimate and more.' },
+	{ path: 'tfplan', description: 'The Terraform plan (deprecated v1 schema; prefer `tfplan/v2`).' },
+	{ path: 'tfconfig', description: 'The Terraform configuration (deprecated v1 schema; prefer `tfconfig/v2`).' },
+	{ path: 'tfstate', description: 'The Terraform state (deprecated v1 schema; prefer `tfstate/v2`).' }
+];
+
+const CONFIGURED_DESCRIPTIONS: Record<ConfiguredImport['kind'], string> = {
+	module: 'Sentinel module',
+	plugin: 'Plugin import',
+	static: 'Static data import',
+	mock: 'Mocked import'
+};
+
+function configuredImport(entry: ConfiguredImport): AvailableImport {
+	const source = entry.source ? ` from \`${entry.source}\`` : '';
+	return {
+		path: entry.name,
+		origin: entry.kind,
+		description: `${CONFIGURED_DESCRIPTIONS[entry.kind]}${source}, configured in sentinel.hcl.`,
+		configured: entry
+	};
+}
+
+/**
+ * Lists the imports available to the policy or module at `uri`. Configured
+ * imports come first and take precedence over built-in ones of the same name.
+ */
+export function availableImports(uri: string): ImportScope {
+	const config = findConfigFor(uri);
+	const imports: AvailableImport[] = [];
+	const seen = new Set<string>();
+	const add = (entry: AvailableImport) => {
+		if (!seen.has(entry.path)) {
+			seen.add(entry.path);
+			imports.push(entry);
+		}
+	};
+	config?.imports.forEach(entry => add(configuredImport(entry)));
+	IMPORTS.forEach(entry => add({ path: entry.path, origin: 'stdlib', description: entry.description }));
+	TERRAFORM_IMPORTS.forEach(entry => add({ path: entry.path, origin: 'terraform', description: entry.description }));
+	return { config, imports };
+}
@@ -0,0 +1,316 @@
+/**
+ * Tokenizer for the Sentinel policy language.
+ *
+ * The lexer never throws: malformed input produces `invalid` tokens and
+ * entries in `errors` so the parser can keep going and report everything
+ * it finds in a single pass.
+ */
+
+export type TokenKind =
+	| 'ident'
+	| 'keyword'
+	| 'int'
+	| 'float'
+	| 'string'
+	| 'punct'
+	| 'invalid'
+	| 'eof';
+
+export interface Token {
+	kind: TokenKind;
+	/** Source text of the token (for strings, the raw text including quotes). */
+	text: string;
+	/** Decoded string contents, only set for `string` tokens. */
+	value?: string;
+	start: number;
+	end: number;
+	/** True when at least one line break separates this token from the previous one. */
+	newlineBefore: boolean;
+}
+
+export interface Comment {
+	/** `line` for `//` and `#` comments, `block` for `/* *\/`. */
+	kind: 'line' | 'block';
+	text: string;
+	start: number;
+	end: number;
+}
+
+export interface SyntaxError {
+	message: string;
+	start: number;
+	end: number;
+}
+
+export interface LexResult {
+	tokens: Token[];
+	comments: Comment[];
+	errors: SyntaxError[];
+}
+
+export const KEYWORDS: ReadonlySet<string> = new Set([
+	'all', 'and', 'any', 'as', 'break', 'case', 'contains', 'continue',
+	'default', 'else', 'false', 'filter', 'for', 'func', 'if', 'import',
+	'in', 'is', 'map', 'matches', 'not', 'null', 'or', 'param', 'return',
+	'rule', 'true', 'undefined', 'when', 'xor'
+]);
+
+// Longest operators first so that `<=` wins over `<`.
+const PUNCTUATION = [
+	'+=', '-=', '*=', '/=', '%=', '==', '!=', '<=', '>=',
+	'+', '-', '*', '/', '%', '<', '>', '=', '!',
+	'(', ')', '[', ']', '{', '}', ',', '.', ':', ';'
+];
+
+function isIdentStart(ch: string): boolean {
+	return /[A-Za-z_]/.test(ch);
+}
+
+function isIdentPart(ch: string): boolean {
+	return /[A-Za-z0-9_]/.test(ch);
+}
+
+function isDigit(ch: string): boolean {
+	return ch >= '0' && ch <= '9';
+}
+
+const SIMPLE_ESCAPES: Record<string, string> = {
+	'a': '\x07', 'b': '\b', 'f': '\f', 'n': '\n', 'r': '\r',
+	't': '\t', 'v': '\v', '\\': '\\', '"': '"', '\'': '\''
+};
+
+export function tokenize(text: string): LexResult {
+	const tokens: Token[] = [];
+	const comments: Comment[] = [];
+	const errors: SyntaxError[] = [];
+	let pos = 0;
+	let newlineBefore = false;
+
+	const push = (kind: TokenKind, start: number, end: number, value?: string) => {
+		const token: Token = { kind, text: text.slice(start, end), start, end, newlineBefore };
+		if (value !== undefined) {
+			token.value = value;
+		}
+		tokens.push(token);
+		newlineBefore = false;
+	};
+
+	while (pos < text.length) {
+		const ch = text[pos];
+
+		if (ch === '\n') {
+			newlineBefore = true;
+			pos++;
+			continue;
+		}
+		if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '\f' || ch === '\v') {
+			pos++;
+			continue;
+		}
+
+		// Comments
+		if (ch === '#' || (ch === '/' && text[pos + 1] === '/')) {
+			const start = pos;
+			while (pos < text.length && text[pos] !== '\n') {
+				pos++;
+			}
+			comments.push({ kind: 'line', text: text.slice(start, pos), start, end: pos });
+			continue;
+		}
+		if (ch === '/' && text[pos + 1] === '*') {
+			const start = pos;
+			const close = text.indexOf('*/', pos + 2);
+			pos = close === -1 ? text.length : close + 2;
+			if (close === -1) {
+				errors.push({ message: 'Unterminated block comment.', start, end: start + 2 });
+			}
+			const body = text.slice(start, pos);
+			if (body.includes('\n')) {
+				newlineBefore = true;
+			}
+			comments.push({ kind: 'block', text: body, start, end: pos });
+			continue;
+		}
+
+		const start = pos;
+
+		if (isIdentStart(ch)) {
+			while (pos < text.length && isIdentPart(text[pos])) {
+				pos++;
+			}
+			push(KEYWORDS.has(text.slice(start, pos)) ? 'keyword' : 'ident', start, pos);
+			continue;
+		}
+
+		if (isDigit(ch) || (ch === '.' && isDigit(text[pos + 1] ?? ''))) {
+			pos = scanNumber(text, pos);
+			const raw = text.slice(start, pos);
+			const isFloat = /^[0-9]*\.|[eE]/.test(raw) && !/^0[xX]/.test(raw);
+			if (isIdentPart(text[pos] ?? '')) {
+				while (pos < text.length && isIdentPart(text[pos])) {
+					pos++;
+				}
+				errors.push({ message: `Invalid number literal '${text.slice(start, pos)}'.`, start, end: pos });
+				push('invalid', start, pos);
+				continue;
+			}
+			if (/^0[xX]$/.test(raw)) {
+				errors.push({ message: `Invalid hexadecimal literal '${raw}'.`, start, end: pos });
+			} else if (/^0[0-9]*[89]/.test(raw) && !isFloat) {
+				errors.push({ message: `Invalid octal literal '${raw}'.`, start, end: pos });
+			}
+			push(isFloat ? 'float' : 'int', start, pos);
+			continue;
+		}
+
+		if (ch === '"') {
+			pos = scanString(text, pos, errors, (value, end) => push('string', start, end, value));
+			continue;
+		}
+
+		if (ch === '`') {
+			const close = text.indexOf('`', pos + 1);
+			if (close === -1) {
+				errors.push({ message: 'Unterminated raw string literal.', start, end: text.length });
+				pos = text.length;
+				push('string', start, pos, text.slice(start + 1));
+			} else {
+				pos = close + 1;
+				push('string', start, pos, text.slice(start + 1, close));
+			}
+			continue;
+		}
+
+		if (ch === '<' && text[pos + 1] === '<') {
+			const heredoc = /^<<(-?)([A-Za-z_][A-Za-z0-9_]*)[ \t]*\r?\n/.exec(text.slice(pos));
+			if (heredoc) {
+				pos = scanHeredoc(text, pos, heredoc, errors, (value, end) => push('string', start, end, value));
+				continue;
+			}
+		}
+
+		const punct = PUNCTUATION.find(p => text.startsWith(p, pos));
+		if (punct) {
+			pos += punct.length;
+			push('punct', start, pos);
+			continue;
+		}
+
+		pos++;
+		errors.push({ message: `Unexpected character '${ch}'.`, start, end: pos });
+		push('invalid', start, pos);
+	}
+
+	tokens.push({ kind: 'eof', text: '', start: text.length, end: text.length, newlineBefore: true });
+	return { tokens, comments, errors };
+}
+
+function scanNumber(text: string, pos: number): number {
+	if (text[pos] === '0' && (text[pos + 1] === 'x' || text[pos + 1] === 'X')) {
+		pos += 2;
+		while (pos < text.length && /[0-9A-Fa-f]/.test(text[pos])) {
+			pos++;
+		}
+		return pos;
+	}
+	while (pos < text.length && isDigit(text[pos])) {
+		pos++;
+	}
+	if (text[pos] === '.' && isDigit(text[pos + 1] ?? '')) {
+		pos++;
+		while (pos < text.length && isDigit(text[pos])) {
+			pos++;
+		}
+	}
+	if ((text[pos] === 'e' || text[pos] === 'E') && /^[eE][+-]?[0-9]/.test(text.slice(pos, pos + 3))) {
+		pos += text[pos + 1] === '+' || text[pos + 1] === '-' ? 2 : 1;
+		while (pos < text.length && isDigit(text[pos])) {
+			pos++;
+		}
+	}
+	return pos;
+}
+
+function scanString(
+	text: string,
+	pos: number,
+	errors: SyntaxError[],
+	emit: (value: string, end: number) => void
+): number {
+	const start = pos;
+	let value = '';
+	pos++;
+	while (pos < text.length) {
+		const ch = text[pos];
+		if (ch === '"') {
+			emit(value, pos + 1);
+			return pos + 1;
+		}
+		if (ch === '\n') {
+			break;
+		}
+		if (ch !== '\\') {
+			value += ch;
+			pos++;
+			continue;
+		}
+		const escape = text[pos + 1] ?? '';
+		if (escape in SIMPLE_ESCAPES) {
+			value += SIMPLE_ESCAPES[escape];
+			pos += 2;
+			continue;
+		}
+		const hex = escape === 'x' ? 2 : escape === 'u' ? 4 : escape === 'U' ? 8 : 0;
+		const digits = hex > 0 ? text.slice(pos + 2, pos + 2 + hex) : text.slice(pos + 1, pos + 4);
+		if (hex > 0 && new RegExp(`^[0-9A-Fa-f]{${hex}}$`).test(digits)) {
+			value += String.fromCodePoint(parseInt(digits, 16));
+			pos += 2 + hex;
+			continue;
+		}
+		if (hex === 0 && /^[0-7]{3}$/.test(digits)) {
+			value += String.fromCharCode(parseInt(digits, 8));
+			pos += 4;
+			continue;
+		}
+		errors.push({ message: `Invalid escape sequence '\\${escape}'.`, start: pos, end: pos + 2 });
+		value += escape;
+		pos += 2;
+	}
+	errors.push({ message: 'Unterminated string literal.', start, end: pos });
+	emit(value, pos);
+	return pos;
+}
+
+function scanHeredoc(
+	text: string,
+	pos: number,
+	header: RegExpExecArray,
+	errors: SyntaxError[],
+	emit: (value: string, end: number) => void
+): number {
+	const indented = header[1] === '-';
+	const marker = header[2];
+	const bodyStart = pos + header[0].length;
+	const lines: string[] = [];
+	let lineStart = bodyStart;
+	while (lineStart <= text.length) {
+		let lineEnd = text.indexOf('\n', lineStart);
+		if (lineEnd === -1) {
+			lineEnd = text.length;
+		}
+		const line = text.slice(lineStart, lineEnd).replace(/\r$/, '');
+		if ((indented ? line.trim() : line.trimEnd()) === marker) {
+			const end = lineStart + text.slice(lineStart, lineEnd).indexOf(marker) + marker.length;
+			emit(lines.join('\n') + (lines.length > 0 ? '\n' : ''), end);
+			return end;
+		}
+		lines.push(indented ? line.replace(/^[ \t]+/, '') : line);
+		if (lineEnd === text.length) {
+			break;
+		}
+		lineStart = lineEnd + 1;
+	}
+	errors.push({ message: `Unterminated heredoc, expected closing '${marker}'.`, start: pos, end: bodyStart });
+	emit(lines.join('\n'), text.length);
+	return text.length;
+}
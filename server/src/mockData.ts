@@ -0,0 +1,161 @@
+/**
+ * Data of the mocks configured in `sentinel.hcl`, read from mock modules such
+ * as `mock-tfplan-v2.sentinel` or from inline `data` attributes. Where the
+ * Terraform import schemas stop, at provider-specific values like
+ * `change.after`, the mocks show which keys and values real plans contain.
+ *
+ * Mock modules are read from the workspace index, so their data follows the
+ * editor's contents and file system changes.
+ */
+import * as ast from './ast';
+import { HclExpression } from './hcl';
+import { ConfiguredImport, findConfigFor } from './sentinelConfig';
+import { AccessPath } from './terraform';
+import { IndexedFile, getIndexedFile } from './workspaceIndex';
+
+export type MockValue = string | number | boolean | null | MockValue[] | MockMap;
+
+export interface MockMap {
+	[key: string]: MockValue;
+}
+
+function isMap(value: MockValue): value is MockMap {
+	return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/** Evaluates a Sentinel literal; anything that needs running the mock yields `undefined`. */
+function sentinelValue(expression: ast.Expression): MockValue | undefined {
+	switch (expression.type) {
+		case 'StringLiteral':
+		case 'NumberLiteral':
+		case 'BooleanLiteral':
+			return expression.value;
+		case 'NullLiteral':
+			return null;
+		case 'UnaryExpression': {
+			const argument = sentinelValue(expression.argument);
+			return expression.operator === '-' && typeof argument === 'number' ? -argument : undefined;
+		}
+		case 'ListLiteral':
+			return expression.elements.map(sentinelValue).filter((value): value is MockValue => value !== undefined);
+		case 'MapLiteral': {
+			const map: MockMap = {};
+			for (const entry of expression.entries) {
+				const key = sentinelValue(entry.key);
+				const value = sentinelValue(entry.value);
+				if ((typeof key === 'string' || typeof key === 'number') && value !== undefined) {
+					map[key] = value;
+				}
+			}
+			return map;
+		}
+		default:
+			return undefined;
+	}
+}
+
+/** Converts an HCL expression made of literals to plain data. */
+export function hclValue(expression: HclExpression): MockValue | undefined {
+	switch (expression.type) {
+		case 'Literal':
+			return expression.value;
+		case 'Tuple':
+			return expression.items.map(hclValue).filter((value): value is MockValue => value !== undefined);
+		case 'Object': {
+			const map: MockMap = {};
+			for (const item of expression.items) {
+				const key = item.key.type === 'Reference' && item.key.path.length === 1 ? item.key.path[0] : hclValue(item.key);
+				const value = hclValue(item.value);
+				if ((typeof key === 'string' || typeof key === 'number') && value !== undefined) {
+					map[key] = value;
+				}
+			}
+			return map;
+		}
+		default:
+			return undefined;
+	}
+}
+
+/** Mock modules by index entry; re-indexing a file replaces its entry and so drops the stale data. */
+const moduleData: WeakMap<IndexedFile, MockMap> = new WeakMap();
+
+/** The members of a mock module: its top-level variables with literal values. */
+function readModule(file: IndexedFile): MockMap {
+	let data = moduleData.get(file);
+	if (!data) {
+		data = {};
+		for (const statement of file.parsed.program.body) {
+			if (statement.type === 'Assignment' && statement.operator === '=' && statement.target.type === 'Identifier') {
+				const value = sentinelValue(statement.value);
+				if (value !== undefined) {
+					data[statement.target.name] = value;
+				}
+			}
+		}
+		moduleData.set(file, data);
+	}
+	return data;
+}
+
+function readMock(entry: ConfiguredImport): MockValue | undefined {
+	if (entry.data) {
+		return hclValue(entry.data);
+	}
+	const file = entry.sourceUri ? getIndexedFile(entry.sourceUri) : undefined;
+	return file && readModule(file);
+}
+
+/**
+ * Every value at `path` in the mock data that the configuration of the policy
+ * at `uri` provides for the import, such as the `change.after` of each
+ * resource change for `tfplan.resource_changes[_].change.after`.
+ */
+export function mockValuesAt(uri: string, path: AccessPath): MockValue[] {
+	const entry = findConfigFor(uri)?.imports.find(i => i.kind === 'mock' && i.name === path.importPath);
+	const root = entry && readMock(entry);
+	let values: MockValue[] = root === undefined ? [] : [root];
+	for (const step of path.steps) {
+		values = values.flatMap(value => {
+			if (step.kind === 'index') {
+				return isMap(value) ? Object.values(value) : Array.isArray(value) ? value : [];
+			}
+			return isMap(value) && Object.prototype.hasOwnProperty.call(value, step.name) ? [value[step.name]] : [];
+		});
+	}
+	return values;
+}
+
+function typeName(value: MockValue): string {
+	if (value === null) {
+		return 'null';
+	}
+	if (Array.isArray(value)) {
+		return 'list';
+	}
+	if (isMap(value)) {
+		return 'map';
+	}
+	return typeof value === 'boolean' ? 'bool' : typeof value;
+}
+
+/** The keys of the maps among `values`, in order of first appearance, with the kind of their first value. */
+export function mockKeys(values: MockValue[]): Map<string, string> {
+	const keys: Map<string, string> = new Map();
+	for (const value of values) {
+		if (!isMap(value)) {
+			continue;
+		}
+		for (const [key, item] of Object.entries(value)) {
+			if (!keys.has(key)) {
+				keys.set(key, typeName(item));
+			}
+		}
+	}
+	return keys;
+}
+
+/** The distinct strings among `values`. */
+export function mockStrings(values: MockValue[]): string[] {
+	return [...new Set(values.filter((value): value is string => typeof value === 'string'))];
+}
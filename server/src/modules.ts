@@ -0,0 +1,51 @@
+/**
+ * Cross-file support for Sentinel modules: resolving an import to the module
+ * file configured in `sentinel.hcl` and looking up what the module exports.
+ *
+ * Modules are read from the workspace index, which tracks both open editors
+ * and files on disk.
+ */
+import * as ast from './ast';
+import { Binding, SentinelSymbol } from './binder';
+import { availableImports } from './imports';
+import { configFiles } from './sentinelConfig';
+import { IndexedFile, getIndexedFile } from './workspaceIndex';
+
+/** Resolves `import "path"` in the policy at `uri` to its module file, if the import is a configured module. */
+export function resolveModule(uri: string, path: string): IndexedFile | undefined {
+	const entry = availableImports(uri).imports.find(i => i.path === path);
+	const sourceUri = entry?.configured?.kind === 'module' ? entry.configured.sourceUri : undefined;
+	return sourceUri ? getIndexedFile(sourceUri) : undefined;
+}
+
+/** Returns the module an import symbol refers to. */
+export function moduleOfSymbol(uri: string, symbol: SentinelSymbol | undefined): IndexedFile | undefined {
+	return symbol?.node.type === 'ImportDeclaration' ? resolveModule(uri, symbol.node.path.value) : undefined;
+}
+
+/** Returns the module an expression refers to, when it is an identifier naming a module import. */
+export function moduleOf(uri: string, binding: Binding, expression: ast.Expression): IndexedFile | undefined {
+	return expression.type === 'Identifier' ? moduleOfSymbol(uri, binding.resolved.get(expression)) : undefined;
+}
+
+/** The rules, functions and variables a module exports: all of its top-level declarations but imports and params. */
+export function moduleExports(module: IndexedFile): SentinelSymbol[] {
+	return [...module.binding.globalScope.symbols.values()].filter(symbol => symbol.kind !== 'import' && symbol.kind !== 'param');
+}
+
+export function findExport(module: IndexedFile, name: string): SentinelSymbol | undefined {
+	return moduleExports(module).find(symbol => symbol.name === name);
+}
+
+/**
+ * Whether `uri` is loaded as a module by any configuration file of the
+ * workspace: as the source of a module or of a mock.
+ */
+export function isModuleSource(uri: string): boolean {
+	for (const config of configFiles()) {
+		if (config.imports.some(entry => (entry.kind === 'module' || entry.kind === 'mock') && entry.sourceUri === uri)) {
+			return true;
+		}
+	}
+	return false;
+}
@@ -0,0 +1,81 @@
+/**
+ * Go to definition and find all references for user-defined symbols, and go
+ * to definition into imported modules.
+ */
+import { Location, Position } from 'vscode-languageserver/node';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import * as ast from './ast';
+import { Binding, SentinelSymbol } from './binder';
+import { getBinding, getParseResult } from './documentCache';
+import { findExport, moduleOf, moduleOfSymbol } from './modules';
+import { toRange } from './util';
+
+export interface SymbolOccurrence {
+	symbol: SentinelSymbol;
+	/** The identifier under the cursor; the import path literal for unaliased imports. */
+	span: ast.Span;
+}
+
+/** Finds the user symbol declared or referenced at `offset`, if any. */
+export function findSymbolAt(program: ast.Program, binding: Binding, offset: number): SymbolOccurrence | undefined {
+	const path = ast.nodePathAt(program, offset);
+	const node = path[path.length - 1];
+	const parent = path[path.length - 2];
+	if (node.type === 'Identifier') {
+		const symbol = binding.resolved.get(node);
+		return symbol ? { symbol, span: node } : undefined;
+	}
+	if (node.type === 'StringLiteral' && parent?.type === 'ImportDeclaration') {
+		const symbol = binding.symbols.find(s => s.node === parent);
+		return symbol ? { symbol, span: node } : undefined;
+	}
+	return undefined;
+}
+
+/** The span a definition should point at: the whole statement for imports, otherwise the declaring name. */
+function definitionSpan(symbol: SentinelSymbol): ast.Span {
+	return symbol.kind === 'import' ? symbol.node : symbol.declaration;
+}
+
+/** Definition of a module export (`mod.name`) or of the module itself (its import path). */
+function moduleDefinition(document: TextDocument, program: ast.Program, binding: Binding, offset: number): Location | undefined {
+	const path = ast.nodePathAt(program, offset);
+	const node = path[path.length - 1];
+	const parent = path[path.length - 2];
+	if (node.type === 'Identifier' && parent?.type === 'MemberExpression' && parent.property === node) {
+		const module = moduleOf(document.uri, binding, parent.object);
+		const exported = module && findExport(module, node.name);
+		return module && exported ? Location.create(module.uri, toRange(module.document, exported.declaration)) : undefined;
+	}
+	if (node.type === 'StringLiteral' && parent?.type === 'ImportDeclaration') {
+		const module = moduleOfSymbol(document.uri, binding.symbols.find(s => s.node === parent));
+		return module ? Location.create(module.uri, { start: { line: 0, character: 0 }, end: { line: 0, character: 0 } }) : undefined;
+	}
+	return undefined;
+}
+
+export function provideDefinition(document: TextDocument, position: Position): Location | null {
+	const { program } = getParseResult(document);
+	const binding = getBinding(document);
+	const offset = document.offsetAt(position);
+	const module = moduleDefinition(document, program, binding, offset);
+	if (module) {
+		return module;
+	}
+	const occurrence = findSymbolAt(program, binding, offset);
+	if (!occurrence) {
+		return null;
+	}
+	return Location.create(document.uri, toRange(document, definitionSpan(occurrence.symbol)));
+}
+
+export function provideReferences(document: TextDocument, position: Position, includeDeclaration: boolean): Location[] {
+	const { program } = getParseResult(document);
+	const occurrence = findSymbolAt(program, getBinding(document), document.offsetAt(position));
+	if (!occurrence) {
+		return [];
+	}
+	const { symbol } = occurrence;
+	const spans: ast.Span[] = includeDeclaration ? [symbol.declaration, ...symbol.references] : symbol.references;
+	return spans.map(span => Location.create(document.uri, toRange(document, span)));
+}
@@ -0,0 +1,788 @@
+/**
+ * Recursive-descent parser for Sentinel policies.
+ *
+ * The parser is error tolerant: every syntax error is recorded and the parser
+ * resynchronises at the next statement boundary, so a document always yields a
+ * `Program` that the rest of the server can analyse.
+ */
+import * as ast from './ast';
+import { Comment, SyntaxError, Token, tokenize } from './lexer';
+
+export interface ParseResult {
+	program: ast.Program;
+	tokens: Token[];
+	comments: Comment[];
+	errors: SyntaxError[];
+}
+
+export function parse(text: string): ParseResult {
+	const lexed = tokenize(text);
+	const parser = new Parser(text, lexed.tokens, lexed.errors);
+	const program = parser.parseProgram();
+	return { program, tokens: lexed.tokens, comments: lexed.comments, errors: lexed.errors };
+}
+
+const ASSIGNMENT_OPERATORS: ReadonlySet<string> = new Set(['=', '+=', '-=', '*=', '/=', '%=']);
+const COMPARISON_OPERATORS: ReadonlySet<string> = new Set(['==', '!=', '<', '<=', '>', '>=']);
+const NEGATABLE_OPERATORS: ReadonlySet<string> = new Set(['contains', 'in', 'matches']);
+const QUANTIFIERS: ReadonlySet<string> = new Set(['all', 'any', 'filter', 'map']);
+
+class Parser {
+	private pos = 0;
+
+	constructor(
+		private readonly text: string,
+		private readonly tokens: Token[],
+		private readonly errors: SyntaxError[]
+	) { }
+
+	// ---- Token helpers ------------------------------------------------------
+
+	private peek(offset = 0): Token {
+		return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+	}
+
+	private next(): Token {
+		const token = this.peek();
+		if (token.kind !== 'eof') {
+			this.pos++;
+		}
+		return token;
+	}
+
+	private previousEnd(): number {
+		return this.pos > 0 ? this.tokens[this.pos - 1].end : 0;
+	}
+
+	private isPunct(text: string, token = this.peek()): boolean {
+		return token.kind === 'punct' && token.text === text;
+	}
+
+	private isKeyword(text: string, token = this.peek()): boolean {
+		return token.kind === 'keyword' && token.text === text;
+	}
+
+	private atEnd(): boolean {
+		return this.peek().kind === 'eof';
+	}
+
+	private error(message: string, start: number, end: number): void {
+		// Only keep the first error reported at a given position; later ones are
+		// almost always consequences of the first.
+		if (this.errors.some(e => e.start === start)) {
+			return;
+		}
+		this.errors.push({ message, start, end });
+	}
+
+	private errorAtToken(message: string, token = this.peek()): void {
+		if (token.kind === 'eof') {
+			const end = this.previousEnd();
+			this.error(message, end, end);
+		} else {
+			this.error(message, token.start, token.end);
+		}
+	}
+
+	private describe(token: Token): string {
+		switch (token.kind) {
+			case 'eof':
+				return 'end of file';
+			case 'string':
+				return 'string literal';
+			case 'int':
+			case 'float':
+				return `number '${token.text}'`;
+			default:
+				return `'${token.text}'`;
+		}
+	}
+
+	private expectPunct(text: string): Token | undefined {
+		if (this.isPunct(text)) {
+			return this.next();
+		}
+		this.errorAtToken(`Expected '${text}' but found ${this.describe(this.peek())}.`);
+		return undefined;
+	}
+
+	/**
+	 * Like `expectPunct` for a closing bracket, but on failure skips ahead to the
+	 * matching bracket (if it occurs before the next unindented line) so the
+	 * rest of the construct does not cascade into further errors.
+	 */
+	private expectClosing(text: ')' | ']' | '}'): Token | undefined {
+		if (this.isPunct(text)) {
+			return this.next();
+		}
+		this.errorAtToken(`Expected '${text}' but found ${this.describe(this.peek())}.`);
+		let depth = 0;
+		for (let i = this.pos; i < this.tokens.length - 1; i++) {
+			const token = this.tokens[i];
+			if (i > this.pos && token.newlineBefore && this.text[token.start - 1] === '\n') {
+				break;
+			}
+			if (token.kind !== 'punct') {
+				continue;
+			}
+			if (token.text === '(' || token.text === '[' || token.text === '{') {
+				depth++;
+			} else if (token.text === ')' || token.text === ']' || token.text === '}') {
+				if (depth === 0) {
+					if (token.text !== text) {
+						break;
+					}
+					this.pos = i + 1;
+					return token;
+				}
+				depth--;
+			}
+		}
+		return undefined;
+	}
+
+	private expectKeyword(text: string): Token | undefined {
+		if (this.isKeyword(text)) {
+			return this.next();
+		}
+		this.errorAtToken(`Expected '${text}' but found ${this.describe(this.peek())}.`);
+		return undefined;
+	}
+
+	private expectIdentifier(what: string): ast.Identifier {
+		const token = this.peek();
+		if (token.kind === 'ident') {
+			this.next();
+			return { type: 'Identifier', name: token.text, start: token.start, end: token.end };
+		}
+		const message = token.kind === 'keyword'
+			? `'${token.text}' is a reserved keyword and cannot be used as ${what}.`
+			: `Expected ${what} but found ${this.describe(token)}.`;
+		this.errorAtToken(message);
+		const at = token.kind === 'eof' ? this.previousEnd() : token.start;
+		return { type: 'Identifier', name: '', start: at, end: at };
+	}
+
+	/**
+	 * Skips tokens until the start of the next statement at the current nesting
+	 * level. An unindented line always ends the skip, so an unclosed bracket
+	 * cannot swallow the rest of the document.
+	 */
+	private synchronize(): void {
+		let depth = 0;
+		let first = true;
+		while (!this.atEnd()) {
+			const token = this.peek();
+			if (!first && token.newlineBefore && (depth === 0 || this.text[token.start - 1] === '\n')) {
+				return;
+			}
+			if (token.kind === 'punct') {
+				if (token.text === '{' || token.text === '(' || token.text === '[') {
+					depth++;
+				} else if (token.text === '}' || token.text === ')' || token.text === ']') {
+					if (depth === 0) {
+						return;
+					}
+					depth--;
+				} else if (token.text === ';' && depth === 0) {
+					this.next();
+					return;
+				}
+			}
+			this.next();
+			first = false;
+		}
+	}
+
+	// ---- Statements ---------------------------------------------------------
+
+	parseProgram(): ast.Program {
+		const body: ast.Statement[] = [];
+		while (!this.atEnd()) {
+			const token = this.peek();
+			if (token.kind === 'punct' && (token.text === '}' || token.text === ')' || token.text === ']')) {
+				this.errorAtToken(`Unexpected '${token.text}'.`);
+				this.next();
+				continue;
+			}
+			const statement = this.parseStatementWithRecovery(true);
+			if (statement) {
+				body.push(statement);
+			}
+		}
+		const end = this.tokens[this.tokens.length - 1].end;
+		return { type: 'Program', body, start: 0, end };
+	}
+
+	private parseStatementWithRecovery(topLevel: boolean): ast.Statement | undefined {
+		const errorCount = this.errors.length;
+		const startPos = this.pos;
+		const statement = this.parseStatement(topLevel);
+
+		const token = this.peek();
+		if (this.isPunct(';')) {
+			this.next();
+		} else if (!token.newlineBefore && !this.isPunct('}')) {
+			if (this.errors.length === errorCount) {
+				this.errorAtToken(`Expected end of statement but found ${this.describe(token)}.`);
+			}
+			this.synchronize();
+		} else if (this.errors.length !== errorCount && this.pos === startPos) {
+			this.synchronize();
+		}
+		if (this.pos === startPos) {
+			// Guarantee progress even when nothing could be parsed.
+			this.next();
+		}
+		return statement;
+	}
+
+	private parseStatement(topLevel: boolean): ast.Statement | undefined {
+		const token = this.peek();
+		if (token.kind === 'keyword') {
+			switch (token.text) {
+				case 'import':
+					if (!topLevel) {
+						this.errorAtToken('Imports are only allowed at the top level of a policy.');
+					}
+					return this.parseImport();
+				case 'param':
+					if (!topLevel) {
+						this.errorAtToken('Parameters are only allowed at the top level of a policy.');
+					}
+					return this.parseParam();
+				case 'func':
+					if (this.peek(1).kind === 'ident') {
+						return this.parseFuncDeclaration();
+					}
+					break;
+				case 'if':
+					return this.parseIf();
+				case 'for':
+					return this.parseFor();
+				case 'case':
+					return this.parseCase();
+				case 'return':
+					return this.parseReturn();
+				case 'break':
+					this.next();
+					return { type: 'BreakStatement', start: token.start, end: token.end };
+				case 'continue':
+					this.next();
+					return { type: 'ContinueStatement', start: token.start, end: token.end };
+			}
+		}
+
+		const expression = this.parseExpression();
+		const operator = this.peek();
+		if (operator.kind === 'punct' && ASSIGNMENT_OPERATORS.has(operator.text)) {
+			this.next();
+			if (expression.type !== 'Identifier' && expression.type !== 'MemberExpression' && expression.type !== 'IndexExpression') {
+				this.error('Invalid assignment target.', expression.start, expression.end);
+			}
+			const value = this.parseExpression();
+			return {
+				type: 'Assignment',
+				operator: operator.text as ast.AssignmentOperator,
+				target: expression,
+				value,
+				start: expression.start,
+				end: value.end
+			};
+		}
+		return { type: 'ExpressionStatement', expression, start: expression.start, end: expression.end };
+	}
+
+	private parseImport(): ast.ImportDeclaration {
+		const keyword = this.next();
+		const pathToken = this.peek();
+		let path: ast.StringLiteral;
+		if (pathToken.kind === 'string') {
+			this.next();
+			path = { type: 'StringLiteral', raw: pathToken.text, value: pathToken.value ?? '', start: pathToken.start, end: pathToken.end };
+		} else {
+			this.errorAtToken(`Expected import path string but found ${this.describe(pathToken)}.`);
+			const at = this.previousEnd();
+			path = { type: 'StringLiteral', raw: '', value: '', start: at, end: at };
+		}
+		const declaration: ast.ImportDeclaration = { type: 'ImportDeclaration', path, start: keyword.start, end: path.end };
+		if (this.isKeyword('as') && !this.peek().newlineBefore) {
+			this.next();
+			declaration.alias = this.expectIdentifier('an import alias');
+			declaration.end = Math.max(declaration.alias.end, this.previousEnd());
+		}
+		return declaration;
+	}
+
+	private parseParam(): ast.ParamDeclaration {
+		const keyword = this.next();
+		const name = this.expectIdentifier('a parameter name');
+		const declaration: ast.ParamDeclaration = { type: 'ParamDeclaration', name, start: keyword.start, end: this.previousEnd() };
+		if (this.isKeyword('default') && !this.peek().newlineBefore) {
+			this.next();
+			declaration.default = this.parseExpression();
+			declaration.end = declaration.default.end;
+		}
+		return declaration;
+	}
+
+	private parseFuncDeclaration(): ast.FuncDeclaration {
+		const keyword = this.next();
+		const name = this.expectIdentifier('a function name');
+		const params = this.parseParameterList();
+		const body = this.parseBlock();
+		return { type: 'FuncDeclaration', name, params, body, start: keyword.start, end: body.end };
+	}
+
+	private parseParameterList(): ast.Identifier[] {
+		const params: ast.Identifier[] = [];
+		if (!this.expectPunct('(')) {
+			return params;
+		}
+		while (!this.isPunct(')') && !this.atEnd()) {
+			params.push(this.expectIdentifier('a parameter name'));
+			if (!this.isPunct(',')) {
+				break;
+			}
+			this.next();
+		}
+		this.expectClosing(')');
+		return params;
+	}
+
+	private parseBlock(): ast.Block {
+		const open = this.peek();
+		if (!this.expectPunct('{')) {
+			const at = this.previousEnd();
+			return { type: 'Block', body: [], start: at, end: at };
+		}
+		const body = this.parseStatementsUntil(() => this.isPunct('}'));
+		const close = this.expectClosing('}');
+		return { type: 'Block', body, start: open.start, end: close ? close.end : this.previousEnd() };
+	}
+
+	private parseStatementsUntil(done: () => boolean): ast.Statement[] {
+		const body: ast.Statement[] = [];
+		while (!this.atEnd() && !done()) {
+			const token = this.peek();
+			if (token.kind === 'punct' && (token.text === ')' || token.text === ']')) {
+				this.errorAtToken(`Unexpected '${token.text}'.`);
+				this.next();
+				continue;
+			}
+			if (this.isPunct('}')) {
+				break;
+			}
+			const statement = this.parseStatementWithRecovery(false);
+			if (statement) {
+				body.push(statement);
+			}
+		}
+		return body;
+	}
+
+	private parseIf(): ast.IfStatement {
+		const keyword = this.next();
+		const test = this.parseExpression();
+		const consequent = this.parseBlock();
+		const statement: ast.IfStatement = { type: 'IfStatement', test, consequent, start: keyword.start, end: consequent.end };
+		if (this.isKeyword('else')) {
+			this.next();
+			statement.alternate = this.isKeyword('if') ? this.parseIf() : this.parseBlock();
+			statement.end = statement.alternate.end;
+		}
+		return statement;
+	}
+
+	private parseBindings(): { key?: ast.Identifier; value: ast.Identifier } {
+		this.expectKeyword('as');
+		const first = this.expectIdentifier('a variable name');
+		if (this.isPunct(',')) {
+			this.next();
+			return { key: first, value: this.expectIdentifier('a variable name') };
+		}
+		return { value: first };
+	}
+
+	private parseFor(): ast.ForStatement {
+		const keyword = this.next();
+		const collection = this.parseExpression();
+		const { key, value } = this.parseBindings();
+		const body = this.parseBlock();
+		return { type: 'ForStatement', collection, key, value, body, start: keyword.start, end: body.end };
+	}
+
+	private parseCase(): ast.CaseStatement {
+		const keyword = this.next();
+		const discriminant = this.isPunct('{') ? undefined : this.parseExpression();
+		const clauses: ast.CaseClause[] = [];
+		const statement: ast.CaseStatement = { type: 'CaseStatement', discriminant, clauses, start: keyword.start, end: this.previousEnd() };
+		if (!this.expectPunct('{')) {
+			return statement;
+		}
+		while (!this.isPunct('}') && !this.atEnd()) {
+			const clausePos = this.pos;
+			const clauseStart = this.peek();
+			const isElse = this.isKeyword('else');
+			if (!isElse && !this.isKeyword('when')) {
+				this.errorAtToken(`Expected 'when' or 'else' but found ${this.describe(clauseStart)}.`);
+				this.synchronize();
+				if (this.pos === clausePos) {
+					this.next();
+				}
+				continue;
+			}
+			this.next();
+			const tests: ast.Expression[] = [];
+			if (!isElse) {
+				tests.push(this.parseExpression());
+				while (this.isPunct(',')) {
+					this.next();
+					tests.push(this.parseExpression());
+				}
+			}
+			this.expectPunct(':');
+			const body = this.parseStatementsUntil(() => this.isKeyword('when') || this.isKeyword('else'));
+			clauses.push({ type: 'CaseClause', tests, isElse, body, start: clauseStart.start, end: this.previousEnd() });
+		}
+		const close = this.expectClosing('}');
+		statement.end = close ? close.end : this.previousEnd();
+		return statement;
+	}
+
+	private parseReturn(): ast.ReturnStatement {
+		const keyword = this.next();
+		const token = this.peek();
+		if (token.newlineBefore || this.isPunct('}') || this.isPunct(';')) {
+			return { type: 'ReturnStatement', start: keyword.start, end: keyword.end };
+		}
+		const argument = this.parseExpression();
+		return { type: 'ReturnStatement', argument, start: keyword.start, end: argument.end };
+	}
+
+	// ---- Expressions --------------------------------------------------------
+
+	parseExpression(): ast.Expression {
+		return this.parseElse();
+	}
+
+	private binary(operator: ast.BinaryOperator, operatorSpan: ast.Span, left: ast.Expression, right: ast.Expression): ast.BinaryExpression {
+		return { type: 'BinaryExpression', operator, operatorSpan, left, right, start: left.start, end: right.end };
+	}
+
+	private parseElse(): ast.Expression {
+		let left = this.parseOr();
+		// `else:` opens the default clause of a case statement and `else if`
+		// continues an if statement; neither is the else operator. `else {`
+		// after the block of an if statement is consumed by `parseIf`.
+		while (this.isKeyword('else') && !this.isPunct(':', this.peek(1)) && !this.isKeyword('if', this.peek(1))) {
+			const op = this.next();
+			left = this.binary('else', { start: op.start, end: op.end }, left, this.parseOr());
+		}
+		return left;
+	}
+
+	private parseOr(): ast.Expression {
+		let left = this.parseAnd();
+		while (this.isKeyword('or') || this.isKeyword('xor')) {
+			const op = this.next();
+			left = this.binary(op.text as ast.BinaryOperator, { start: op.start, end: op.end }, left, this.parseAnd());
+		}
+		return left;
+	}
+
+	private parseAnd(): ast.Expression {
+		let left = this.parseComparison();
+		while (this.isKeyword('and')) {
+			const op = this.next();
+			left = this.binary('and', { start: op.start, end: op.end }, left, this.parseComparison());
+		}
+		return left;
+	}
+
+	private parseComparison(): ast.Expression {
+		let left = this.parseAdditive();
+		for (;;) {
+			const token = this.peek();
+			let operator: ast.BinaryOperator;
+			const span = { start: token.start, end: token.end };
+			if (token.kind === 'punct' && COMPARISON_OPERATORS.has(token.text)) {
+				this.next();
+				operator = token.text as ast.BinaryOperator;
+			} else if (this.isKeyword('is')) {
+				this.next();
+				if (this.isKeyword('not')) {
+					span.end = this.next().end;
+					operator = 'is not';
+				} else {
+					operator = 'is';
+				}
+			} else if (token.kind === 'keyword' && NEGATABLE_OPERATORS.has(token.text)) {
+				this.next();
+				operator = token.text as ast.BinaryOperator;
+			} else if (this.isKeyword('not') && this.peek(1).kind === 'keyword' && NEGATABLE_OPERATORS.has(this.peek(1).text)) {
+				this.next();
+				const negated = this.next();
+				span.end = negated.end;
+				operator = `not ${negated.text}` as ast.BinaryOperator;
+			} else {
+				return left;
+			}
+			left = this.binary(operator, span, left, this.parseAdditive());
+		}
+	}
+
+	private parseAdditive(): ast.Expression {
+		let left = this.parseMultiplicative();
+		while (this.isPunct('+') || this.isPunct('-')) {
+			const op = this.next();
+			left = this.binary(op.text as ast.BinaryOperator, { start: op.start, end: op.end }, left, this.parseMultiplicative());
+		}
+		return left;
+	}
+
+	private parseMultiplicative(): ast.Expression {
+		let left = this.parseUnary();
+		while (this.isPunct('*') || this.isPunct('/') || this.isPunct('%')) {
+			const op = this.next();
+			left = this.binary(op.text as ast.BinaryOperator, { start: op.start, end: op.end }, left, this.parseUnary());
+		}
+		return left;
+	}
+
+	private parseUnary(): ast.Expression {
+		const token = this.peek();
+		if (this.isPunct('-') || this.isPunct('+') || this.isPunct('!') || this.isKeyword('not')) {
+			this.next();
+			const argument = this.parseUnary();
+			return { type: 'UnaryExpression', operator: token.text as ast.UnaryOperator, argument, start: token.start, end: argument.end };
+		}
+		return this.parsePostfix(this.parsePrimary());
+	}
+
+	private parsePostfix(expression: ast.Expression): ast.Expression {
+		for (;;) {
+			const token = this.peek();
+			if (this.isPunct('.')) {
+				this.next();
+				const property = this.expectIdentifier('a field name');
+				expression = { type: 'MemberExpression', object: expression, property, start: expression.start, end: Math.max(property.end, token.end) };
+			} else if (this.isPunct('[') && !token.newlineBefore) {
+				expression = this.parseIndex(expression);
+			} else if (this.isPunct('(') && !token.newlineBefore) {
+				expression = this.parseCall(expression);
+			} else {
+				return expression;
+			}
+		}
+	}
+
+	private parseIndex(object: ast.Expression): ast.Expression {
+		this.next();
+		let low: ast.Expression | undefined;
+		if (!this.isPunct(':')) {
+			low = this.parseExpression();
+		}
+		if (this.isPunct(':')) {
+			this.next();
+			const high = this.isPunct(']') ? undefined : this.parseExpression();
+			const close = this.expectClosing(']');
+			return { type: 'SliceExpression', object, low, high, start: object.start, end: close ? close.end : this.previousEnd() };
+		}
+		const close = this.expectClosing(']');
+		return { type: 'IndexExpression', object, index: low as ast.Expression, start: object.start, end: close ? close.end : this.previousEnd() };
+	}
+
+	private parseCall(callee: ast.Expression): ast.CallExpression {
+		const open = this.next();
+		const args: ast.Expression[] = [];
+		while (!this.isPunct(')') && !this.atEnd()) {
+			args.push(this.parseExpression());
+			if (!this.isPunct(',')) {
+				break;
+			}
+			this.next();
+		}
+		const close = this.expectClosing(')');
+		const end = close ? close.end : this.previousEnd();
+		return { type: 'CallExpression', callee, args, argsStart: open.start, argsEnd: end, start: callee.start, end };
+	}
+
+	private parsePrimary(): ast.Expression {
+		const token = this.peek();
+		switch (token.kind) {
+			case 'ident':
+				this.next();
+				return { type: 'Identifier', name: token.text, start: token.start, end: token.end };
+			case 'int':
+			case 'float': {
+				this.next();
+				const isFloat = token.kind === 'float';
+				const value = isFloat ? parseFloat(token.text) : parseIntLiteral(token.text);
+				return { type: 'NumberLiteral', raw: token.text, value, isFloat, start: token.start, end: token.end };
+			}
+			case 'string':
+				this.next();
+				return { type: 'StringLiteral', raw: token.text, value: token.value ?? '', start: token.start, end: token.end };
+			case 'keyword':
+				switch (token.text) {
+					case 'true':
+					case 'false':
+						this.next();
+						return { type: 'BooleanLiteral', value: token.text === 'true', start: token.start, end: token.end };
+					case 'null':
+						this.next();
+						return { type: 'NullLiteral', start: token.start, end: token.end };
+					case 'undefined':
+						this.next();
+						return { type: 'UndefinedLiteral', start: token.start, end: token.end };
+					case 'rule':
+						return this.parseRule();
+					case 'func':
+						return this.parseFuncExpression();
+				}
+				if (QUANTIFIERS.has(token.text)) {
+					return this.parseQuantifier();
+				}
+				break;
+			case 'punct':
+				switch (token.text) {
+					case '(': {
+						this.next();
+						const expression = this.parseExpression();
+						const close = this.expectClosing(')');
+						return { type: 'ParenthesizedExpression', expression, start: token.start, end: close ? close.end : this.previousEnd() };
+					}
+					case '[':
+						return this.parseList();
+					case '{':
+						return this.parseMap();
+				}
+				break;
+		}
+		this.errorAtToken(`Expected expression but found ${this.describe(token)}.`);
+		if (token.kind === 'invalid') {
+			this.next();
+			return { type: 'BadExpression', start: token.start, end: token.end };
+		}
+		const at = token.kind === 'eof' || token.newlineBefore ? this.previousEnd() : token.start;
+		return { type: 'BadExpression', start: at, end: at };
+	}
+
+	private parseRule(): ast.RuleExpression {
+		const keyword = this.next();
+		let when: ast.Expression | undefined;
+		if (this.isKeyword('when')) {
+			this.next();
+			when = this.parseExpression();
+		}
+		this.expectPunct('{');
+		const body = this.parseExpression();
+		const close = this.expectClosing('}');
+		return { type: 'RuleExpression', when, body, start: keyword.start, end: close ? close.end : this.previousEnd() };
+	}
+
+	private parseFuncExpression(): ast.FuncExpression {
+		const keyword = this.next();
+		const params = this.parseParameterList();
+		const body = this.parseBlock();
+		return { type: 'FuncExpression', params, body, start: keyword.start, end: body.end };
+	}
+
+	private parseQuantifier(): ast.QuantifierExpression {
+		const keyword = this.next();
+		const collection = this.parseExpression();
+		const { key, value } = this.parseBindings();
+		this.expectPunct('{');
+		const body = this.parseExpression();
+		const close = this.expectClosing('}');
+		return {
+			type: 'QuantifierExpression',
+			quantifier: keyword.text as ast.QuantifierKind,
+			collection,
+			key,
+			value,
+			body,
+			start: keyword.start,
+			end: close ? close.end : this.previousEnd()
+		};
+	}
+
+	private parseComprehensionTail(): Pick<ast.ComprehensionExpression, 'collection' | 'key' | 'value' | 'condition'> {
+		this.next();
+		const collection = this.parseExpression();
+		const { key, value } = this.parseBindings();
+		let condition: ast.Expression | undefined;
+		if (this.isKeyword('if')) {
+			this.next();
+			condition = this.parseExpression();
+		}
+		return { collection, key, value, condition };
+	}
+
+	private parseList(): ast.Expression {
+		const open = this.next();
+		const elements: ast.Expression[] = [];
+		while (!this.isPunct(']') && !this.atEnd()) {
+			elements.push(this.parseExpression());
+			if (elements.length === 1 && this.isKeyword('for')) {
+				const tail = this.parseComprehensionTail();
+				const close = this.expectClosing(']');
+				return {
+					type: 'ComprehensionExpression',
+					kind: 'list',
+					element: elements[0],
+					...tail,
+					start: open.start,
+					end: close ? close.end : this.previousEnd()
+				};
+			}
+			if (!this.isPunct(',')) {
+				break;
+			}
+			this.next();
+		}
+		const close = this.expectClosing(']');
+		return { type: 'ListLiteral', elements, start: open.start, end: close ? close.end : this.previousEnd() };
+	}
+
+	private parseMap(): ast.Expression {
+		const open = this.next();
+		const entries: ast.MapEntry[] = [];
+		while (!this.isPunct('}') && !this.atEnd()) {
+			const key = this.parseExpression();
+			this.expectPunct(':');
+			const value = this.parseExpression();
+			entries.push({ key, value, start: key.start, end: value.end });
+			if (entries.length === 1 && this.isKeyword('for')) {
+				const tail = this.parseComprehensionTail();
+				const close = this.expectClosing('}');
+				return {
+					type: 'ComprehensionExpression',
+					kind: 'map',
+					element: key,
+					elementValue: value,
+					...tail,
+					start: open.start,
+					end: close ? close.end : this.previousEnd()
+				};
+			}
+			if (!this.isPunct(',')) {
+				break;
+			}
+			this.next();
+		}
+		const close = this.expectClosing('}');
+		return { type: 'MapLiteral', entries, start: open.start, end: close ? close.end : this.previousEnd() };
+	}
+}
+
+function parseIntLiteral(raw: string): number {
+	if (/^0[xX]/.test(raw)) {
+		return parseInt(raw.slice(2), 16);
+	}
+	if (/^0[0-7]+$/.test(raw)) {
+		return parseInt(raw.slice(1), 8);
+	}
+	return parseInt(raw, 10);
+}
@@ -0,0 +1,216 @@
+/**
+ * Runs policies with the built-in evaluator, for the `sentinel/evaluate`
+ * request: reads the mocks, params and globals the policy's `sentinel.hcl`
+ * configures, stubs `http` with fixtures, and reports the value of every rule.
+ */
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { Range, TextDocumentIdentifier } from 'vscode-languageserver/node';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import * as ast from './ast';
+import { getParseResult } from './documentCache';
+import { EvaluationOptions, EvaluationResult, evaluatePolicy } from './evaluator';
+import { HclBlock, attributeOf } from './hcl';
+import { hclValue } from './mockData';
+import { HttpFixtures } from './runtimeImports';
+import { Value, equals, formatValue, fromPlain } from './runtimeValues';
+import { SentinelConfig, findConfigFor, parseConfig } from './sentinelConfig';
+import { toRange, uriToPath } from './util';
+import { getIndexedFile } from './workspaceIndex';
+
+export const EVALUATE_REQUEST = 'sentinel/evaluate';
+
+export interface EvaluateParams {
+	textDocument: TextDocumentIdentifier;
+}
+
+export interface RuleOutcome {
+	name: string;
+	range: Range;
+	/** False for rules that `main` did not need. */
+	evaluated: boolean;
+	/** The value of the rule, as Sentinel prints it. */
+	value?: string;
+}
+
+export interface EvaluateResponse {
+	/** True when `main` evaluated to true. */
+	passed: boolean;
+	/** The value of `main`, as Sentinel prints it; absent when the evaluation failed. */
+	result?: string;
+	rules: RuleOutcome[];
+	prints: string[];
+	error?: { message: string; uri: string; range?: Range };
+}
+
+function blockValues(config: SentinelConfig, blockType: string): Map<string, Value> {
+	const values: Map<string, Value> = new Map();
+	for (const item of config.parsed.body.items) {
+		if (item.type !== 'Block' || item.blockType.name !== blockType || !item.labels[0]) {
+			continue;
+		}
+		const value = attributeOf(item.body, 'value')?.value;
+		if (value) {
+			values.set(item.labels[0].value, fromPlain(hclValue(value)));
+		}
+	}
+	return values;
+}
+
+/** The values the `policy` block of `policyUri` gives its params, which take precedence over `param` blocks. */
+function policyParams(config: SentinelConfig, policyUri: string): Map<string, Value> {
+	const name = config.policies.find(policy => policy.sourceUri === policyUri)?.name;
+	const block = config.parsed.body.items.find((item): item is HclBlock =>
+		item.type === 'Block' && item.blockType.name === 'policy' && item.labels[0]?.value === name);
+	const params = block && attributeOf(block.body, 'params')?.value;
+	const value = params && fromPlain(hclValue(params));
+	return value instanceof Map ? new Map([...value].map(([key, item]) => [String(key), item])) : new Map();
+}
+
+/** Evaluation options from a configuration: its mocks and imports, params and globals. */
+export function configuredOptions(config: SentinelConfig | undefined, policyUri: string): EvaluationOptions {
+	if (!config) {
+		return {};
+	}
+	return {
+		imports: config.imports,
+		params: new Map([...blockValues(config, 'param'), ...policyParams(config, policyUri)]),
+		globals: blockValues(config, 'global')
+	};
+}
+
+/** Reads HTTP fixtures from a JSON file; relative paths are resolved against `directory`. */
+export async function loadHttpFixtures(file: string, directory: string): Promise<HttpFixtures> {
+	const text = await fs.readFile(path.resolve(directory, file), 'utf8');
+	const fixtures = JSON.parse(text);
+	if (typeof fixtures !== 'object' || fixtures === null || Array.isArray(fixtures)) {
+		throw new Error('HTTP fixtures must be a JSON object mapping URLs to responses.');
+	}
+	return fixtures as HttpFixtures;
+}
+
+function rangeIn(uri: string, span: ast.Span | undefined, document: TextDocument): Range | undefined {
+	const target = uri === document.uri ? document : getIndexedFile(uri)?.document;
+	return span && target && toRange(target, span);
+}
+
+function describeOutcome(document: TextDocument, outcome: EvaluationResult): EvaluateResponse {
+	const response: EvaluateResponse = {
+		passed: outcome.result === true,
+		result: outcome.error ? undefined : formatValue(outcome.result),
+		rules: outcome.rules.map(rule => ({
+			name: rule.name,
+			range: toRange(document, rule.span),
+			evaluated: rule.evaluated,
+			value: rule.evaluated ? formatValue(rule.value) : undefined
+		})),
+		prints: outcome.prints
+	};
+	if (outcome.error) {
+		const uri = outcome.error.uri ?? document.uri;
+		response.error = { message: outcome.error.message, uri, range: rangeIn(uri, outcome.error.span, document) };
+	}
+	return response;
+}
+
+/** Evaluates a policy document with the given options and describes the outcome for the client. */
+export function evaluateDocument(document: TextDocument, options: EvaluationOptions): EvaluateResponse {
+	return describeOutcome(document, evaluatePolicy(getParseResult(document), options));
+}
+
+function failure(document: TextDocument, message: string): EvaluateResponse {
+	return { passed: false, rules: [], prints: [], error: { message, uri: document.uri } };
+}
+
+/**
+ * Reads the HTTP fixtures file named by the settings, resolved against the
+ * directory of the policy's configuration, or of the policy when it has none.
+ */
+async function fixturesFor(document: TextDocument, httpFixtures: string | undefined): Promise<HttpFixtures | undefined> {
+	if (!httpFixtures || !document.uri.startsWith('file:')) {
+		return undefined;
+	}
+	const directory = path.dirname(uriToPath(findConfigFor(document.uri)?.uri ?? document.uri));
+	try {
+		return await loadHttpFixtures(httpFixtures, directory);
+	} catch (error) {
+		throw new Error(`Cannot load the HTTP fixtures: ${(error as Error).message}`);
+	}
+}
+
+/** Evaluates a policy against its `sentinel.hcl`, with `http` stubbed by the fixtures file `httpFixtures`. */
+export async function runPolicy(document: TextDocument, httpFixtures?: string): Promise<EvaluateResponse> {
+	const options = configuredOptions(findConfigFor(document.uri), document.uri);
+	try {
+		options.httpFixtures = await fixturesFor(document, httpFixtures);
+	} catch (error) {
+		return failure(document, (error as Error).message);
+	}
+	return evaluateDocument(document, options);
+}
+
+export const RUN_TEST_REQUEST = 'sentinel/runTest';
+
+export interface RunTestParams {
+	/** The policy under test. */
+	textDocument: TextDocumentIdentifier;
+	/** The test case, a file in `test/<policy>/`. */
+	testCase: TextDocumentIdentifier;
+}
+
+export interface TestExpectation {
+	rule: string;
+	/** The expected value, as Sentinel prints it. */
+	expected: string;
+	/** The value the rule had; absent when the policy has no such rule or the evaluation failed. */
+	actual?: string;
+	passed: boolean;
+}
+
+export interface RunTestResponse {
+	expectations: TestExpectation[];
+	evaluation: EvaluateResponse;
+}
+
+/** The `rules` of the `test` block of a test case; without one, `main` is expected to be true. */
+function expectedRules(testCase: SentinelConfig): Map<string, Value> {
+	const block = testCase.parsed.body.items.find((item): item is HclBlock => item.type === 'Block' && item.blockType.name === 'test');
+	if (!block) {
+		return new Map([['main', true]]);
+	}
+	const rules = attributeOf(block.body, 'rules')?.value;
+	const value = rules && fromPlain(hclValue(rules));
+	return value instanceof Map ? new Map([...value].map(([key, item]) => [String(key), item])) : new Map();
+}
+
+/**
+ * Runs a test case the way `sentinel test` does: the policy is evaluated with
+ * the mocks, params and globals of the test case alone, and each rule in its
+ * `test` block is compared with the expected value.
+ */
+export async function runTestCase(document: TextDocument, testCaseUri: string, httpFixtures?: string): Promise<RunTestResponse> {
+	let testCase: SentinelConfig;
+	const options: EvaluationOptions = {};
+	try {
+		testCase = parseConfig(testCaseUri, await fs.readFile(uriToPath(testCaseUri), 'utf8'));
+		options.httpFixtures = await fixturesFor(document, httpFixtures);
+	} catch (error) {
+		return { expectations: [], evaluation: failure(document, (error as Error).message) };
+	}
+	const expected = expectedRules(testCase);
+	const outcome = evaluatePolicy(getParseResult(document), {
+		...options,
+		...configuredOptions(testCase, document.uri),
+		rules: [...expected.keys()]
+	});
+	const expectations = [...expected].map(([rule, value]): TestExpectation => {
+		const result = outcome.error ? undefined : outcome.rules.find(r => r.name === rule);
+		return {
+			rule,
+			expected: formatValue(value),
+			actual: result && formatValue(result.value),
+			passed: result !== undefined && equals(result.value, value)
+		};
+	});
+	return { expectations, evaluation: describeOutcome(document, outcome) };
+}
@@ -0,0 +1,205 @@
+/**
+ * Refactorings of policies: extracting an expression into a top-level rule or
+ * function and inlining a rule used once. Extracting moves an expression to
+ * the top level, where the globals it refers to stay visible, and passes the
+ * locals it refers to as arguments. Inlining checks with the binder that every
+ * name in the rule keeps referring to the same symbol at its use. Either is
+ * only offered when the edited policy parses as cleanly as the original.
+ */
+import { CodeAction, CodeActionKind, Range, TextEdit } from 'vscode-languageserver/node';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import * as ast from './ast';
+import { Binding, SentinelSymbol, bind, scopeAt, visibleSymbols } from './binder';
+import { removeLines } from './codeActions';
+import { getBinding, getParseResult } from './documentCache';
+import { KEYWORDS } from './lexer';
+import { isModuleSource } from './modules';
+import { parse } from './parser';
+import { BUILTIN_FUNCTIONS } from './stdlib';
+
+/** Builtins whose calls change state or produce output, and so must run as often as before. */
+const IMPURE_BUILTINS: ReadonlySet<string> = new Set(['append', 'delete', 'error', 'print']);
+
+/** Expressions that never need parentheses where another expression is expected. */
+const ATOMIC_EXPRESSIONS: ReadonlySet<ast.Expression['type']> = new Set([
+	'Identifier', 'NumberLiteral', 'StringLiteral', 'BooleanLiteral', 'NullLiteral', 'UndefinedLiteral',
+	'ListLiteral', 'MapLiteral', 'ParenthesizedExpression', 'MemberExpression', 'IndexExpression',
+	'SliceExpression', 'CallExpression', 'ComprehensionExpression'
+]);
+
+function contains(outer: ast.Span, inner: ast.Span): boolean {
+	return outer.start <= inner.start && inner.end <= outer.end;
+}
+
+function refactoring(document: TextDocument, title: string, kind: string, edits: TextEdit[]): CodeAction {
+	return { title, kind, edit: { changes: { [document.uri]: edits } } };
+}
+
+/** Whether the edited policy parses without errors and leaves no more names unresolved than the original. */
+function isClean(document: TextDocument, binding: Binding, edits: TextEdit[]): boolean {
+	const parsed = parse(TextDocument.applyEdits(document, edits));
+	return parsed.errors.length === 0 && bind(parsed.program).unresolved.length <= binding.unresolved.length;
+}
+
+/** The identifiers in `node` that refer to symbols declared outside it. */
+function freeReferences(binding: Binding, node: ast.Node): { identifier: ast.Identifier; symbol: SentinelSymbol }[] {
+	const references: { identifier: ast.Identifier; symbol: SentinelSymbol }[] = [];
+	ast.walk(node, child => {
+		const symbol = child.type === 'Identifier' ? binding.resolved.get(child) : undefined;
+		if (child.type === 'Identifier' && symbol && !contains(node, symbol.declaration)) {
+			references.push({ identifier: child, symbol });
+		}
+	});
+	return references;
+}
+
+/**
+ * Whether evaluating `node` once gives the same result as evaluating it each
+ * time: it calls no builtin with side effects and reads no global that is
+ * reassigned. Calls to user functions are trusted not to mutate globals.
+ */
+function isPure(binding: Binding, node: ast.Node): boolean {
+	let pure = true;
+	ast.walk(node, child => {
+		if (child.type === 'CallExpression' && child.callee.type === 'Identifier'
+			&& binding.builtins.includes(child.callee) && IMPURE_BUILTINS.has(child.callee.name)) {
+			pure = false;
+		}
+	});
+	return pure && freeReferences(binding, node).every(({ symbol }) =>
+		symbol.scope !== binding.globalScope || symbol.references.every(r => !binding.writes.has(r)));
+}
+
+/** A name based on `base` that no symbol, builtin or keyword uses. */
+function unusedName(binding: Binding, base: string): string {
+	const taken = (name: string) => KEYWORDS.has(name) || BUILTIN_FUNCTIONS.has(name) || binding.symbols.some(s => s.name === name);
+	let name = base;
+	for (let i = 2; taken(name); i++) {
+		name = `${base}_${i}`;
+	}
+	return name;
+}
+
+/** The expression the selection covers exactly, ignoring surrounding white space. */
+function selectedExpression(document: TextDocument, program: ast.Program, range: Range): { expression: ast.Expression; parent: ast.Node } | undefined {
+	const text = document.getText(range);
+	const start = document.offsetAt(range.start) + (text.length - text.trimStart().length);
+	const end = document.offsetAt(range.end) - (text.length - text.trimEnd().length);
+	if (start >= end) {
+		return undefined;
+	}
+	const path = ast.nodePathAt(program, start);
+	for (let i = path.length - 1; i > 0; i--) {
+		const node = path[i];
+		if (node.start === start && node.end === end) {
+			return { expression: node as ast.Expression, parent: path[i - 1] };
+		}
+		if (node.end > end) {
+			break;
+		}
+	}
+	return undefined;
+}
+
+const NOT_EXTRACTABLE: ReadonlySet<string> = new Set(['Identifier', 'RuleExpression', 'FuncExpression', 'BadExpression']);
+
+/**
+ * Extracts the selected expression into a rule declared before the top-level
+ * statement containing it. Expressions that use loop variables, parameters or
+ * other locals, or that must be evaluated as often as before, become a
+ * function taking the locals as arguments instead.
+ */
+function extract(document: TextDocument, program: ast.Program, binding: Binding, range: Range): CodeAction[] {
+	const selected = selectedExpression(document, program, range);
+	const statement = program.body.find(s => selected && contains(s, selected.expression));
+	if (!selected || !statement || NOT_EXTRACTABLE.has(selected.expression.type)
+		|| (selected.parent.type === 'Assignment' && selected.parent.target === selected.expression)
+		|| (selected.parent.type === 'MemberExpression' && selected.parent.property === selected.expression)) {
+		return [];
+	}
+	const { expression } = selected;
+	const locals: SentinelSymbol[] = [];
+	for (const { symbol } of freeReferences(binding, expression)) {
+		if (symbol.scope !== binding.globalScope && !locals.includes(symbol)) {
+			locals.push(symbol);
+		}
+	}
+	const text = document.getText();
+	const source = text.slice(expression.start, expression.end);
+	const lineStart = document.positionAt(statement.start);
+	const insertAt = { line: lineStart.line, character: 0 };
+	let action: CodeAction;
+	if (locals.length === 0 && isPure(binding, expression)) {
+		const name = unusedName(binding, 'new_rule');
+		action = refactoring(document, `Extract to rule '${name}'`, CodeActionKind.RefactorExtract, [
+			TextEdit.insert(insertAt, `${name} = rule {\n\t${source}\n}\n\n`),
+			TextEdit.replace(rangeOf(document, expression), name)
+		]);
+	} else {
+		const name = unusedName(binding, 'new_func');
+		const params = locals.map(symbol => symbol.name).join(', ');
+		action = refactoring(document, `Extract to function '${name}'`, CodeActionKind.RefactorExtract, [
+			TextEdit.insert(insertAt, `func ${name}(${params}) {\n\treturn ${source}\n}\n\n`),
+			TextEdit.replace(rangeOf(document, expression), `${name}(${params})`)
+		]);
+	}
+	return isClean(document, binding, action.edit!.changes![document.uri]) ? [action] : [];
+}
+
+function rangeOf(document: TextDocument, span: ast.Span): Range {
+	return { start: document.positionAt(span.start), end: document.positionAt(span.end) };
+}
+
+/**
+ * Inlines a top-level rule that is read exactly once: its body replaces the
+ * reference and the declaration is removed. Rules with a `when` predicate,
+ * `main`, and rules of modules, which other files may use, are never inlined.
+ */
+function inline(document: TextDocument, program: ast.Program, binding: Binding, range: Range): CodeAction[] {
+	const path = ast.nodePathAt(program, document.offsetAt(range.start));
+	const node = path[path.length - 1];
+	const symbol = node.type === 'Identifier' ? binding.resolved.get(node) : undefined;
+	const declaration = symbol?.node;
+	if (!symbol || symbol.kind !== 'rule' || symbol.scope !== binding.globalScope || symbol.name === 'main'
+		|| declaration?.type !== 'Assignment' || declaration.value.type !== 'RuleExpression' || declaration.value.when
+		|| symbol.references.length !== 1 || binding.writes.has(symbol.references[0]) || isModuleSource(document.uri)) {
+		return [];
+	}
+	const use = symbol.references[0];
+	const body = declaration.value.body;
+	if (contains(declaration, use) || !isPure(binding, body)) {
+		return [];
+	}
+	// Every name in the body must still refer to the same symbol, or builtin, at the use.
+	const visible = visibleSymbols(scopeAt(binding, use.start));
+	const captured = freeReferences(binding, body).some(({ identifier, symbol: target }) =>
+		visible.find(s => s.name === identifier.name) !== target);
+	const shadowedBuiltin = binding.builtins.some(builtin => contains(body, builtin) && visible.some(s => s.name === builtin.name));
+	if (captured || shadowedBuiltin) {
+		return [];
+	}
+	const usePath = ast.nodePathAt(program, use.start);
+	const parent = usePath[usePath.length - 2];
+	const bare = ATOMIC_EXPRESSIONS.has(body.type) || parent?.type === 'ParenthesizedExpression'
+		|| (parent?.type === 'RuleExpression' && parent.body === use);
+	const source = document.getText().slice(body.start, body.end);
+	const edits = [
+		TextEdit.replace(rangeOf(document, use), bare ? source : `(${source})`),
+		removeLines(document, declaration)
+	];
+	const action = refactoring(document, `Inline rule '${symbol.name}'`, CodeActionKind.RefactorInline, edits);
+	return isClean(document, binding, edits) ? [action] : [];
+}
+
+/** Refactorings available for the selection or the identifier at the cursor. */
+export function provideRefactorings(document: TextDocument, range: Range): CodeAction[] {
+	const parsed = getParseResult(document);
+	if (parsed.errors.length > 0) {
+		return [];
+	}
+	const binding = getBinding(document);
+	return [
+		...extract(document, parsed.program, binding, range),
+		...inline(document, parsed.program, binding, range)
+	];
+}
@@ -0,0 +1,148 @@
+/**
+ * Scope-aware renaming of user-defined symbols.
+ */
+import {
+	ErrorCodes,
+	Position,
+	Range,
+	ResponseError,
+	TextEdit,
+	WorkspaceEdit
+} from 'vscode-languageserver/node';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import * as ast from './ast';
+import { Binding, Scope, SentinelSymbol, scopeAt } from './binder';
+import { getBinding, getParseResult } from './documentCache';
+import { KEYWORDS } from './lexer';
+import { findSymbolAt } from './navigation';
+import { toRange } from './util';
+
+function refuse(message: string): ResponseError<void> {
+	return new ResponseError(ErrorCodes.InvalidRequest, message);
+}
+
+/** Explains why the identifier at `offset` cannot be renamed, for things that are not user symbols. */
+function notRenameable(program: ast.Program, binding: Binding, offset: number): string {
+	const path = ast.nodePathAt(program, offset);
+	const node = path[path.length - 1];
+	const parent = path[path.length - 2];
+	if (node.type === 'Identifier') {
+		if (parent?.type === 'MemberExpression' && parent.property === node) {
+			return 'Members of imports and values cannot be renamed.';
+		}
+		if (binding.builtins.includes(node)) {
+			return `'${node.name}' is a builtin function and cannot be renamed.`;
+		}
+		return `'${node.name}' is not defined in this policy.`;
+	}
+	return 'You cannot rename this element.';
+}
+
+function occurrencesOf(symbol: SentinelSymbol): ast.Identifier[] {
+	return [symbol.declaration, ...symbol.references];
+}
+
+/**
+ * How many scopes lie between `offset` and the scope declaring `symbol`, or
+ * `undefined` when `symbol` is not visible there. The nearer of two symbols
+ * with the same name is the one a reference resolves to.
+ */
+function distanceTo(binding: Binding, offset: number, symbol: SentinelSymbol): number | undefined {
+	let distance = 0;
+	for (let scope: Scope | undefined = scopeAt(binding, offset); scope; scope = scope.parent, distance++) {
+		if (scope === symbol.scope) {
+			return distance;
+		}
+	}
+	return undefined;
+}
+
+/**
+ * Reports a name clash if renaming `symbol` to `newName` would change what any
+ * identifier refers to: either an occurrence of `symbol` would resolve to an
+ * existing `newName` declared nearer to it, or an existing reference to
+ * `newName` (or to the builtin of that name) would resolve to the renamed
+ * symbol instead. A `newName` that is only shadowed by the renamed symbol
+ * where nothing refers to it is no conflict.
+ */
+function findConflict(binding: Binding, symbol: SentinelSymbol, newName: string): string | undefined {
+	const others = binding.symbols.filter(other => other.name === newName && other !== symbol);
+	if (others.some(other => other.scope === symbol.scope)) {
+		return `'${newName}' is already defined in the same scope as '${symbol.name}'.`;
+	}
+	for (const reference of symbol.references) {
+		const own = distanceTo(binding, reference.start, symbol);
+		const captured = others.some(other => {
+			const distance = distanceTo(binding, reference.start, other);
+			return distance !== undefined && (own === undefined || distance <= own);
+		});
+		if (captured) {
+			return `'${newName}' is already defined and visible where '${symbol.name}' is used.`;
+		}
+	}
+	for (const other of others) {
+		for (const reference of other.references) {
+			const distance = distanceTo(binding, reference.start, symbol);
+			const current = distanceTo(binding, reference.start, other);
+			if (distance !== undefined && (current === undefined || distance <= current)) {
+				return `Renaming would make existing references to '${newName}' refer to '${symbol.name}' instead.`;
+			}
+		}
+	}
+	if (binding.builtins.some(builtin => builtin.name === newName && distanceTo(binding, builtin.start, symbol) !== undefined)) {
+		return `'${newName}' would shadow the builtin function used in this policy.`;
+	}
+	return undefined;
+}
+
+export function providePrepareRename(document: TextDocument, position: Position): { range: Range; placeholder: string } | ResponseError<void> {
+	const { program, tokens } = getParseResult(document);
+	const binding = getBinding(document);
+	const offset = document.offsetAt(position);
+
+	const token = tokens.find(t => t.start <= offset && offset <= t.end && t.kind !== 'eof');
+	if (token?.kind === 'keyword') {
+		return refuse(`'${token.text}' is a keyword and cannot be renamed.`);
+	}
+	const occurrence = findSymbolAt(program, binding, offset);
+	if (!occurrence) {
+		return refuse(notRenameable(program, binding, offset));
+	}
+	const { symbol } = occurrence;
+	if (symbol.kind === 'import' && symbol.node.type === 'ImportDeclaration' && !symbol.node.alias) {
+		return refuse(`Add an alias (import "${symbol.node.path.value}" as name) to rename this import.`);
+	}
+	if (symbol.node.type === 'ImportDeclaration' && occurrence.span === symbol.node.path) {
+		return refuse('Import paths cannot be renamed; rename the alias instead.');
+	}
+	return { range: toRange(document, occurrence.span), placeholder: symbol.name };
+}
+
+export function provideRename(document: TextDocument, position: Position, newName: string): WorkspaceEdit | ResponseError<void> {
+	const prepared = providePrepareRename(document, position);
+	if (prepared instanceof ResponseError) {
+		return prepared;
+	}
+	if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(newName)) {
+		return refuse(`'${newName}' is not a valid identifier.`);
+	}
+	if (KEYWORDS.has(newName)) {
+		return refuse(`'${newName}' is a keyword.`);
+	}
+	const { program } = getParseResult(document);
+	const binding = getBinding(document);
+	const occurrence = findSymbolAt(program, binding, document.offsetAt(position));
+	if (!occurrence) {
+		return refuse('You cannot rename this element.');
+	}
+	const { symbol } = occurrence;
+	if (newName === symbol.name) {
+		return { changes: {} };
+	}
+	const conflict = findConflict(binding, symbol, newName);
+	if (conflict) {
+		return refuse(conflict);
+	}
+	const edits = occurrencesOf(symbol).map(identifier => TextEdit.replace(toRange(document, identifier), newName));
+	return { changes: { [document.uri]: edits } };
+}
@@ -0,0 +1,747 @@
+/**
+ * Builtin functions and standard imports of the policy evaluator: `strings`,
+ * `types`, `decimal`, `time`, `json`, `base64`, `units` and an `http` import
+ * that answers from fixtures instead of the network.
+ */
+import * as ast from './ast';
+import {
+	NativeFunction,
+	RuntimeError,
+	SentinelMap,
+	SentinelObject,
+	Value,
+	formatValue,
+	fromPlain,
+	isMap,
+	stringify,
+	toMapKey,
+	typeOf
+} from './runtimeValues';
+
+/** A stubbed HTTP response. */
+export interface HttpFixture {
+	status_code?: number;
+	headers?: Record<string, string>;
+	/** The response body; anything other than a string is sent as JSON. */
+	body?: unknown;
+}
+
+/** Stubbed responses by URL, or by method and URL such as `POST https://example.com/api`. */
+export type HttpFixtures = Record<string, HttpFixture>;
+
+/** What the builtins and imports need from the evaluation that uses them. */
+export interface RuntimeContext {
+	print(message: string): void;
+	/** The time `time.now` returns. */
+	now: Date;
+	httpFixtures: HttpFixtures;
+}
+
+function expectString(value: Value, what: string, span: ast.Span): string {
+	if (typeof value !== 'string') {
+		throw new RuntimeError(`${what} must be a string, got ${typeOf(value)}.`, span);
+	}
+	return value;
+}
+
+function expectInt(value: Value, what: string, span: ast.Span): bigint {
+	if (typeof value !== 'bigint') {
+		throw new RuntimeError(`${what} must be an int, got ${typeOf(value)}.`, span);
+	}
+	return value;
+}
+
+function expectList(value: Value, what: string, span: ast.Span): Value[] {
+	if (!Array.isArray(value)) {
+		throw new RuntimeError(`${what} must be a list, got ${typeOf(value)}.`, span);
+	}
+	return value;
+}
+
+function expectMap(value: Value, what: string, span: ast.Span): SentinelMap {
+	if (!isMap(value)) {
+		throw new RuntimeError(`${what} must be a map, got ${typeOf(value)}.`, span);
+	}
+	return value;
+}
+
+function fn(name: string, minArgs: number, implementation: (args: Value[], span: ast.Span) => Value, maxArgs = minArgs): NativeFunction {
+	return new NativeFunction(name, implementation, minArgs, maxArgs);
+}
+
+// ---- Builtins --------------------------------------------------------------
+
+export function builtinFunctions(context: RuntimeContext): Map<string, NativeFunction> {
+	const builtins = [
+		fn('append', 2, ([list, value], span) => {
+			expectList(list, 'The first argument of append', span).push(value);
+			return undefined;
+		}),
+		fn('bool', 1, ([value], span) => {
+			if (value === undefined || typeof value === 'boolean') {
+				return value;
+			}
+			if (typeof value === 'string' && /^(true|false)$/i.test(value)) {
+				return value.toLowerCase() === 'true';
+			}
+			throw new RuntimeError(`Cannot convert ${formatValue(value)} to bool.`, span);
+		}),
+		fn('delete', 2, ([map, key], span) => {
+			expectMap(map, 'The first argument of delete', span).delete(toMapKey(key, span));
+			return undefined;
+		}),
+		fn('error', 0, (args, span) => {
+			throw new RuntimeError(args.map(stringify).join(' '), span);
+		}, Infinity),
+		fn('float', 1, ([value], span) => {
+			if (value === undefined || typeof value === 'number') {
+				return value;
+			}
+			if (typeof value === 'bigint') {
+				return Number(value);
+			}
+			const parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+			if (Number.isNaN(parsed)) {
+				throw new RuntimeError(`Cannot convert ${formatValue(value)} to float.`, span);
+			}
+			return parsed;
+		}),
+		fn('int', 1, ([value], span) => {
+			if (value === undefined || typeof value === 'bigint') {
+				return value;
+			}
+			if (typeof value === 'number' && Number.isFinite(value)) {
+				return BigInt(Math.trunc(value));
+			}
+			if (typeof value === 'string' && /^\s*[+-]?\d+\s*$/.test(value)) {
+				return BigInt(value.trim());
+			}
+			const parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+			if (Number.isFinite(parsed)) {
+				return BigInt(Math.trunc(parsed));
+			}
+			throw new RuntimeError(`Cannot convert ${formatValue(value)} to int.`, span);
+		}),
+		fn('keys', 1, ([map], span) => [...expectMap(map, 'The argument of keys', span).keys()]),
+		fn('length', 1, ([value], span) => {
+			if (value === undefined) {
+				return undefined;
+			}
+			if (typeof value === 'string') {
+				return BigInt([...value].length);
+			}
+			if (Array.isArray(value)) {
+				return BigInt(value.length);
+			}
+			if (isMap(value)) {
+				return BigInt(value.size);
+			}
+			throw new RuntimeError(`Cannot take the length of a ${typeOf(value)}.`, span);
+		}),
+		fn('print', 0, args => {
+			context.print(args.map(stringify).join(' '));
+			return true;
+		}, Infinity),
+		fn('range', 1, (args, span) => {
+			const [first, second, third] = args.map((arg, i) => expectInt(arg, `Argument ${i + 1} of range`, span));
+			const [start, end] = second === undefined ? [0n, first] : [first, second];
+			const step = third ?? 1n;
+			if (step === 0n) {
+				throw new RuntimeError('The step of range cannot be zero.', span);
+			}
+			const list: Value[] = [];
+			for (let i = start; step > 0n ? i < end : i > end; i += step) {
+				list.push(i);
+			}
+			return list;
+		}, 3),
+		fn('string', 1, ([value]) => value === undefined ? undefined : stringify(value)),
+		fn('values', 1, ([map], span) => [...expectMap(map, 'The argument of values', span).values()])
+	];
+	return new Map(builtins.map(builtin => [builtin.name, builtin]));
+}
+
+// ---- strings ---------------------------------------------------------------
+
+function trimCutset(s: string, cutset: string, left: boolean, right: boolean): string {
+	const chars = [...s];
+	let start = 0;
+	let end = chars.length;
+	while (left && start < end && cutset.includes(chars[start])) {
+		start++;
+	}
+	while (right && end > start && cutset.includes(chars[end - 1])) {
+		end--;
+	}
+	return chars.slice(start, end).join('');
+}
+
+function stringsImport(): SentinelObject {
+	const str = (value: Value, span: ast.Span) => expectString(value, 'The argument', span);
+	return new SentinelObject('import', {
+		has_prefix: fn('has_prefix', 2, ([s, prefix], span) => str(s, span).startsWith(str(prefix, span))),
+		has_suffix: fn('has_suffix', 2, ([s, suffix], span) => str(s, span).endsWith(str(suffix, span))),
+		index: fn('index', 2, ([s, substr], span) => BigInt(str(s, span).indexOf(str(substr, span)))),
+		join: fn('join', 2, ([list, separator], span) =>
+			expectList(list, 'The list to join', span).map(item => str(item, span)).join(str(separator, span))),
+		replace: fn('replace', 4, ([s, old, replacement, n], span) => {
+			let remaining = expectInt(n, 'The replacement count', span);
+			const parts = str(s, span).split(str(old, span));
+			let result = parts[0];
+			for (let i = 1; i < parts.length; i++) {
+				result += (remaining !== 0n ? str(replacement, span) : str(old, span)) + parts[i];
+				if (remaining > 0n) {
+					remaining--;
+				}
+			}
+			return result;
+		}),
+		split: fn('split', 2, ([s, separator], span) => str(s, span).split(str(separator, span))),
+		to_lower: fn('to_lower', 1, ([s], span) => str(s, span).toLowerCase()),
+		to_upper: fn('to_upper', 1, ([s], span) => str(s, span).toUpperCase()),
+		trim: fn('trim', 2, ([s, cutset], span) => trimCutset(str(s, span), str(cutset, span), true, true)),
+		trim_left: fn('trim_left', 2, ([s, cutset], span) => trimCutset(str(s, span), str(cutset, span), true, false)),
+		trim_right: fn('trim_right', 2, ([s, cutset], span) => trimCutset(str(s, span), str(cutset, span), false, true)),
+		trim_prefix: fn('trim_prefix', 2, ([s, prefix], span) => {
+			const text = str(s, span);
+			const p = str(prefix, span);
+			return text.startsWith(p) ? text.slice(p.length) : text;
+		}),
+		trim_suffix: fn('trim_suffix', 2, ([s, suffix], span) => {
+			const text = str(s, span);
+			const x = str(suffix, span);
+			return x && text.endsWith(x) ? text.slice(0, -x.length) : text;
+		}),
+		trim_space: fn('trim_space', 1, ([s], span) => str(s, span).trim())
+	});
+}
+
+// ---- types, units ----------------------------------------------------------
+
+function typesImport(): SentinelObject {
+	return new SentinelObject('import', {
+		type_of: fn('type_of', 1, ([value]) => typeOf(value))
+	});
+}
+
+function unitsImport(): SentinelObject {
+	return new SentinelObject('import', {
+		byte: 1n,
+		kilobyte: 1024n,
+		megabyte: 1024n ** 2n,
+		gigabyte: 1024n ** 3n,
+		terabyte: 1024n ** 4n,
+		petabyte: 1024n ** 5n
+	});
+}
+
+// ---- base64 and json -------------------------------------------------------
+
+function decodeBase64(text: string, url: boolean, span: ast.Span): string {
+	const pattern = url ? /^[A-Za-z0-9_-]*={0,2}$/ : /^[A-Za-z0-9+/]*={0,2}$/;
+	if (!pattern.test(text) || text.length % 4 !== 0) {
+		throw new RuntimeError(`Invalid base64 input: ${JSON.stringify(text)}.`, span);
+	}
+	return Buffer.from(text, url ? 'base64url' : 'base64').toString('utf8');
+}
+
+function base64Import(): SentinelObject {
+	return new SentinelObject('import', {
+		encode: fn('encode', 1, ([s], span) => Buffer.from(expectString(s, 'The input', span), 'utf8').toString('base64')),
+		decode: fn('decode', 1, ([s], span) => decodeBase64(expectString(s, 'The input', span), false, span)),
+		urlencode: fn('urlencode', 1, ([s], span) => {
+			const encoded = Buffer.from(expectString(s, 'The input', span), 'utf8').toString('base64url');
+			return encoded.padEnd(Math.ceil(encoded.length / 4) * 4, '=');
+		}),
+		urldecode: fn('urldecode', 1, ([s], span) => decodeBase64(expectString(s, 'The input', span), true, span))
+	});
+}
+
+/** Encodes a value as JSON, with the keys of maps sorted. */
+function marshal(value: Value, span: ast.Span): string {
+	if (value === null || typeof value === 'boolean' || typeof value === 'bigint') {
+		return String(value);
+	}
+	if (typeof value === 'number') {
+		if (!Number.isFinite(value)) {
+			throw new RuntimeError(`Cannot encode ${value} as JSON.`, span);
+		}
+		return String(value);
+	}
+	if (typeof value === 'string') {
+		return JSON.stringify(value);
+	}
+	if (Array.isArray(value)) {
+		return `[${value.map(item => marshal(item, span)).join(',')}]`;
+	}
+	if (isMap(value)) {
+		const entries = [...value].map(([key, item]) => [stringify(key), marshal(item, span)]);
+		entries.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+		return `{${entries.map(([key, item]) => `${JSON.stringify(key)}:${item}`).join(',')}}`;
+	}
+	throw new RuntimeError(`Cannot encode a ${typeOf(value)} as JSON.`, span);
+}
+
+function jsonImport(): SentinelObject {
+	return new SentinelObject('import', {
+		marshal: fn('marshal', 1, ([value], span) => marshal(value, span)),
+		unmarshal: fn('unmarshal', 1, ([text], span) => {
+			try {
+				return fromPlain(JSON.parse(expectString(text, 'The JSON input', span)));
+			} catch (error) {
+				if (error instanceof RuntimeError) {
+					throw error;
+				}
+				throw new RuntimeError(`Invalid JSON: ${(error as Error).message}`, span);
+			}
+		})
+	});
+}
+
+// ---- decimal ---------------------------------------------------------------
+
+/** Significant digits kept by divisions that do not terminate. */
+const DIVISION_PRECISION = 34;
+
+function digitCount(value: bigint): number {
+	return (value < 0n ? -value : value).toString().length;
+}
+
+/** An exact decimal `coefficient * 10^exponent`; infinities and NaN are kept as `special`. */
+class Decimal {
+	constructor(readonly coefficient: bigint, readonly exponent: number, readonly special?: number) {}
+
+	static parse(text: string): Decimal | undefined {
+		const trimmed = text.trim();
+		if (/^[+-]?(Inf|Infinity)$/i.test(trimmed)) {
+			return Decimal.fromFloat(trimmed.startsWith('-') ? -Infinity : Infinity);
+		}
+		if (/^NaN$/i.test(trimmed)) {
+			return Decimal.fromFloat(NaN);
+		}
+		const match = /^([+-])?(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/.exec(trimmed);
+		if (!match || (!match[2] && !match[3])) {
+			return undefined;
+		}
+		const fraction = match[3] ?? '';
+		const coefficient = BigInt(`${match[2]}${fraction}` || '0');
+		return new Decimal(match[1] === '-' ? -coefficient : coefficient, Number(match[4] ?? 0) - fraction.length);
+	}
+
+	static fromFloat(value: number): Decimal {
+		return Number.isFinite(value) ? Decimal.parse(String(value))! : new Decimal(0n, 0, value);
+	}
+
+	toFloat(): number {
+		return this.special ?? Number(`${this.coefficient}e${this.exponent}`);
+	}
+
+	/** Strips trailing zeros from the coefficient. */
+	normalized(): Decimal {
+		let { coefficient, exponent } = this;
+		while (coefficient !== 0n && coefficient % 10n === 0n) {
+			coefficient /= 10n;
+			exponent++;
+		}
+		return new Decimal(coefficient, exponent);
+	}
+
+	private aligned(other: Decimal): [bigint, bigint, number] {
+		const exponent = Math.min(this.exponent, other.exponent);
+		return [
+			this.coefficient * 10n ** BigInt(this.exponent - exponent),
+			other.coefficient * 10n ** BigInt(other.exponent - exponent),
+			exponent
+		];
+	}
+
+	private isSpecial(other: Decimal): boolean {
+		return this.special !== undefined || other.special !== undefined;
+	}
+
+	add(other: Decimal): Decimal {
+		if (this.isSpecial(other)) {
+			return Decimal.fromFloat(this.toFloat() + other.toFloat());
+		}
+		const [a, b, exponent] = this.aligned(other);
+		return new Decimal(a + b, exponent);
+	}
+
+	subtract(other: Decimal): Decimal {
+		return this.add(other.negate());
+	}
+
+	multiply(other: Decimal): Decimal {
+		if (this.isSpecial(other)) {
+			return Decimal.fromFloat(this.toFloat() * other.toFloat());
+		}
+		return new Decimal(this.coefficient * other.coefficient, this.exponent + other.exponent);
+	}
+
+	divide(other: Decimal): Decimal {
+		if (this.isSpecial(other) || other.coefficient === 0n) {
+			return Decimal.fromFloat(this.toFloat() / other.toFloat());
+		}
+		const shift = Math.max(0, DIVISION_PRECISION + digitCount(other.coefficient) - digitCount(this.coefficient));
+		const quotient = (this.coefficient * 10n ** BigInt(shift)) / other.coefficient;
+		return new Decimal(quotient, this.exponent - other.exponent - shift).normalized();
+	}
+
+	modulo(other: Decimal): Decimal {
+		if (this.isSpecial(other) || other.coefficient === 0n) {
+			return Decimal.fromFloat(this.toFloat() % other.toFloat());
+		}
+		const [a, b, exponent] = this.aligned(other);
+		return new Decimal(a % b, exponent);
+	}
+
+	power(other: Decimal): Decimal {
+		const exponent = other.special === undefined && other.exponent >= 0 ? other.coefficient * 10n ** BigInt(other.exponent) : undefined;
+		if (this.special !== undefined || exponent === undefined || exponent > 1000n || exponent < -1000n) {
+			return Decimal.fromFloat(Math.pow(this.toFloat(), other.toFloat()));
+		}
+		const magnitude = exponent < 0n ? -exponent : exponent;
+		const result = new Decimal(this.coefficient ** magnitude, this.exponent * Number(magnitude));
+		return exponent < 0n ? new Decimal(1n, 0).divide(result) : result;
+	}
+
+	/** -1, 0 or 1; `undefined` when either side is NaN. */
+	compare(other: Decimal): number | undefined {
+		if (this.isSpecial(other)) {
+			const a = this.toFloat();
+			const b = other.toFloat();
+			return Number.isNaN(a) || Number.isNaN(b) ? undefined : Math.sign(a - b) || 0;
+		}
+		const [a, b] = this.aligned(other);
+		return a < b ? -1 : a > b ? 1 : 0;
+	}
+
+	negate(): Decimal {
+		return this.special !== undefined ? Decimal.fromFloat(-this.special) : new Decimal(-this.coefficient, this.exponent);
+	}
+
+	absolute(): Decimal {
+		return this.sign() < 0 ? this.negate() : this;
+	}
+
+	sign(): number {
+		if (this.special !== undefined) {
+			return Number.isNaN(this.special) ? 0 : Math.sign(this.special);
+		}
+		return this.coefficient > 0n ? 1 : this.coefficient < 0n ? -1 : 0;
+	}
+
+	/** Rounds towards negative infinity (`floor`) or positive infinity (`ceiling`). */
+	round(up: boolean): Decimal {
+		if (this.special !== undefined || this.exponent >= 0) {
+			return this;
+		}
+		const scale = 10n ** BigInt(-this.exponent);
+		let quotient = this.coefficient / scale;
+		const remainder = this.coefficient % scale;
+		if (remainder !== 0n && (up ? remainder > 0n : remainder < 0n)) {
+			quotient += up ? 1n : -1n;
+		}
+		return new Decimal(quotient, 0);
+	}
+
+	/** The integral part, truncated towards zero. */
+	toInt(): bigint {
+		if (this.special !== undefined) {
+			return 0n;
+		}
+		return this.exponent >= 0 ? this.coefficient * 10n ** BigInt(this.exponent) : this.coefficient / 10n ** BigInt(-this.exponent);
+	}
+
+	toString(): string {
+		if (this.special !== undefined) {
+			return Number.isNaN(this.special) ? 'NaN' : this.special > 0 ? 'Infinity' : '-Infinity';
+		}
+		const negative = this.coefficient < 0n;
+		const digits = (negative ? -this.coefficient : this.coefficient).toString();
+		let text: string;
+		if (this.exponent >= 0) {
+			text = digits === '0' ? '0' : digits + '0'.repeat(this.exponent);
+		} else {
+			const padded = digits.padStart(-this.exponent + 1, '0');
+			text = `${padded.slice(0, this.exponent)}.${padded.slice(this.exponent)}`;
+		}
+		return negative ? `-${text}` : text;
+	}
+}
+
+function toDecimal(value: Value, span: ast.Span): Decimal {
+	if (value instanceof SentinelObject && value.internal instanceof Decimal) {
+		return value.internal;
+	}
+	if (typeof value === 'bigint') {
+		return new Decimal(value, 0);
+	}
+	if (typeof value === 'number') {
+		return Decimal.fromFloat(value);
+	}
+	const parsed = typeof value === 'string' ? Decimal.parse(value) : undefined;
+	if (!parsed) {
+		throw new RuntimeError(`Cannot convert ${formatValue(value)} to a decimal.`, span);
+	}
+	return parsed;
+}
+
+function decimalObject(decimal: Decimal): SentinelObject {
+	const binary = (name: string, op: (a: Decimal, b: Decimal) => Decimal) =>
+		fn(name, 1, ([other], span) => decimalObject(op(decimal, toDecimal(other, span))));
+	const comparison = (name: string, test: (order: number) => boolean) =>
+		fn(name, 1, ([other], span) => {
+			const order = decimal.compare(toDecimal(other, span));
+			return order !== undefined && test(order);
+		});
+	const unary = (name: string, op: () => Decimal) => fn(name, 0, () => decimalObject(op()));
+	const viaFloat = (name: string, op: (x: number) => number) => unary(name, () => Decimal.fromFloat(op(decimal.toFloat())));
+	return new SentinelObject('decimal', {
+		string: () => decimal.toString(),
+		sign: () => BigInt(decimal.sign()),
+		coefficient: () => decimal.coefficient < 0n ? -decimal.coefficient : decimal.coefficient,
+		exponent: () => BigInt(decimal.exponent),
+		float: () => decimal.toFloat(),
+		int: () => decimal.toInt(),
+		is: comparison('is', order => order === 0),
+		is_not: fn('is_not', 1, ([other], span) => decimal.compare(toDecimal(other, span)) !== 0),
+		less_than: comparison('less_than', order => order < 0),
+		less_than_or_equals: comparison('less_than_or_equals', order => order <= 0),
+		greater_than: comparison('greater_than', order => order > 0),
+		greater_than_or_equals: comparison('greater_than_or_equals', order => order >= 0),
+		add: binary('add', (a, b) => a.add(b)),
+		subtract: binary('subtract', (a, b) => a.subtract(b)),
+		multiply: binary('multiply', (a, b) => a.multiply(b)),
+		divide: binary('divide', (a, b) => a.divide(b)),
+		modulo: binary('modulo', (a, b) => a.modulo(b)),
+		power: binary('power', (a, b) => a.power(b)),
+		exp: viaFloat('exp', Math.exp),
+		loge: viaFloat('loge', Math.log),
+		log: binary('log', (a, b) => Decimal.fromFloat(Math.log(a.toFloat()) / Math.log(b.toFloat()))),
+		square_root: viaFloat('square_root', Math.sqrt),
+		ceiling: unary('ceiling', () => decimal.round(true)),
+		floor: unary('floor', () => decimal.round(false)),
+		absolute: unary('absolute', () => decimal.absolute()),
+		negate: unary('negate', () => decimal.negate())
+	}, decimal);
+}
+
+function decimalImport(): SentinelObject {
+	return new SentinelObject('import', {
+		new: fn('new', 1, ([value], span) => decimalObject(toDecimal(value, span))),
+		is_infinite: fn('is_infinite', 1, ([value], span) => {
+			const special = toDecimal(value, span).special;
+			return special === Infinity || special === -Infinity;
+		}),
+		is_nan: fn('is_nan', 1, ([value], span) => Number.isNaN(toDecimal(value, span).special)),
+		infinity: () => decimalObject(Decimal.fromFloat(Infinity)),
+		nan: () => decimalObject(Decimal.fromFloat(NaN))
+	});
+}
+
+// ---- time ------------------------------------------------------------------
+
+const NANOSECONDS_PER_MILLISECOND = 1_000_000n;
+const NANOSECONDS_PER_SECOND = 1_000_000_000n;
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/** Wraps a time, given in nanoseconds since the Unix epoch. Times are always in UTC. */
+class Instant {
+	constructor(readonly nanoseconds: bigint) {}
+
+	get date(): Date {
+		return new Date(Number(this.nanoseconds / NANOSECONDS_PER_MILLISECOND));
+	}
+
+	get fraction(): bigint {
+		return this.nanoseconds % NANOSECONDS_PER_SECOND;
+	}
+}
+
+function parseTime(text: string, span: ast.Span): Instant {
+	const match = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2})(?:\.(\d{1,9}))?(Z|[+-]\d{2}:\d{2})$/i.exec(text);
+	const milliseconds = match ? Date.parse(`${match[1]}${match[3].toUpperCase()}`) : NaN;
+	if (!match || Number.isNaN(milliseconds)) {
+		throw new RuntimeError(`Cannot parse ${JSON.stringify(text)} as an RFC 3339 time.`, span);
+	}
+	return new Instant(BigInt(milliseconds) * NANOSECONDS_PER_MILLISECOND + BigInt((match[2] ?? '').padEnd(9, '0')));
+}
+
+function toInstant(value: Value, span: ast.Span): Instant {
+	if (value instanceof SentinelObject && value.internal instanceof Instant) {
+		return value.internal;
+	}
+	if (typeof value === 'bigint') {
+		return new Instant(value * NANOSECONDS_PER_SECOND);
+	}
+	if (typeof value === 'string') {
+		return parseTime(value, span);
+	}
+	throw new RuntimeError(`Cannot convert ${formatValue(value)} to a time.`, span);
+}
+
+function formatTime(instant: Instant): string {
+	const base = instant.date.toISOString().slice(0, 19);
+	const fraction = instant.fraction === 0n ? '' : `.${instant.fraction.toString().padStart(9, '0').replace(/0+$/, '')}`;
+	return `${base}${fraction}Z`;
+}
+
+function timeObject(instant: Instant): SentinelObject {
+	const date = instant.date;
+	const compare = (name: string, test: (a: bigint, b: bigint) => boolean) =>
+		fn(name, 1, ([other], span) => test(instant.nanoseconds, toInstant(other, span).nanoseconds));
+	return new SentinelObject('time', {
+		string: () => formatTime(instant),
+		location: 'UTC',
+		year: () => BigInt(date.getUTCFullYear()),
+		month: () => BigInt(date.getUTCMonth() + 1),
+		month_name: () => MONTH_NAMES[date.getUTCMonth()],
+		day: () => BigInt(date.getUTCDate()),
+		weekday: () => BigInt(date.getUTCDay()),
+		weekday_name: () => WEEKDAY_NAMES[date.getUTCDay()],
+		hour: () => BigInt(date.getUTCHours()),
+		minute: () => BigInt(date.getUTCMinutes()),
+		second: () => BigInt(date.getUTCSeconds()),
+		nanosecond: () => instant.fraction,
+		unix: () => instant.nanoseconds / NANOSECONDS_PER_SECOND,
+		unix_nano: () => instant.nanoseconds,
+		add: fn('add', 1, ([duration], span) => timeObject(new Instant(instant.nanoseconds + expectInt(duration, 'The duration', span)))),
+		add_date: fn('add_date', 3, ([years, months, days], span) => {
+			const shifted = new Date(date);
+			shifted.setUTCFullYear(
+				date.getUTCFullYear() + Number(expectInt(years, 'The years', span)),
+				date.getUTCMonth() + Number(expectInt(months, 'The months', span)),
+				date.getUTCDate() + Number(expectInt(days, 'The days', span))
+			);
+			return timeObject(new Instant(BigInt(shifted.getTime()) * NANOSECONDS_PER_MILLISECOND + instant.fraction % NANOSECONDS_PER_MILLISECOND));
+		}),
+		sub: fn('sub', 1, ([other], span) => instant.nanoseconds - toInstant(other, span).nanoseconds),
+		after: compare('after', (a, b) => a > b),
+		before: compare('before', (a, b) => a < b),
+		equal: compare('equal', (a, b) => a === b)
+	}, instant);
+}
+
+function timeImport(context: RuntimeContext): SentinelObject {
+	return new SentinelObject('import', {
+		now: () => timeObject(new Instant(BigInt(context.now.getTime()) * NANOSECONDS_PER_MILLISECOND)),
+		load: fn('load', 1, ([value], span) => timeObject(toInstant(value, span))),
+		nanosecond: 1n,
+		microsecond: 1_000n,
+		millisecond: NANOSECONDS_PER_MILLISECOND,
+		second: NANOSECONDS_PER_SECOND,
+		minute: 60n * NANOSECONDS_PER_SECOND,
+		hour: 3600n * NANOSECONDS_PER_SECOND
+	});
+}
+
+// ---- http ------------------------------------------------------------------
+
+interface HttpRequest {
+	url: string;
+	headers: Map<string, string>;
+	body?: string;
+}
+
+interface HttpClient {
+	/** Accepted status codes; `undefined` accepts all. */
+	accepted?: bigint[];
+}
+
+function requestObject(request: HttpRequest): SentinelObject {
+	const derive = (change: Partial<HttpRequest>) => requestObject({ ...request, headers: new Map(request.headers), ...change });
+	return new SentinelObject('http.request', {
+		url: request.url,
+		headers: () => new Map(request.headers),
+		body: request.body,
+		with_header: fn('with_header', 2, ([name, value], span) => {
+			const headers = new Map(request.headers).set(expectString(name, 'The header name', span), expectString(value, 'The header value', span));
+			return derive({ headers });
+		}),
+		with_headers: fn('with_headers', 1, ([map], span) => {
+			const headers = new Map(request.headers);
+			for (const [name, value] of expectMap(map, 'The headers', span)) {
+				headers.set(stringify(name), expectString(value, 'The header value', span));
+			}
+			return derive({ headers });
+		}),
+		with_basic_auth: fn('with_basic_auth', 2, ([user, password], span) => {
+			const credentials = `${expectString(user, 'The user name', span)}:${expectString(password, 'The password', span)}`;
+			return derive({ headers: new Map(request.headers).set('Authorization', `Basic ${Buffer.from(credentials).toString('base64')}`) });
+		}),
+		with_body: fn('with_body', 1, ([body], span) => derive({ body: expectString(body, 'The body', span) }))
+	}, request);
+}
+
+function toRequest(value: Value, span: ast.Span): HttpRequest {
+	if (value instanceof SentinelObject && value.typeName === 'http.request') {
+		return value.internal as HttpRequest;
+	}
+	return { url: expectString(value, 'The URL', span), headers: new Map() };
+}
+
+function send(context: RuntimeContext, client: HttpClient, method: string, target: Value, span: ast.Span): SentinelObject {
+	const request = toRequest(target, span);
+	const fixture = context.httpFixtures[`${method} ${request.url}`] ?? context.httpFixtures[request.url];
+	if (!fixture) {
+		throw new RuntimeError(`No HTTP fixture for ${method} ${request.url}. The evaluator never sends requests; add a fixture instead.`, span);
+	}
+	const status = BigInt(fixture.status_code ?? 200);
+	if (client.accepted && !client.accepted.includes(status)) {
+		throw new RuntimeError(`${method} ${request.url} returned status ${status}.`, span);
+	}
+	const body = fixture.body === undefined ? '' : typeof fixture.body === 'string' ? fixture.body : JSON.stringify(fixture.body);
+	return new SentinelObject('http.response', {
+		status_code: status,
+		headers: () => new Map(Object.entries(fixture.headers ?? {})),
+		body
+	});
+}
+
+/** The members shared by the `http` import and its clients. */
+function clientMembers(context: RuntimeContext, client: HttpClient): Record<string, Value> {
+	return {
+		get: fn('get', 1, ([target], span) => send(context, client, 'GET', target, span)),
+		post: fn('post', 1, ([target], span) => send(context, client, 'POST', target, span)),
+		accept_status_codes: fn('accept_status_codes', 1, ([codes], span) =>
+			clientObject(context, { accepted: expectList(codes, 'The status codes', span).map(code => expectInt(code, 'A status code', span)) })),
+		accept_all_status_codes: fn('accept_all_status_codes', 0, () => clientObject(context, {})),
+		// Fixtures answer at once, so retries and timeouts have nothing to change.
+		with_retries: fn('with_retries', 1, () => clientObject(context, client)),
+		with_timeout: fn('with_timeout', 1, () => clientObject(context, client))
+	};
+}
+
+function clientObject(context: RuntimeContext, client: HttpClient): SentinelObject {
+	return new SentinelObject('http.client', clientMembers(context, client), client);
+}
+
+function httpImport(context: RuntimeContext): SentinelObject {
+	const client: HttpClient = { accepted: [200n] };
+	return new SentinelObject('import', {
+		...clientMembers(context, client),
+		request: fn('request', 1, ([url], span) => requestObject({ url: expectString(url, 'The URL', span), headers: new Map() })),
+		client: () => clientObject(context, client)
+	});
+}
+
+// ---- Registry --------------------------------------------------------------
+
+const RUNTIME_IMPORTS: Readonly<Record<string, (context: RuntimeContext) => SentinelObject>> = {
+	base64: base64Import,
+	decimal: decimalImport,
+	http: httpImport,
+	json: jsonImport,
+	strings: stringsImport,
+	time: timeImport,
+	types: typesImport,
+	units: unitsImport
+};
+
+/** Creates the evaluator's implementation of a standard import, if it has one. */
+export function runtimeImport(path: string, context: RuntimeContext): SentinelObject | undefined {
+	return RUNTIME_IMPORTS[path]?.(context);
+}
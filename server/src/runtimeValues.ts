@@ -0,0 +1,207 @@
+/**
+ * Values of the policy evaluator. Sentinel values map onto JavaScript ones:
+ * `int` is a `bigint`, `float` a `number`, lists are arrays, maps are `Map`s
+ * and Sentinel's `undefined` is JavaScript's. Import members and objects such
+ * as decimals and times are `SentinelObject`s.
+ */
+import * as ast from './ast';
+import { MockValue } from './mockData';
+
+export type MapKey = string | bigint | number | boolean | null;
+
+export type SentinelMap = Map<MapKey, Value>;
+
+export type Value =
+	| undefined
+	| null
+	| boolean
+	| bigint
+	| number
+	| string
+	| Value[]
+	| SentinelMap
+	| SentinelObject
+	| Callable;
+
+/** An error that stops the evaluation, such as a type mismatch or a call to `error()`. */
+export class RuntimeError extends Error {
+	/** The file `span` is in, when it is not the policy being evaluated. */
+	uri?: string;
+
+	constructor(message: string, readonly span?: ast.Span) {
+		super(message);
+	}
+}
+
+export abstract class Callable {
+	abstract readonly name: string;
+	abstract call(args: Value[], span: ast.Span): Value;
+}
+
+/** A function implemented by the evaluator, such as a builtin or an import member. */
+export class NativeFunction extends Callable {
+	constructor(
+		readonly name: string,
+		private readonly implementation: (args: Value[], span: ast.Span) => Value,
+		private readonly minArgs = 0,
+		private readonly maxArgs = minArgs
+	) {
+		super();
+	}
+
+	call(args: Value[], span: ast.Span): Value {
+		if (args.length < this.minArgs || args.length > this.maxArgs) {
+			const expected = this.minArgs === this.maxArgs ? `${this.minArgs}` : `${this.minArgs} to ${this.maxArgs}`;
+			throw new RuntimeError(`${this.name} expects ${expected} argument(s), got ${args.length}.`, span);
+		}
+		return this.implementation(args, span);
+	}
+}
+
+/**
+ * An import or an object with named members, such as a decimal. Members given
+ * as functions of no arguments are computed when they are read.
+ */
+export class SentinelObject {
+	constructor(
+		readonly typeName: string,
+		private readonly members: Record<string, Value | (() => Value)>,
+		/** The JavaScript value the object wraps, for the functions that take it as an argument. */
+		readonly internal?: unknown
+	) {}
+
+	has(name: string): boolean {
+		return Object.prototype.hasOwnProperty.call(this.members, name);
+	}
+
+	get(name: string): Value {
+		const member = this.has(name) ? this.members[name] : undefined;
+		return typeof member === 'function' ? member() : member;
+	}
+}
+
+export function isMap(value: Value): value is SentinelMap {
+	return value instanceof Map;
+}
+
+/** The Sentinel type name of a value, as returned by `types.type_of`. */
+export function typeOf(value: Value): string {
+	if (value === undefined) {
+		return 'undefined';
+	}
+	if (value === null) {
+		return 'null';
+	}
+	if (Array.isArray(value)) {
+		return 'list';
+	}
+	if (value instanceof Map) {
+		return 'map';
+	}
+	if (value instanceof SentinelObject) {
+		return value.typeName;
+	}
+	if (value instanceof Callable) {
+		return 'func';
+	}
+	switch (typeof value) {
+		case 'bigint':
+			return 'int';
+		case 'number':
+			return 'float';
+		case 'boolean':
+			return 'bool';
+		default:
+			return 'string';
+	}
+}
+
+export function isNumber(value: Value): value is bigint | number {
+	return typeof value === 'bigint' || typeof value === 'number';
+}
+
+/** Deep equality, with ints and floats of the same value equal. */
+export function equals(a: Value, b: Value): boolean {
+	if (isNumber(a) && isNumber(b)) {
+		return typeof a === typeof b ? a === b : Number(a) === Number(b);
+	}
+	if (Array.isArray(a) && Array.isArray(b)) {
+		return a.length === b.length && a.every((item, i) => equals(item, b[i]));
+	}
+	if (a instanceof Map && b instanceof Map) {
+		return a.size === b.size && [...a].every(([key, item]) => b.has(key) && equals(item, b.get(key)));
+	}
+	return a === b;
+}
+
+/** Compares two numbers or two strings; `undefined` when the values cannot be ordered. */
+export function compareValues(a: Value, b: Value): number | undefined {
+	if (isNumber(a) && isNumber(b)) {
+		return a < b ? -1 : a > b ? 1 : 0;
+	}
+	if (typeof a === 'string' && typeof b === 'string') {
+		return a < b ? -1 : a > b ? 1 : 0;
+	}
+	return undefined;
+}
+
+/** Normalizes a value used as a map key; only primitive values can be keys. */
+export function toMapKey(value: Value, span?: ast.Span): MapKey {
+	if (value === undefined || (typeof value === 'object' && value !== null)) {
+		throw new RuntimeError(`A ${typeOf(value)} cannot be used as a map key.`, span);
+	}
+	return value as MapKey;
+}
+
+function formatFloat(value: number): string {
+	return Number.isInteger(value) && Math.abs(value) < 1e21 ? value.toFixed(1) : String(value);
+}
+
+/** Renders a value the way Sentinel prints it. */
+export function formatValue(value: Value): string {
+	if (value === undefined) {
+		return 'undefined';
+	}
+	if (value === null) {
+		return 'null';
+	}
+	if (typeof value === 'string') {
+		return JSON.stringify(value);
+	}
+	if (typeof value === 'number') {
+		return formatFloat(value);
+	}
+	if (Array.isArray(value)) {
+		return `[${value.map(formatValue).join(', ')}]`;
+	}
+	if (value instanceof Map) {
+		return `{${[...value].map(([key, item]) => `${formatValue(key)}: ${formatValue(item)}`).join(', ')}}`;
+	}
+	if (value instanceof SentinelObject) {
+		const text = value.has('string') ? value.get('string') : undefined;
+		return typeof text === 'string' ? text : value.typeName;
+	}
+	if (value instanceof Callable) {
+		return `func ${value.name}`;
+	}
+	return String(value);
+}
+
+/** Converts a value to a string, as the `string` builtin does. */
+export function stringify(value: Value): string {
+	return typeof value === 'string' ? value : formatValue(value);
+}
+
+/** Converts plain data, such as mock data or decoded JSON, to a value; integral numbers become ints. */
+export function fromPlain(value: MockValue | undefined): Value {
+	if (typeof value === 'number') {
+		return Number.isInteger(value) ? BigInt(value) : value;
+	}
+	if (Array.isArray(value)) {
+		return value.map(fromPlain);
+	}
+	if (value !== null && typeof value === 'object') {
+		return new Map(Object.entries(value).map(([key, item]) => [key, fromPlain(item)]));
+	}
+	return value;
+}
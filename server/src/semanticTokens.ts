@@ -0,0 +1,113 @@
+/**
+ * Semantic highlighting computed from the resolved AST, so that rules, params,
+ * functions, import aliases and local variables can be told apart even where the
+ * TextMate grammar only sees identifiers.
+ */
+import {
+	SemanticTokensBuilder,
+	SemanticTokensLegend
+} from 'vscode-languageserver/node';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import * as ast from './ast';
+import { SentinelSymbol } from './binder';
+import { getBinding, getParseResult } from './documentCache';
+
+const tokenTypes = ['namespace', 'rule', 'function', 'parameter', 'variable', 'property', 'method'] as const;
+const tokenModifiers = ['declaration', 'readonly', 'defaultLibrary', 'modification', 'local'] as const;
+
+type TokenType = typeof tokenTypes[number];
+type TokenModifier = typeof tokenModifiers[number];
+
+export const semanticTokensLegend: SemanticTokensLegend = {
+	tokenTypes: [...tokenTypes],
+	tokenModifiers: [...tokenModifiers]
+};
+
+interface SemanticToken {
+	start: number;
+	length: number;
+	type: TokenType;
+	modifiers: TokenModifier[];
+}
+
+function classify(symbol: SentinelSymbol): { type: TokenType; modifiers: TokenModifier[] } {
+	const local = symbol.scope.parent !== undefined;
+	switch (symbol.kind) {
+		case 'import':
+			return { type: 'namespace', modifiers: [] };
+		case 'param':
+			return { type: 'parameter', modifiers: ['readonly'] };
+		case 'rule':
+			return { type: 'rule', modifiers: [] };
+		case 'func':
+			return { type: 'function', modifiers: local ? ['local'] : [] };
+		case 'parameter':
+			return { type: 'parameter', modifiers: ['local'] };
+		case 'binding':
+			return { type: 'variable', modifiers: ['local'] };
+		case 'variable':
+			return { type: 'variable', modifiers: local ? ['local'] : [] };
+	}
+}
+
+function encodeModifiers(modifiers: TokenModifier[]): number {
+	let bits = 0;
+	for (const modifier of modifiers) {
+		bits |= 1 << tokenModifiers.indexOf(modifier);
+	}
+	return bits;
+}
+
+/** Pushes the semantic tokens of `document` into `builder`, in document order. */
+export function buildSemanticTokens(builder: SemanticTokensBuilder, document: TextDocument): void {
+	const { program } = getParseResult(document);
+	const binding = getBinding(document);
+	const text = document.getText();
+	const tokens: SemanticToken[] = [];
+
+	const add = (identifier: ast.Identifier, type: TokenType, modifiers: TokenModifier[]) => {
+		// Unaliased imports are declared by their path string; those keep the
+		// grammar's string colouring.
+		if (text.slice(identifier.start, identifier.end) !== identifier.name) {
+			return;
+		}
+		tokens.push({ start: identifier.start, length: identifier.end - identifier.start, type, modifiers });
+	};
+
+	for (const [identifier, symbol] of binding.resolved) {
+		const { type, modifiers } = classify(symbol);
+		const extra: TokenModifier[] = [];
+		if (symbol.declaration === identifier) {
+			extra.push('declaration');
+		}
+		if (binding.writes.has(identifier)) {
+			extra.push('modification');
+		}
+		add(identifier, type, [...modifiers, ...extra]);
+	}
+	for (const identifier of binding.builtins) {
+		add(identifier, 'function', ['defaultLibrary']);
+	}
+
+	const methods = new Set<ast.Identifier>();
+	ast.walk(program, node => {
+		if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression') {
+			methods.add(node.callee.property);
+		}
+		if (node.type === 'MemberExpression' && node.property.name) {
+			add(node.property, methods.has(node.property) ? 'method' : 'property', []);
+		}
+	});
+
+	tokens.sort((a, b) => a.start - b.start);
+	for (const token of tokens) {
+		const position = document.positionAt(token.start);
+		builder.push(
+			position.line,
+			position.character,
+			token.length,
+			tokenTypes.indexOf(token.type),
+			encodeModifiers(token.modifiers)
+		);
+	}
+}
@@ -0,0 +1,589 @@
+/**
+ * Support for `sentinel.hcl` configuration files: the schema of their blocks
+ * and attributes, validation against it, completion, and the registry of
+ * configuration files in the workspace that policies resolve imports against.
+ */
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import {
+	CompletionItem,
+	CompletionItemKind,
+	Diagnostic,
+	DiagnosticRelatedInformation,
+	DiagnosticSeverity,
+	InsertTextFormat,
+	Location,
+	MarkupKind,
+	Position
+} from 'vscode-languageserver/node';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import { DIAGNOSTIC_SOURCE } from './diagnostics';
+import { HclBlock, HclBody, HclExpression, HclParseResult, HclSpan, attributeOf, blockAt, parseHcl } from './hcl';
+import { pathToUri, toRange, uriToPath } from './util';
+
+export interface AttributeSchema {
+	description: string;
+	required?: boolean;
+	/** The only accepted string values, if restricted. */
+	values?: readonly string[];
+	/** Snippet inserted after `name = `. */
+	snippet: string;
+}
+
+export interface BlockSchema {
+	description: string;
+	/** Names of the labels the block takes, in order. */
+	labels: readonly string[];
+	attributes: Record<string, AttributeSchema>;
+	blocks?: Record<string, BlockSchema>;
+	/** Snippet inserting the whole block. */
+	snippet: string;
+}
+
+export const CONFIG_FILE_NAME = 'sentinel.hcl';
+
+export const ENFORCEMENT_LEVELS: readonly string[] = ['advisory', 'soft-mandatory', 'hard-mandatory'];
+
+const SOURCE: AttributeSchema = {
+	description: 'Path to the source file, relative to this configuration file, or a remote URL.',
+	required: true,
+	snippet: '"$1"'
+};
+
+const VALUE: AttributeSchema = {
+	description: 'The value, of any type.',
+	required: true,
+	snippet: '$1'
+};
+
+const CONFIG_BLOCKS: Record<string, BlockSchema> = {
+	policy: {
+		description: 'A policy of the policy set.',
+		labels: ['name'],
+		attributes: {
+			source: SOURCE,
+			enforcement_level: {
+				description: 'How a failure of the policy is handled: `advisory`, `soft-mandatory` (can be overridden) or `hard-mandatory`. Defaults to `advisory`.',
+				values: ENFORCEMENT_LEVELS,
+				snippet: `"\${1|${ENFORCEMENT_LEVELS.join(',')}|}"`
+			},
+			params: {
+				description: 'Values for the `param` declarations of the policy.',
+				snippet: '{\n\t$1\n}'
+			}
+		},
+		snippet: 'policy "${1:name}" {\n\tsource            = "./${1:name}.sentinel"\n\tenforcement_level = "${2|advisory,soft-mandatory,hard-mandatory|}"\n}'
+	},
+	module: {
+		description: 'A module importable by the policies as `import "name"`. Prefer `import "module" "name"` in new configurations.',
+		labels: ['name'],
+		attributes: { source: SOURCE },
+		snippet: 'module "${1:name}" {\n\tsource = "${2:./modules/$1.sentinel}"\n}'
+	},
+	import: {
+		description: 'Configures a plugin, static or module import.',
+		labels: ['kind', 'name'],
+		attributes: {},
+		snippet: 'import "${1|module,plugin,static|}" "${2:name}" {\n\tsource = "$3"\n}'
+	},
+	mock: {
+		description: 'Replaces an import with mock data, either inline in `data` or from a `module` block.',
+		labels: ['import'],
+		attributes: {
+			data: {
+				description: 'The mocked import, as an object whose keys are the import\'s members.',
+				snippet: '{\n\t$1\n}'
+			}
+		},
+		blocks: {
+			module: {
+				description: 'Loads the mocked import from a Sentinel module.',
+				labels: [],
+				attributes: { source: SOURCE },
+				snippet: 'module {\n\tsource = "${1:./mock-data.sentinel}"\n}'
+			}
+		},
+		snippet: 'mock "${1:tfplan/v2}" {\n\tmodule {\n\t\tsource = "${2:./mock-tfplan-v2.sentinel}"\n\t}\n}'
+	},
+	param: {
+		description: 'Sets a `param` declared by the policies.',
+		labels: ['name'],
+		attributes: { value: VALUE },
+		snippet: 'param "${1:name}" {\n\tvalue = $2\n}'
+	},
+	global: {
+		description: 'Injects a global variable into every policy.',
+		labels: ['name'],
+		attributes: { value: VALUE },
+		snippet: 'global "${1:name}" {\n\tvalue = $2\n}'
+	},
+	sentinel: {
+		description: 'Settings of the Sentinel runtime itself.',
+		labels: [],
+		attributes: {
+			features: {
+				description: 'Opt-in language features, such as `apply-all` or `terraform`.',
+				snippet: '{\n\t$1 = true\n}'
+			}
+		},
+		snippet: 'sentinel {\n\tfeatures = {\n\t\t$1 = true\n\t}\n}'
+	}
+};
+
+/** Schemas of `import "<kind>" "<name>"` blocks, by kind. */
+const IMPORT_BLOCKS: Record<string, BlockSchema> = {
+	module: {
+		description: 'A Sentinel module importable by the policies as `import "name"`.',
+		labels: ['kind', 'name'],
+		attributes: { source: SOURCE },
+		snippet: 'import "module" "${1:name}" {\n\tsource = "${2:./modules/$1.sentinel}"\n}'
+	},
+	plugin: {
+		description: 'An import implemented by a plugin binary.',
+		labels: ['kind', 'name'],
+		attributes: {
+			source: SOURCE,
+			args: { description: 'Command line arguments passed to the plugin.', snippet: '[$1]' },
+			env: { description: 'Environment variables set for the plugin.', snippet: '{\n\t$1\n}' },
+			config: { description: 'Configuration passed to the plugin.', snippet: '{\n\t$1\n}' }
+		},
+		snippet: 'import "plugin" "${1:name}" {\n\tsource = "$2"\n}'
+	},
+	static: {
+		description: 'An import whose data is read from a static file.',
+		labels: ['kind', 'name'],
+		attributes: {
+			source: SOURCE,
+			format: { description: 'Format of the source file. Only `json` is supported.', values: ['json'], snippet: '"json"' }
+		},
+		snippet: 'import "static" "${1:name}" {\n\tsource = "${2:./data.json}"\n\tformat = "json"\n}'
+	}
+};
+
+export function isConfigDocument(document: TextDocument): boolean {
+	return document.languageId === 'sentinel-hcl' || isConfigFile(document.uri);
+}
+
+export function isConfigFile(uri: string): boolean {
+	return path.posix.basename(uri) === CONFIG_FILE_NAME;
+}
+
+/** An import made available to policies by a configuration file. */
+export interface ConfiguredImport {
+	name: string;
+	kind: 'module' | 'plugin' | 'static' | 'mock';
+	/** The `source` attribute as written, if any. */
+	source?: string;
+	/** URI of the source file, for local sources. */
+	sourceUri?: string;
+	/** The inline `data` of a mock. */
+	data?: HclExpression;
+	/** The label naming the import. */
+	span: HclSpan;
+}
+
+export interface ConfiguredPolicy {
+	name: string;
+	source?: string;
+	sourceUri?: string;
+	span: HclSpan;
+}
+
+export interface SentinelConfig {
+	uri: string;
+	document: TextDocument;
+	parsed: HclParseResult;
+	policies: ConfiguredPolicy[];
+	imports: ConfiguredImport[];
+}
+
+const configs: Map<string, SentinelConfig> = new Map();
+
+function isRemoteSource(source: string): boolean {
+	return /^[A-Za-z][A-Za-z0-9+.-]*::/.test(source) || /^[A-Za-z][A-Za-z0-9+.-]*:\/\//.test(source);
+}
+
+/** Resolves a local `source` path against the configuration file that declares it. */
+function resolveSource(configUri: string, source: string | undefined): string | undefined {
+	if (!source || isRemoteSource(source) || source.includes('${') || !configUri.startsWith('file:')) {
+		return undefined;
+	}
+	return pathToUri(path.resolve(path.dirname(uriToPath(configUri)), source));
+}
+
+function stringAttribute(block: HclBlock, name: string): string | undefined {
+	const value = attributeOf(block.body, name)?.value;
+	return value?.type === 'Literal' && typeof value.value === 'string' ? value.value : undefined;
+}
+
+function readConfig(uri: string, document: TextDocument, parsed: HclParseResult): SentinelConfig {
+	const config: SentinelConfig = { uri, document, parsed, policies: [], imports: [] };
+	for (const block of parsed.body.items) {
+		if (block.type !== 'Block') {
+			continue;
+		}
+		const [first, second] = block.labels;
+		switch (block.blockType.name) {
+			case 'policy':
+			case 'module': {
+				if (!first) {
+					break;
+				}
+				const source = stringAttribute(block, 'source');
+				const entry = { name: first.value, source, sourceUri: resolveSource(uri, source), span: first };
+				if (block.blockType.name === 'policy') {
+					config.policies.push(entry);
+				} else {
+					config.imports.push({ ...entry, kind: 'module' });
+				}
+				break;
+			}
+			case 'import': {
+				if (!first || !second || !['module', 'plugin', 'static'].includes(first.value)) {
+					break;
+				}
+				const source = stringAttribute(block, 'source');
+				config.imports.push({
+					name: second.value,
+					kind: first.value as ConfiguredImport['kind'],
+					source,
+					sourceUri: resolveSource(uri, source),
+					span: second
+				});
+				break;
+			}
+			case 'mock': {
+				if (!first) {
+					break;
+				}
+				const module = block.body.items.find((item): item is HclBlock => item.type === 'Block' && item.blockType.name === 'module');
+				const source = module && stringAttribute(module, 'source');
+				config.imports.push({
+					name: first.value,
+					kind: 'mock',
+					source,
+					sourceUri: resolveSource(uri, source),
+					data: attributeOf(block.body, 'data')?.value,
+					span: first
+				});
+				break;
+			}
+		}
+	}
+	return config;
+}
+
+/**
+ * Parses a file in the configuration format without registering it, such as a
+ * test case, whose mocks, params and globals apply to a single run.
+ */
+export function parseConfig(uri: string, text: string, version = 0): SentinelConfig {
+	const document = TextDocument.create(uri, 'sentinel-hcl', version, text);
+	return readConfig(uri, document, parseHcl(text));
+}
+
+/** Parses (or re-parses) a configuration file from its current contents. */
+export function loadConfig(uri: string, text: string, version = 0): SentinelConfig {
+	const config = parseConfig(uri, text, version);
+	configs.set(uri, config);
+	return config;
+}
+
+/** Re-reads a configuration file from disk; forgets it if it no longer exists. */
+export async function loadConfigFromDisk(uri: string): Promise<SentinelConfig | undefined> {
+	try {
+		const text = await fs.readFile(uriToPath(uri), 'utf8');
+		return loadConfig(uri, text);
+	} catch {
+		configs.delete(uri);
+		return undefined;
+	}
+}
+
+export function removeConfig(uri: string): void {
+	configs.delete(uri);
+}
+
+export function configFiles(): IterableIterator<SentinelConfig> {
+	return configs.values();
+}
+
+/**
+ * Finds the configuration that applies to a policy or module: one that names
+ * the file as a source, otherwise the nearest `sentinel.hcl` in its directory
+ * or a parent directory.
+ */
+export function findConfigFor(uri: string): SentinelConfig | undefined {
+	for (const config of configs.values()) {
+		if (config.policies.some(p => p.sourceUri === uri) || config.imports.some(i => i.sourceUri === uri)) {
+			return config;
+		}
+	}
+	if (!uri.startsWith('file:')) {
+		return undefined;
+	}
+	let directory = path.dirname(uriToPath(uri));
+	for (;;) {
+		const config = configs.get(pathToUri(path.join(directory, CONFIG_FILE_NAME)));
+		if (config) {
+			return config;
+		}
+		const parent = path.dirname(directory);
+		if (parent === directory) {
+			return undefined;
+		}
+		directory = parent;
+	}
+}
+
+/** Looks up the schema of `block`, given the schema of its parent block for nested blocks. */
+function schemaOf(block: HclBlock, parent?: BlockSchema): BlockSchema | undefined {
+	if (parent) {
+		return parent.blocks?.[block.blockType.name];
+	}
+	if (block.blockType.name === 'import') {
+		return block.labels.length > 0 ? IMPORT_BLOCKS[block.labels[0].value] : undefined;
+	}
+	return CONFIG_BLOCKS[block.blockType.name];
+}
+
+/** Schema of the innermost block enclosing `offset`; `undefined` at the top level. */
+function schemaAt(body: HclBody, offset: number): BlockSchema | undefined {
+	let schema: BlockSchema | undefined;
+	for (let current = body; ;) {
+		const block = current.items.find((item): item is HclBlock =>
+			item.type === 'Block' && item.body.start <= offset && offset <= item.body.end);
+		if (!block) {
+			return schema;
+		}
+		schema = schemaOf(block, schema);
+		if (!schema) {
+			return undefined;
+		}
+		current = block.body;
+	}
+}
+
+async function fileExists(fsPath: string): Promise<boolean> {
+	try {
+		await fs.access(fsPath);
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+class ConfigValidator {
+	readonly diagnostics: Diagnostic[] = [];
+	/** Local `source` paths to check once the structure has been validated. */
+	readonly sources: { path: string; uri: string; span: HclSpan }[] = [];
+
+	constructor(
+		private readonly document: TextDocument,
+		private readonly relatedInformation: boolean
+	) { }
+
+	private report(span: HclSpan, message: string, severity: DiagnosticSeverity = DiagnosticSeverity.Error, related?: DiagnosticRelatedInformation[]): void {
+		this.diagnostics.push({
+			severity,
+			range: toRange(this.document, span),
+			message,
+			source: DIAGNOSTIC_SOURCE,
+			relatedInformation: this.relatedInformation ? related : undefined
+		});
+	}
+
+	validateBody(body: HclBody, parent?: BlockSchema): void {
+		const seen = new Map<string, HclBlock>();
+		for (const item of body.items) {
+			if (item.type === 'Attribute') {
+				if (!parent) {
+					this.report(item.name, `Unexpected attribute '${item.name.name}'; the configuration file only contains blocks.`);
+				} else if (!parent.attributes[item.name.name]) {
+					this.report(item.name, `Unknown attribute '${item.name.name}'. Expected one of: ${Object.keys(parent.attributes).join(', ')}.`);
+				}
+				continue;
+			}
+			const schema = schemaOf(item, parent);
+			if (!schema) {
+				this.reportUnknownBlock(item, parent);
+				continue;
+			}
+			this.validateBlock(item, schema);
+			if (schema.labels.length > 0 && item.labels.length === schema.labels.length) {
+				const key = [item.blockType.name, ...item.labels.map(label => label.value)].join(' ');
+				const first = seen.get(key);
+				if (first) {
+					const name = item.labels[item.labels.length - 1];
+					const related = [DiagnosticRelatedInformation.create(Location.create(this.document.uri, toRange(this.document, first.labels[first.labels.length - 1])), 'First defined here.')];
+					this.report(name, `Duplicate ${item.blockType.name} '${name.value}'.`, DiagnosticSeverity.Error, related);
+				} else {
+					seen.set(key, item);
+				}
+			}
+		}
+	}
+
+	private reportUnknownBlock(block: HclBlock, parent?: BlockSchema): void {
+		if (!parent && block.blockType.name === 'import') {
+			const kind = block.labels[0];
+			this.report(kind ?? block.blockType, kind
+				? `Unknown import kind '${kind.value}'. Expected one of: ${Object.keys(IMPORT_BLOCKS).join(', ')}.`
+				: `Import blocks need a kind (${Object.keys(IMPORT_BLOCKS).join(', ')}) and a name.`);
+			return;
+		}
+		const expected = Object.keys(parent ? parent.blocks ?? {} : CONFIG_BLOCKS);
+		this.report(block.blockType, expected.length > 0
+			? `Unknown block '${block.blockType.name}'. Expected one of: ${expected.join(', ')}.`
+			: `Unexpected block '${block.blockType.name}'.`);
+	}
+
+	private validateBlock(block: HclBlock, schema: BlockSchema): void {
+		const { labels } = block;
+		if (labels.length !== schema.labels.length) {
+			const span = labels.length > schema.labels.length ? labels[schema.labels.length] : block.blockType;
+			this.report(span, schema.labels.length === 0
+				? `The '${block.blockType.name}' block takes no labels.`
+				: `The '${block.blockType.name}' block needs ${schema.labels.length === 1 ? 'a label' : 'labels'}: ${schema.labels.join(', ')}.`);
+		}
+
+		for (const [name, attribute] of Object.entries(schema.attributes)) {
+			const present = attributeOf(block.body, name);
+			if (!present) {
+				if (attribute.required) {
+					this.report(block.blockType, `The '${block.blockType.name}' block is missing the required '${name}' attribute.`);
+				}
+				continue;
+			}
+			const value = present.value;
+			if (attribute.values && value.type === 'Literal' && typeof value.value === 'string' && !attribute.values.includes(value.value)) {
+				this.report(value, `Invalid ${name} '${value.value}'. Expected one of: ${attribute.values.join(', ')}.`);
+			}
+			if (attribute === SOURCE && value.type === 'Literal' && typeof value.value === 'string') {
+				const sourceUri = resolveSource(this.document.uri, value.value);
+				if (sourceUri) {
+					this.sources.push({ path: value.value, uri: sourceUri, span: value });
+				}
+			}
+		}
+
+		if (block.blockType.name === 'mock' && !attributeOf(block.body, 'data') && !block.body.items.some(item => item.type === 'Block')) {
+			this.report(block.blockType, "The 'mock' block needs either a 'data' attribute or a 'module' block.");
+		}
+
+		this.validateBody(block.body, schema);
+	}
+
+	async checkSources(): Promise<void> {
+		for (const source of this.sources) {
+			if (!(await fileExists(uriToPath(source.uri)))) {
+				this.report(source.span, `Source file '${source.path}' does not exist.`);
+			}
+		}
+	}
+}
+
+function syntaxErrors(document: TextDocument, parsed: HclParseResult): Diagnostic[] {
+	return parsed.errors.map(error => ({
+		severity: DiagnosticSeverity.Error,
+		range: toRange(document, error),
+		message: error.message,
+		source: DIAGNOSTIC_SOURCE
+	}));
+}
+
+/**
+ * Validates a configuration file: syntax, unknown blocks and attributes,
+ * block labels, enforcement levels, duplicate names and missing source files.
+ */
+export async function configDiagnostics(document: TextDocument, relatedInformation: boolean): Promise<Diagnostic[]> {
+	const parsed = parseHcl(document.getText());
+	const validator = new ConfigValidator(document, relatedInformation);
+	validator.validateBody(parsed.body);
+	await validator.checkSources();
+	return [...syntaxErrors(document, parsed), ...validator.diagnostics]
+		.sort((a, b) => document.offsetAt(a.range.start) - document.offsetAt(b.range.start));
+}
+
+function markdown(value: string) {
+	return { kind: MarkupKind.Markdown, value };
+}
+
+function blockItems(blocks: Record<string, BlockSchema>, skipImport: boolean): CompletionItem[] {
+	const items: CompletionItem[] = [];
+	for (const [name, schema] of Object.entries(blocks)) {
+		if (name === 'import' && skipImport) {
+			for (const [kind, importSchema] of Object.entries(IMPORT_BLOCKS)) {
+				items.push({
+					label: `import "${kind}"`,
+					kind: CompletionItemKind.Module,
+					documentation: markdown(importSchema.description),
+					insertText: importSchema.snippet,
+					insertTextFormat: InsertTextFormat.Snippet,
+					filterText: `import ${kind}`
+				});
+			}
+			continue;
+		}
+		items.push({
+			label: name,
+			kind: CompletionItemKind.Struct,
+			documentation: markdown(schema.description),
+			insertText: schema.snippet,
+			insertTextFormat: InsertTextFormat.Snippet
+		});
+	}
+	return items;
+}
+
+function attributeItems(schema: BlockSchema, block: HclBlock | undefined): CompletionItem[] {
+	return Object.entries(schema.attributes)
+		.filter(([name]) => !block || !attributeOf(block.body, name))
+		.map(([name, attribute]) => ({
+			label: name,
+			kind: CompletionItemKind.Property,
+			detail: attribute.required ? 'required' : undefined,
+			documentation: markdown(attribute.description),
+			insertText: `${name} = ${attribute.snippet}`,
+			insertTextFormat: InsertTextFormat.Snippet
+		}));
+}
+
+function valueItems(values: readonly string[], quoted: boolean): CompletionItem[] {
+	return values.map(value => ({
+		label: value,
+		kind: CompletionItemKind.EnumMember,
+		insertText: quoted ? value : `"${value}"`
+	}));
+}
+
+export function provideConfigCompletion(document: TextDocument, position: Position): CompletionItem[] {
+	const line = document.getText({ start: { line: position.line, character: 0 }, end: position });
+	const { body } = parseHcl(document.getText());
+	const offset = document.offsetAt(position);
+	const schema = schemaAt(body, offset);
+	const block = blockAt(body, offset);
+
+	const value = /^\s*([A-Za-z_][A-Za-z0-9_-]*)\s*=\s*("?)[A-Za-z0-9_-]*$/.exec(line);
+	if (value) {
+		const values = schema?.attributes[value[1]]?.values;
+		return values ? valueItems(values, value[2] === '"') : [];
+	}
+	if (!schema && /^\s*import\s+"[A-Za-z]*$/.test(line)) {
+		return Object.entries(IMPORT_BLOCKS).map(([kind, importSchema]) => ({
+			label: kind,
+			kind: CompletionItemKind.EnumMember,
+			documentation: markdown(importSchema.description)
+		}));
+	}
+	if (!/^\s*[A-Za-z_-]*$/.test(line)) {
+		return [];
+	}
+	if (!block) {
+		return blockItems(CONFIG_BLOCKS, true);
+	}
+	if (!schema) {
+		return [];
+	}
+	return [...attributeItems(schema, block), ...blockItems(schema.blocks ?? {}, false)];
+}
@@ -6,23 +6,76 @@ import {
 	createConnection,
 	TextDocuments,
 	Diagnostic,
-	DiagnosticSeverity,
 	ProposedFeatures,
 	InitializeParams,
 	DidChangeConfigurationNotification,
 	CompletionItem,
-	CompletionItemKind,
 	TextDocumentPositionParams,
 	TextDocumentSyncKind,
 	InitializeResult,
 	DocumentDiagnosticReportKind,
-	type DocumentDiagnosticReport
+	type DocumentDiagnosticReport,
+	SemanticTokensBuilder,
+	FileChangeType,
+	CodeActionKind
 } from 'vscode-languageserver/node';
 
 import {
 	TextDocument
 } from 'vscode-languageserver-textdocument';
 
+import { evictParseResult, getBinding, getParseResult } from './documentCache';
+import {
+	importDiagnostics,
+	moduleDiagnostics,
+	policyDiagnostics,
+	semanticDiagnostics,
+	stdlibDiagnostics,
+	styleDiagnostics,
+	syntaxDiagnostics,
+	terraformDiagnostics,
+	typeDiagnostics
+} from './diagnostics';
+import { provideCompletion, resolveCompletion } from './completion';
+import { provideHover } from './hover';
+import { provideSignatureHelp } from './signatureHelp';
+import { provideDefinition, provideReferences } from './navigation';
+import { providePrepareRename, provideRename } from './rename';
+import { provideDocumentSymbols } from './documentSymbols';
+import { formatDocument } from './formatter';
+import { provideCodeActions } from './codeActions';
+import { provideRefactorings } from './refactorings';
+import {
+	EVALUATE_REQUEST,
+	EvaluateParams,
+	RUN_TEST_REQUEST,
+	RunTestParams,
+	runPolicy,
+	runTestCase
+} from './policyRunner';
+import {
+	addWorkspaceFolder,
+	getIndexedFile,
+	indexFromDisk,
+	indexText,
+	isSentinelFile,
+	queryWorkspaceSymbols,
+	removeFromIndex,
+	removeWorkspaceFolder
+} from './workspaceIndex';
+import { buildSemanticTokens, semanticTokensLegend } from './semanticTokens';
+import { availableImports } from './imports';
+import { isModuleSource } from './modules';
+import {
+	configDiagnostics,
+	isConfigDocument,
+	isConfigFile,
+	loadConfig,
+	loadConfigFromDisk,
+	provideConfigCompletion,
+	removeConfig
+} from './sentinelConfig';
+
 // Create a connection for the server, using Node's IPC as a transport.
 // Also include all preview / proposed LSP features.
 const connection = createConnection(ProposedFeatures.all);
@@ -33,10 +86,16 @@ const documents: TextDocuments<TextDocument> = new TextDocuments(TextDocument);
 let hasConfigurationCapability = false;
 let hasWorkspaceFolderCapability = false;
 let hasDiagnosticRelatedInformationCapability = false;
+let hasPrepareRenameCapability = false;
+let initialWorkspaceFolders: string[] = [];
 
 connection.onInitialize((params: InitializeParams) => {
 	const capabilities = params.capabilities;
 
+	initialWorkspaceFolders = params.workspaceFolders
+		? params.workspaceFolders.map(folder => folder.uri)
+		: params.rootUri ? [params.rootUri] : [];
+
 	// Does the client support the `workspace/configuration` request?
 	// If not, we fall back using global settings.
 	hasConfigurationCapability = !!(
@@ -50,6 +109,11 @@ connection.onInitialize((params: InitializeParams) => {
 		capabilities.textDocument.publishDiagnostics &&
 		capabilities.textDocument.publishDiagnostics.relatedInformation
 	);
+	hasPrepareRenameCapability = !!(
+		capabilities.textDocument &&
+		capabilities.textDocument.rename &&
+		capabilities.textDocument.rename.prepareSupport
+	);
 
 	const result: InitializeResult = {
 		capabilities: {
@@ -60,8 +124,29 @@ connection.onInitialize((params: InitializeParams) => {
 				triggerCharacters: ['.'],
 			},
 			diagnosticProvider: {
-				interFileDependencies: false,
+				interFileDependencies: true,
 				workspaceDiagnostics: false
+			},
+			hoverProvider: true,
+			definitionProvider: true,
+			referencesProvider: true,
+			documentSymbolProvider: true,
+			workspaceSymbolProvider: true,
+			documentFormattingProvider: true,
+			documentRangeFormattingProvider: true,
+			codeActionProvider: {
+				codeActionKinds: [CodeActionKind.QuickFix, CodeActionKind.RefactorExtract, CodeActionKind.RefactorInline]
+			},
+			renameProvider: hasPrepareRenameCapability ? { prepareProvider: true } : true,
+			signatureHelpProvider: {
+				triggerCharacters: ['(', ','],
+				retriggerCharacters: [')']
+			},
+			semanticTokensProvider: {
+				legend: semanticTokensLegend,
+				full: {
+					delta: true
+				}
 			}
 		}
 	};
@@ -81,15 +166,46 @@ connection.onInitialized(() => {
 		connection.client.register(DidChangeConfigurationNotification.type, undefined);
 	}
 	if (hasWorkspaceFolderCapability) {
-		connection.workspace.onDidChangeWorkspaceFolders(_event => {
-			connection.console.log('Workspace folder change event received.');
+		connection.workspace.onDidChangeWorkspaceFolders(event => {
+			for (const folder of event.removed) {
+				removeWorkspaceFolder(folder.uri);
+			}
+			for (const folder of event.added) {
+				indexWorkspaceFolder(folder.uri);
+			}
 		});
 	}
+	for (const folder of initialWorkspaceFolders) {
+		indexWorkspaceFolder(folder);
+	}
 });
 
+/**
+ * Indexes the policies and configurations of a workspace folder in the
+ * background, then has the client pull diagnostics again: those computed
+ * before the index was complete may miss imports and modules.
+ */
+function indexWorkspaceFolder(uri: string): void {
+	addWorkspaceFolder(uri, isOpen)
+		.then(() => connection.languages.diagnostics.refresh())
+		.catch(error => connection.console.error(`Cannot index the workspace folder ${uri}: ${(error as Error).message}`));
+}
+
+function isOpen(uri: string): boolean {
+	return documents.get(uri) !== undefined;
+}
+
+/** Returns the open policy or module for `uri`; configuration files are handled separately. */
+function getPolicyDocument(uri: string): TextDocument | undefined {
+	const document = documents.get(uri);
+	return document && !isConfigDocument(document) ? document : undefined;
+}
+
 // The example settings
 interface ExampleSettings {
 	maxNumberOfProblems: number;
+	/** JSON file of stubbed responses for the `http` import when policies are evaluated. */
+	httpFixtures?: string;
 }
 
 // The global settings, used when the `workspace/configuration` request is not supported by the client.
@@ -134,6 +250,14 @@ function getDocumentSettings(resource: string): Thenable<ExampleSettings> {
 // Only keep settings for open documents
 documents.onDidClose(e => {
 	documentSettings.delete(e.document.uri);
+	evictParseResult(e.document.uri);
+	tokenBuilders.delete(e.document.uri);
+	// Unsaved edits are discarded on close, so fall back to the file on disk.
+	if (isSentinelFile(e.document.uri)) {
+		indexFromDisk(e.document.uri);
+	} else if (isConfigFile(e.document.uri)) {
+		loadConfigFromDisk(e.document.uri).then(() => connection.languages.diagnostics.refresh());
+	}
 });
 
 
@@ -157,6 +281,17 @@ connection.languages.diagnostics.on(async (params) => {
 // The content of a text document has changed. This event is emitted
 // when the text document first opened or when its content has changed.
 documents.onDidChangeContent(change => {
+	if (isSentinelFile(change.document.uri)) {
+		indexText(change.document.uri, change.document.getText(), change.document.version);
+		if (isModuleSource(change.document.uri)) {
+			// Policies importing the module are validated against its exports.
+			connection.languages.diagnostics.refresh();
+		}
+	} else if (isConfigFile(change.document.uri)) {
+		loadConfig(change.document.uri, change.document.getText(), change.document.version);
+		// Policies resolve their imports against the configuration.
+		connection.languages.diagnostics.refresh();
+	}
 	validateTextDocument(change.document);
 });
 
@@ -164,576 +299,107 @@ async function validateTextDocument(textDocument: TextDocument): Promise<Diagnos
 	// In this simple example we get the settings for every validate run.
 	const settings = await getDocumentSettings(textDocument.uri);
 
-	// The validator creates diagnostics for all uppercase words length 2 and more
-	const text = textDocument.getText();
-	const pattern = /\b[A-Z]{2,}\b/g;
-	let m: RegExpExecArray | null;
-
-	let problems = 0;
-	const diagnostics: Diagnostic[] = [];
-	while ((m = pattern.exec(text)) && problems < settings.maxNumberOfProblems) {
-		problems++;
-		const diagnostic: Diagnostic = {
-			severity: DiagnosticSeverity.Warning,
-			range: {
-				start: textDocument.positionAt(m.index),
-				end: textDocument.positionAt(m.index + m[0].length)
-			},
-			message: `${m[0]} is all uppercase.`,
-			source: 'ex'
-		};
-		if (hasDiagnosticRelatedInformationCapability) {
-			diagnostic.relatedInformation = [
-				{
-					location: {
-						uri: textDocument.uri,
-						range: Object.assign({}, diagnostic.range)
-					},
-					message: 'Spelling matters'
-				},
-				{
-					location: {
-						uri: textDocument.uri,
-						range: Object.assign({}, diagnostic.range)
-					},
-					message: 'Particularly for names'
-				}
-			];
-		}
-		diagnostics.push(diagnostic);
+	if (isConfigDocument(textDocument)) {
+		const diagnostics = await configDiagnostics(textDocument, hasDiagnosticRelatedInformationCapability);
+		return diagnostics.slice(0, settings.maxNumberOfProblems);
 	}
-	return diagnostics;
-}
 
-connection.onDidChangeWatchedFiles(_change => {
-	// Monitored files have change in VSCode
-	connection.console.log('We received a file change event');
-});
+	const parsed = getParseResult(textDocument);
+	const binding = getBinding(textDocument);
+	// Modules are imported by policies and have no `main` rule of their own.
+	const isModule = isModuleSource(textDocument.uri);
+	const scope = availableImports(textDocument.uri);
+	const diagnostics = [
+		...syntaxDiagnostics(textDocument, parsed),
+		...semanticDiagnostics(textDocument, binding, hasDiagnosticRelatedInformationCapability, isModule),
+		...(isModule ? [] : policyDiagnostics(textDocument, parsed.program, binding)),
+		...importDiagnostics(textDocument, parsed.program, scope),
+		...moduleDiagnostics(textDocument, parsed.program, binding),
+		...terraformDiagnostics(textDocument, parsed.program, binding),
+		...stdlibDiagnostics(textDocument, parsed.program, binding, scope),
+		...styleDiagnostics(textDocument, parsed.program),
+		...typeDiagnostics(textDocument, parsed.program, binding, scope)
+	];
+	return diagnostics.slice(0, settings.maxNumberOfProblems);
+}
 
-// This handler provides the initial list of the completion items.
-connection.onCompletion(
-	(_textDocumentPosition: TextDocumentPositionParams): CompletionItem[] => {
-		// The pass parameter contains the position of the text document in
-		// which code complete got requested. For the example we ignore this
-		// info and always provide the same completion items.
+// Keep one builder per document so that delta requests can be answered
+// relative to the previously returned result.
+const tokenBuilders: Map<string, SemanticTokensBuilder> = new Map();
 
-		let document = documents.get(_textDocumentPosition.textDocument.uri);
-		if (!document) return []; // Ensure the document is available
+function getTokenBuilder(uri: string): SemanticTokensBuilder {
+	let result = tokenBuilders.get(uri);
+	if (!result) {
+		result = new SemanticTokensBuilder();
+		tokenBuilders.set(uri, result);
+	}
+	return result;
+}
 
-		// Get the text at the current line up to the cursor position
-		let line = document.getText({
-			start: { line: _textDocumentPosition.position.line, character: 0 },
-			end: _textDocumentPosition.position
-		});
+connection.languages.semanticTokens.on(params => {
+	const document = getPolicyDocument(params.textDocument.uri);
+	if (document === undefined) {
+		return { data: [] };
+	}
+	const builder = getTokenBuilder(document.uri);
+	buildSemanticTokens(builder, document);
+	return builder.build();
+});
 
-		if (/strings\.\s*$/.test(line)) {
-			return [
-				{
-					label: 'has_prefix()',
-					kind: CompletionItemKind.Method,
-					data: 1
-				},
-				{
-					label: 'has_suffix()',
-					kind: CompletionItemKind.Method,
-					data: 2
-				},
-				{
-					label: 'join()',
-					kind: CompletionItemKind.Method,
-					data: 3
-				},
-				{
-					label: 'trim_prefix()',
-					kind: CompletionItemKind.Method,
-					data: 4
-				},
-				{
-					label: 'to_lower()',
-					kind: CompletionItemKind.Method,
-					data: 5
-				},
-				{
-					label: 'to_upper()',
-					kind: CompletionItemKind.Method,
-					data: 6
-				},
-				{
-					label: 'split()',
-					kind: CompletionItemKind.Method,
-					data: 7
-				}
-			]
-		}
+connection.languages.semanticTokens.onDelta(params => {
+	const document = getPolicyDocument(params.textDocument.uri);
+	if (document === undefined) {
+		return { edits: [] };
+	}
+	const builder = getTokenBuilder(document.uri);
+	builder.previousResult(params.previousResultId);
+	buildSemanticTokens(builder, document);
+	return builder.buildEdits();
+});
 
-		if (/json\.\s*$/.test(line)) {
-			return [
-				{
-					label: 'marshal()',
-					kind: CompletionItemKind.Method,
-					data: 1
-				},
-				{
-					label: 'unmarshal()',
-					kind: CompletionItemKind.Method,
-					data: 2
-				},
-			]
+connection.onDidChangeWatchedFiles(async change => {
+	// Monitored files have change in VSCode
+	let sourcesChanged = false;
+	for (const event of change.changes) {
+		if (isConfigFile(event.uri)) {
+			sourcesChanged = true;
+			if (event.type === FileChangeType.Deleted) {
+				removeConfig(event.uri);
+			} else if (!isOpen(event.uri)) {
+				await loadConfigFromDisk(event.uri);
+			}
+			continue;
 		}
-
-		if (/http\.\s*$/.test(line)) {
-			return [
-				{
-					label: 'get()',
-					kind: CompletionItemKind.Method,
-					data: 1
-				},
-				{
-					label: 'request()',
-					kind: CompletionItemKind.Method,
-					data: 2
-				},
-				{
-					label: 'post()',
-					kind: CompletionItemKind.Method,
-					data: 3
-				},
-				{
-					label: 'client',
-					kind: CompletionItemKind.Field,
-					data: 4
-				},
-				{
-					label: 'accept_status_codes',
-					kind: CompletionItemKind.Function,
-					data: 5
-				}
-			]
+		if (!isSentinelFile(event.uri)) {
+			continue;
 		}
-
-		if (/types\.\s*$/.test(line)) {
-			return [
-				{
-					label: 'type_of()',
-					kind: CompletionItemKind.Method,
-					data: 1
-				},
-			]
+		if (event.type !== FileChangeType.Changed || isModuleSource(event.uri)) {
+			sourcesChanged = true;
 		}
-
-		if (/base64\.\s*$/.test(line)) {
-			return [
-				{
-					label: 'encode()',
-					kind: CompletionItemKind.Method,
-					data: 1
-				},
-				{
-					label: 'decode()',
-					kind: CompletionItemKind.Method,
-					data: 2
-				},
-				{
-					label: 'urlencode()',
-					kind: CompletionItemKind.Method,
-					data: 3
-				},
-				{
-					label: 'urldecode()',
-					kind: CompletionItemKind.Method,
-					data: 4
-				},
-			]
+		if (event.type === FileChangeType.Deleted) {
+			removeFromIndex(event.uri);
+		} else if (!isOpen(event.uri)) {
+			// Open documents are indexed from the editor's contents instead.
+			await indexFromDisk(event.uri);
 		}
+	}
+	if (sourcesChanged) {
+		// Configuration files report missing source files and policies are
+		// validated against configurations and modules, so pull diagnostics again.
+		connection.languages.diagnostics.refresh();
+	}
+});
 
-		if (/time\.\s*$/.test(line)) {
-			return [
-				{
-					label: 'now',
-					kind: CompletionItemKind.Field,
-					data: 1
-				},
-				{
-					label: 'load()',
-					kind: CompletionItemKind.Method,
-					data: 2
-				},
-				{
-					label: 'second',
-					kind: CompletionItemKind.Field,
-					data: 3
-				},
-				{
-					label: 'millisecond',
-					kind: CompletionItemKind.Field,
-					data: 4
-				},
-				{
-					label: 'nanosecond',
-					kind: CompletionItemKind.Field,
-					data: 5
-				},
-				{
-					label: 'microsecond',
-					kind: CompletionItemKind.Field,
-					data: 6
-				},
-				{
-					label: 'minute',
-					kind: CompletionItemKind.Field,
-					data: 7
-				},
-				{
-					label: 'hour',
-					kind: CompletionItemKind.Field,
-					data: 8
-				},
-			]
-		}
+// This handler provides the initial list of the completion items.
+connection.onCompletion(
+	(_textDocumentPosition: TextDocumentPositionParams): CompletionItem[] => {
+		const document = documents.get(_textDocumentPosition.textDocument.uri);
+		if (!document) return []; // Ensure the document is available
 
-		if (/decimal\.\s*$/.test(line)) {
-			return [
-				{
-					label: 'infinity()',
-					kind: CompletionItemKind.Method,
-					data: 1
-				},
-				{
-					label: 'new()',
-					kind: CompletionItemKind.Method,
-					data: 2
-				},
-				{
-					label: 'is_nan()',
-					kind: CompletionItemKind.Method,
-					data: 3
-				},
-				{
-					label: 'nan',
-					kind: CompletionItemKind.Field,
-					data: 4
-				},
-				{
-					label: 'is_infinite()',
-					kind: CompletionItemKind.Method,
-					data: 5
-				},
-				{
-					label: 'string',
-					kind: CompletionItemKind.Field,
-					data: 6
-				},
-				{
-					label: 'sign',
-					kind: CompletionItemKind.Field,
-					data: 7
-				},
-				{
-					label: 'coefficient',
-					kind: CompletionItemKind.Field,
-					data: 8
-				},
-				{
-					label: 'exponent',
-					kind: CompletionItemKind.Field,
-					data: 9
-				},
-				{
-					label: 'float',
-					kind: CompletionItemKind.Field,
-					data: 10
-				},
-				{
-					label: 'is()',
-					kind: CompletionItemKind.Method,
-					data: 11
-				},
-				{
-					label: 'is_not()',
-					kind: CompletionItemKind.Method,
-					data: 12
-				},
-				{
-					label: 'less_than()',
-					kind: CompletionItemKind.Method,
-					data: 13
-				},
-				{
-					label: 'less_than_or_equals()',
-					kind: CompletionItemKind.Method,
-					data: 14
-				},
-				{
-					label: 'greater_than()',
-					kind: CompletionItemKind.Method,
-					data: 15
-				},
-				{
-					label: 'greater_than_or_equals()',
-					kind: CompletionItemKind.Method,
-					data: 16
-				},
-				{
-					label: 'add()',
-					kind: CompletionItemKind.Method,
-					data: 17
-				},
-				{
-					label: 'substract()',
-					kind: CompletionItemKind.Method,
-					data: 17
-				},
-				{
-					label: 'multiply()',
-					kind: CompletionItemKind.Method,
-					data: 18
-				},
-				{
-					label: 'divide()',
-					kind: CompletionItemKind.Method,
-					data: 19
-				},
-				{
-					label: 'modulo()',
-					kind: CompletionItemKind.Method,
-					data: 20
-				},
-				{
-					label: 'power()',
-					kind: CompletionItemKind.Method,
-					data: 21
-				},
-				{
-					label: 'loge()',
-					kind: CompletionItemKind.Method,
-					data: 22
-				},
-				{
-					label: 'sqaure_root()',
-					kind: CompletionItemKind.Method,
-					data: 23
-				},
-				{
-					label: 'ceiling()',
-					kind: CompletionItemKind.Method,
-					data: 24
-				},
-				{
-					label: 'floor()',
-					kind: CompletionItemKind.Method,
-					data: 25
-				},
-				{
-					label: 'absolute()',
-					kind: CompletionItemKind.Method,
-					data: 26
-				},
-				{
-					label: 'negate()',
-					kind: CompletionItemKind.Method,
-					data: 26
-				},
-			]
+		if (isConfigDocument(document)) {
+			return provideConfigCompletion(document, _textDocumentPosition.position);
 		}
-
-
-		return [
-			{
-				label: 'import',
-				kind: CompletionItemKind.Keyword,
-				data: 1
-			},
-			{
-				label: 'for',
-				kind: CompletionItemKind.Keyword,
-				data: 2
-			},
-			{
-				label: 'as',
-				kind: CompletionItemKind.Keyword,
-				data: 3
-			},
-			{
-				label: 'filter',
-				kind: CompletionItemKind.Keyword,
-				data: 4
-			},
-			{
-				label: 'if',
-				kind: CompletionItemKind.Keyword,
-				data: 5
-			},
-			{
-				label: 'break',
-				kind: CompletionItemKind.Keyword,
-				data: 6
-			},
-			{
-				label: 'continue',
-				kind: CompletionItemKind.Keyword,
-				data: 7
-			},
-			{
-				label: 'in',
-				kind: CompletionItemKind.Keyword,
-				data: 8
-			},
-			{
-				label: 'null',
-				kind: CompletionItemKind.Keyword,
-				data: 9
-			},
-			{
-				label: 'rule',
-				kind: CompletionItemKind.Keyword,
-				data: 10
-			},
-			{
-				label: 'param',
-				kind: CompletionItemKind.Keyword,
-				data: 11
-			},
-			{
-				label: 'default',
-				kind: CompletionItemKind.Keyword,
-				data: 12
-			},
-			{
-				label: 'map',
-				kind: CompletionItemKind.Keyword,
-				data: 13
-			},
-			{
-				label: 'strings',
-				kind: CompletionItemKind.Keyword,
-				data: 14
-			},
-			{
-				label: 'json',
-				kind: CompletionItemKind.Keyword,
-				data: 15
-			},
-			{
-				label: 'http',
-				kind: CompletionItemKind.Keyword,
-				data: 16
-			},
-			{
-				label: 'types',
-				kind: CompletionItemKind.Keyword,
-				data: 17
-			},
-			{
-				label: 'decimal',
-				kind: CompletionItemKind.Keyword,
-				data: 18
-			},
-			{
-				label: 'base64',
-				kind: CompletionItemKind.Keyword,
-				data: 19
-			},
-			{
-				label: 'time',
-				kind: CompletionItemKind.Keyword,
-				data: 20
-			},
-			{
-				label: 'print()',
-				kind: CompletionItemKind.Method,
-				data: 21
-			},
-			{
-				label: 'error()',
-				kind: CompletionItemKind.Method,
-				data: 22
-			},
-			{
-				label: 'length()',
-				kind: CompletionItemKind.Method,
-				data: 23
-			}, 
-			{
-				label: 'append()',
-				kind: CompletionItemKind.Method,
-				data: 24 
-			},
-			{
-				label: 'delete()',
-				kind: CompletionItemKind.Method,
-				data: 25
-			},
-			{
-				label: 'range()',
-				kind: CompletionItemKind.Method,
-				data: 26
-			},
-			{
-				label: 'keys()',
-				kind: CompletionItemKind.Method,
-				data: 27
-			},
-			{
-				label: 'values()',
-				kind: CompletionItemKind.Method,
-				data: 28
-			},
-			{
-				label: 'int()',
-				kind: CompletionItemKind.Method,
-				data: 29
-			},
-			{
-				label: 'string()',
-				kind: CompletionItemKind.Method,
-				data: 30
-			},
-			{
-				label: 'float()',
-				kind: CompletionItemKind.Method,
-				data: 30
-			},
-			{
-				label: 'bool()',
-				kind: CompletionItemKind.Method,
-				data: 31
-			},
-			{
-				label: 'case',
-				kind: CompletionItemKind.Method,
-				data: 32
-			},
-			{
-				label: 'when',
-				kind: CompletionItemKind.Method,
-				data: 33
-			},
-			{
-				label: 'all',
-				kind: CompletionItemKind.Method,
-				data: 34
-			},
-			{
-				label: 'any',
-				kind: CompletionItemKind.Method,
-				data: 35
-			},
-			{
-				label: 'func()',
-				kind: CompletionItemKind.Method,
-				data: 36
-			},
-			{
-				label: 'return',
-				kind: CompletionItemKind.Keyword,
-				data: 37
-			},
-			{
-				label: 'undefined',
-				kind: CompletionItemKind.Keyword,
-				data: 37
-			}
-		];
+		return provideCompletion(document, _textDocumentPosition.position);
 	}
 );
 
@@ -741,14 +407,105 @@ connection.onCompletion(
 // the completion list.
 connection.onCompletionResolve(
 	(item: CompletionItem): CompletionItem => {
-		if (item.data === 1) {
-			item.detail = 'Import plugin or standard library';
-			item.documentation = 'Import keyword allow us to import libraries';
-		}
-		return item;
+		return resolveCompletion(item);
 	}
 );
 
+connection.onHover(params => {
+	const document = getPolicyDocument(params.textDocument.uri);
+	if (!document) return null;
+
+	return provideHover(document, params.position);
+});
+
+connection.onSignatureHelp(params => {
+	const document = getPolicyDocument(params.textDocument.uri);
+	if (!document) return null;
+
+	return provideSignatureHelp(document, params.position);
+});
+
+connection.onDefinition(params => {
+	const document = getPolicyDocument(params.textDocument.uri);
+	if (!document) return null;
+
+	return provideDefinition(document, params.position);
+});
+
+connection.onReferences(params => {
+	const document = getPolicyDocument(params.textDocument.uri);
+	if (!document) return [];
+
+	return provideReferences(document, params.position, params.context.includeDeclaration);
+});
+
+connection.onPrepareRename(params => {
+	const document = getPolicyDocument(params.textDocument.uri);
+	if (!document) return null;
+
+	return providePrepareRename(document, params.position);
+});
+
+connection.onRenameRequest(params => {
+	const document = getPolicyDocument(params.textDocument.uri);
+	if (!document) return null;
+
+	return provideRename(document, params.position, params.newName);
+});
+
+connection.onDocumentSymbol(params => {
+	const document = getPolicyDocument(params.textDocument.uri);
+	if (!document) return [];
+
+	return provideDocumentSymbols(document);
+});
+
+connection.onWorkspaceSymbol(params => {
+	return queryWorkspaceSymbols(params.query);
+});
+
+connection.onDocumentFormatting(params => {
+	const document = getPolicyDocument(params.textDocument.uri);
+	if (!document) return [];
+
+	return formatDocument(document);
+});
+
+connection.onDocumentRangeFormatting(params => {
+	const document = getPolicyDocument(params.textDocument.uri);
+	if (!document) return [];
+
+	return formatDocument(document, params.range);
+});
+
+connection.onCodeAction(params => {
+	const document = getPolicyDocument(params.textDocument.uri);
+	if (!document) return [];
+
+	return [
+		...provideCodeActions(document, params.context.diagnostics),
+		...provideRefactorings(document, params.range)
+	];
+});
+
+connection.onRequest(EVALUATE_REQUEST, async (params: EvaluateParams) => {
+	const document = getPolicyDocument(params.textDocument.uri);
+	if (!document) return null;
+
+	const settings = await getDocumentSettings(document.uri);
+	return runPolicy(document, settings.httpFixtures);
+});
+
+connection.onRequest(RUN_TEST_REQUEST, async (params: RunTestParams) => {
+	// The policy under test need not be open in the editor.
+	const uri = params.textDocument.uri;
+	const document = getPolicyDocument(uri) ?? getIndexedFile(uri)?.document;
+	if (!document) return null;
+
+	const settings = await getDocumentSettings(document.uri);
+	return runTestCase(document, params.testCase.uri, settings.httpFixtures);
+});
+
 // Make the text document manager listen on the connection
 // for open, change and close text document events
 documents.listen(connection);
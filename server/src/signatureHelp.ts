@@ -0,0 +1,190 @@
+/**
+ * Signature help for calls to builtins, standard-library functions and
+ * user-defined functions.
+ *
+ * The enclosing call is found from the token stream rather than the AST because
+ * the call being typed is usually incomplete and would not parse cleanly.
+ */
+import {
+	MarkupKind,
+	ParameterInformation,
+	Position,
+	SignatureHelp,
+	SignatureInformation
+} from 'vscode-languageserver/node';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import { SentinelSymbol, scopeAt, visibleSymbols } from './binder';
+import { getBinding, getParseResult } from './documentCache';
+import { Token } from './lexer';
+import { findExport, moduleOfSymbol } from './modules';
+import { CatalogFunction, findBuiltin, findImport, findMember, formatParameter } from './stdlib';
+import { symbolMarkdown } from './symbolInfo';
+
+export interface CallSite {
+	/** Names of the callee, e.g. `['strings', 'has_prefix']`. */
+	callee: string[];
+	/** Offset of the first token of the callee. */
+	calleeStart: number;
+	/** Index of the argument the cursor is in. */
+	activeParameter: number;
+}
+
+/** Finds the innermost unclosed call surrounding `offset`. */
+export function findCallSite(tokens: Token[], offset: number): CallSite | undefined {
+	// The eof token always starts at or after `offset`, so this finds the last
+	// token before the cursor.
+	let index = tokens.findIndex(token => token.start >= offset) - 1;
+	let depth = 0;
+	let commas = 0;
+	for (; index >= 0; index--) {
+		const token = tokens[index];
+		if (token.kind !== 'punct') {
+			continue;
+		}
+		if (token.text === ')' || token.text === ']' || token.text === '}') {
+			depth++;
+		} else if (token.text === '[' || token.text === '{') {
+			if (depth === 0) {
+				// The cursor is inside a list or map literal that is itself an argument.
+				commas = 0;
+				continue;
+			}
+			depth--;
+		} else if (token.text === '(') {
+			if (depth > 0) {
+				depth--;
+				continue;
+			}
+			const callee = calleeBefore(tokens, index);
+			if (callee) {
+				return { ...callee, activeParameter: commas };
+			}
+			commas = 0;
+		} else if (token.text === ',' && depth === 0) {
+			commas++;
+		}
+	}
+	return undefined;
+}
+
+function calleeBefore(tokens: Token[], parenIndex: number): { callee: string[]; calleeStart: number } | undefined {
+	const names: string[] = [];
+	let index = parenIndex - 1;
+	let start = -1;
+	while (index >= 0 && tokens[index].kind === 'ident') {
+		names.unshift(tokens[index].text);
+		start = tokens[index].start;
+		if (index >= 2 && tokens[index - 1].kind === 'punct' && tokens[index - 1].text === '.') {
+			index -= 2;
+		} else {
+			break;
+		}
+	}
+	return names.length > 0 ? { callee: names, calleeStart: start } : undefined;
+}
+
+function catalogSignature(fn: CatalogFunction, qualifier?: string): SignatureInformation {
+	const prefix = `${qualifier ? `${qualifier}.` : ''}${fn.name}(`;
+	let label = prefix;
+	const parameters: ParameterInformation[] = [];
+	fn.params.forEach((param, i) => {
+		if (i > 0) {
+			label += ', ';
+		}
+		const text = formatParameter(param);
+		parameters.push({
+			label: [label.length, label.length + text.length],
+			documentation: param.description
+		});
+		label += text;
+	});
+	label += `): ${fn.returns}`;
+	return {
+		label,
+		parameters,
+		documentation: { kind: MarkupKind.Markdown, value: fn.description }
+	};
+}
+
+function userSignature(document: TextDocument, symbol: SentinelSymbol): SignatureInformation | undefined {
+	const node = symbol.node;
+	const params = node.type === 'FuncDeclaration'
+		? node.params
+		: node.type === 'Assignment' && node.value.type === 'FuncExpression' ? node.value.params : undefined;
+	if (!params) {
+		return undefined;
+	}
+	let label = `${symbol.name}(`;
+	const parameters: ParameterInformation[] = [];
+	params.forEach((param, i) => {
+		if (i > 0) {
+			label += ', ';
+		}
+		parameters.push({ label: [label.length, label.length + param.name.length] });
+		label += param.name;
+	});
+	label += ')';
+	const { comments } = getParseResult(document);
+	return {
+		label,
+		parameters,
+		documentation: { kind: MarkupKind.Markdown, value: symbolMarkdown(document.getText(), comments, symbol) }
+	};
+}
+
+function activeIndex(signature: SignatureInformation, activeParameter: number, variadic: boolean): number {
+	const count = signature.parameters?.length ?? 0;
+	if (variadic && count > 0) {
+		return Math.min(activeParameter, count - 1);
+	}
+	return activeParameter;
+}
+
+export function provideSignatureHelp(document: TextDocument, position: Position): SignatureHelp | null {
+	const offset = document.offsetAt(position);
+	const { tokens } = getParseResult(document);
+	const site = findCallSite(tokens, offset);
+	if (!site) {
+		return null;
+	}
+	const binding = getBinding(document);
+	const symbols = visibleSymbols(scopeAt(binding, offset));
+	const lookup = (name: string) => symbols.find(symbol => symbol.name === name);
+
+	let signature: SignatureInformation | undefined;
+	let variadic = false;
+	if (site.callee.length === 1) {
+		const symbol = lookup(site.callee[0]);
+		if (symbol) {
+			signature = userSignature(document, symbol);
+		} else {
+			const builtin = findBuiltin(site.callee[0]);
+			if (builtin) {
+				signature = catalogSignature(builtin);
+				variadic = builtin.params.some(param => param.variadic);
+			}
+		}
+	} else if (site.callee.length === 2) {
+		const symbol = lookup(site.callee[0]);
+		const module = moduleOfSymbol(document.uri, symbol);
+		const exported = module && findExport(module, site.callee[1]);
+		const entry = symbol?.kind === 'import' && symbol.node.type === 'ImportDeclaration'
+			? findImport(symbol.node.path.value)
+			: undefined;
+		const member = entry && findMember(entry.members, site.callee[1]);
+		if (module && exported) {
+			signature = userSignature(module.document, exported);
+		} else if (member?.kind === 'function') {
+			signature = catalogSignature(member, site.callee[0]);
+			variadic = member.params.some(param => param.variadic);
+		}
+	}
+	if (!signature) {
+		return null;
+	}
+	return {
+		signatures: [signature],
+		activeSignature: 0,
+		activeParameter: activeIndex(signature, site.activeParameter, variadic)
+	};
+}
@@ -0,0 +1,443 @@
+/**
+ * Catalog of the Sentinel standard library: builtin functions, standard
+ * imports and the object types their functions return.
+ *
+ * Completion, hover, signature help and type inference all read from this
+ * catalog; add new imports or members here rather than in the individual
+ * features.
+ */
+
+export interface CatalogParameter {
+	name: string;
+	type: string;
+	optional?: boolean;
+	/** Accepts any number of trailing arguments. */
+	variadic?: boolean;
+	description?: string;
+}
+
+export interface CatalogFunction {
+	kind: 'function';
+	name: string;
+	params: CatalogParameter[];
+	/** Return type; either a primitive type name or the name of an entry in `OBJECT_TYPES`. */
+	returns: string;
+	description: string;
+}
+
+export interface CatalogValue {
+	kind: 'value';
+	name: string;
+	/** Either a primitive type name or the name of an entry in `OBJECT_TYPES`. */
+	type: string;
+	description: string;
+}
+
+export type CatalogMember = CatalogFunction | CatalogValue;
+
+export interface CatalogImport {
+	/** Import path, e.g. `strings` or `collection/maps`. */
+	path: string;
+	description: string;
+	members: CatalogMember[];
+}
+
+export interface CatalogObjectType {
+	name: string;
+	description: string;
+	members: CatalogMember[];
+}
+
+function fn(name: string, params: CatalogParameter[], returns: string, description: string): CatalogFunction {
+	return { kind: 'function', name, params, returns, description };
+}
+
+function value(name: string, type: string, description: string): CatalogValue {
+	return { kind: 'value', name, type, description };
+}
+
+function p(name: string, type: string, description?: string, extra?: Partial<CatalogParameter>): CatalogParameter {
+	return { name, type, description, ...extra };
+}
+
+export const BUILTINS: CatalogFunction[] = [
+	fn('append', [p('list', 'list'), p('value', 'any')], 'undefined',
+		'Appends `value` to the end of `list`, modifying the list in place. Returns `undefined`; use `list + [value]` for a copy.'),
+	fn('bool', [p('value', 'any')], 'bool',
+		'Converts `value` to a boolean. Strings `"true"`, `"1"`, `"t"` and their false counterparts are accepted; other values yield `undefined`.'),
+	fn('delete', [p('collection', 'map'), p('key', 'any')], 'undefined',
+		'Removes `key` from the map `collection` in place. Deleting a missing key is a no-op.'),
+	fn('error', [p('message', 'string')], 'undefined',
+		'Immediately halts the policy with a runtime error carrying `message`.'),
+	fn('float', [p('value', 'any')], 'float',
+		'Converts an integer, float or numeric string to a float; other values yield `undefined`.'),
+	fn('int', [p('value', 'any')], 'int',
+		'Converts an integer, float or numeric string to an integer, truncating floats; other values yield `undefined`.'),
+	fn('keys', [p('collection', 'map')], 'list',
+		'Returns the keys of the map `collection` as a list, in an unspecified order.'),
+	fn('length', [p('value', 'string | list | map')], 'int',
+		'Returns the number of characters of a string, or the number of elements of a list or map. `undefined` yields `undefined`.'),
+	fn('print', [p('values', 'any', undefined, { variadic: true })], 'bool',
+		'Prints the arguments to the policy trace. Always returns `true` so it can be used inside rules.'),
+	fn('range', [p('start', 'int', 'First value, or the end when called with a single argument.'), p('end', 'int', undefined, { optional: true }), p('step', 'int', undefined, { optional: true })], 'list',
+		'Returns the list of integers from `start` (default 0) up to but not including `end`, incrementing by `step` (default 1).'),
+	fn('string', [p('value', 'any')], 'string',
+		'Converts `value` to its string representation.'),
+	fn('values', [p('collection', 'map')], 'list',
+		'Returns the values of the map `collection` as a list, in the same order as `keys`.')
+];
+
+export const OBJECT_TYPES: CatalogObjectType[] = [
+	{
+		name: 'decimal',
+		description: 'An arbitrary-precision decimal number created by `decimal.new`.',
+		members: [
+			value('string', 'string', 'The decimal formatted as a string.'),
+			value('sign', 'int', 'The sign of the decimal: `-1`, `0` or `1`.'),
+			value('coefficient', 'int', 'The coefficient of the decimal.'),
+			value('exponent', 'int', 'The exponent of the decimal.'),
+			value('float', 'float', 'The decimal converted to a float, possibly losing precision.'),
+			value('int', 'int', 'The decimal truncated to an integer.'),
+			fn('is', [p('other', 'decimal | int | float | string')], 'bool', 'Reports whether the decimal equals `other`.'),
+			fn('is_not', [p('other', 'decimal | int | float | string')], 'bool', 'Reports whether the decimal does not equal `other`.'),
+			fn('less_than', [p('other', 'decimal | int | float | string')], 'bool', 'Reports whether the decimal is less than `other`.'),
+			fn('less_than_or_equals', [p('other', 'decimal | int | float | string')], 'bool', 'Reports whether the decimal is less than or equal to `other`.'),
+			fn('greater_than', [p('other', 'decimal | int | float | string')], 'bool', 'Reports whether the decimal is greater than `other`.'),
+			fn('greater_than_or_equals', [p('other', 'decimal | int | float | string')], 'bool', 'Reports whether the decimal is greater than or equal to `other`.'),
+			fn('add', [p('other', 'decimal | int | float | string')], 'decimal', 'Returns the sum of the decimal and `other`.'),
+			fn('subtract', [p('other', 'decimal | int | float | string')], 'decimal', 'Returns the decimal minus `other`.'),
+			fn('multiply', [p('other', 'decimal | int | float | string')], 'decimal', 'Returns the product of the decimal and `other`.'),
+			fn('divide', [p('other', 'decimal | int | float | string')], 'decimal', 'Returns the decimal divided by `other`.'),
+			fn('modulo', [p('other', 'decimal | int | float | string')], 'decimal', 'Returns the remainder of dividing the decimal by `other`.'),
+			fn('power', [p('exponent', 'decimal | int | float | string')], 'decimal', 'Returns the decimal raised to `exponent`.'),
+			fn('exp', [], 'decimal', 'Returns e raised to the decimal.'),
+			fn('loge', [], 'decimal', 'Returns the natural logarithm of the decimal.'),
+			fn('log', [p('base', 'decimal | int | float | string')], 'decimal', 'Returns the logarithm of the decimal in `base`.'),
+			fn('square_root', [], 'decimal', 'Returns the square root of the decimal.'),
+			fn('ceiling', [], 'decimal', 'Returns the smallest integral decimal greater than or equal to the decimal.'),
+			fn('floor', [], 'decimal', 'Returns the largest integral decimal less than or equal to the decimal.'),
+			fn('absolute', [], 'decimal', 'Returns the absolute value of the decimal.'),
+			fn('negate', [], 'decimal', 'Returns the decimal with its sign flipped.')
+		]
+	},
+	{
+		name: 'time',
+		description: 'A point in time returned by `time.now` or `time.load`.',
+		members: [
+			value('location', 'string', 'The name of the time zone, e.g. `UTC`.'),
+			value('year', 'int', 'The year.'),
+			value('month', 'int', 'The month of the year, `1` to `12`.'),
+			value('month_name', 'string', 'The English name of the month.'),
+			value('day', 'int', 'The day of the month.'),
+			value('weekday', 'int', 'The day of the week, `0` (Sunday) to `6`.'),
+			value('weekday_name', 'string', 'The English name of the day of the week.'),
+			value('hour', 'int', 'The hour within the day, `0` to `23`.'),
+			value('minute', 'int', 'The minute within the hour.'),
+			value('second', 'int', 'The second within the minute.'),
+			value('nanosecond', 'int', 'The nanosecond within the second.'),
+			value('unix', 'int', 'Seconds elapsed since the Unix epoch.'),
+			value('unix_nano', 'int', 'Nanoseconds elapsed since the Unix epoch.'),
+			fn('add', [p('duration', 'int', 'Duration in nanoseconds, e.g. `2 * time.hour`.')], 'time', 'Returns the time shifted by `duration`.'),
+			fn('add_date', [p('years', 'int'), p('months', 'int'), p('days', 'int')], 'time', 'Returns the time shifted by the given number of years, months and days.'),
+			fn('sub', [p('other', 'time | string | int')], 'int', 'Returns the duration in nanoseconds between the time and `other`.'),
+			fn('after', [p('other', 'time | string | int')], 'bool', 'Reports whether the time is after `other`.'),
+			fn('before', [p('other', 'time | string | int')], 'bool', 'Reports whether the time is before `other`.'),
+			fn('equal', [p('other', 'time | string | int')], 'bool', 'Reports whether the time is the same instant as `other`.')
+		]
+	},
+	{
+		name: 'http.request',
+		description: 'An HTTP request built with `http.request`.',
+		members: [
+			value('url', 'string', 'The URL of the request.'),
+			value('headers', 'map', 'The headers that will be sent with the request.'),
+			value('body', 'string', 'The body that will be sent with the request.'),
+			fn('with_header', [p('key', 'string'), p('value', 'string')], 'http.request', 'Returns a copy of the request with the header `key` set to `value`.'),
+			fn('with_headers', [p('headers', 'map')], 'http.request', 'Returns a copy of the request with all `headers` added.'),
+			fn('with_basic_auth', [p('username', 'string'), p('password', 'string')], 'http.request', 'Returns a copy of the request using HTTP basic authentication.'),
+			fn('with_body', [p('body', 'string')], 'http.request', 'Returns a copy of the request with the given body, for use with `http.post`.')
+		]
+	},
+	{
+		name: 'http.response',
+		description: 'The response of an HTTP request.',
+		members: [
+			value('status_code', 'int', 'The HTTP status code of the response.'),
+			value('headers', 'map', 'The response headers; each value is a list of strings.'),
+			value('body', 'string', 'The response body as a string.')
+		]
+	},
+	{
+		name: 'http.client',
+		description: 'A configurable HTTP client. `http.client` is the default client.',
+		members: [
+			fn('get', [p('request', 'string | http.request')], 'http.response', 'Performs a GET request with this client.'),
+			fn('post', [p('request', 'string | http.request')], 'http.response', 'Performs a POST request with this client.'),
+			fn('accept_status_codes', [p('codes', 'list')], 'http.client', 'Returns a client that accepts the given status codes instead of failing on them.'),
+			fn('accept_all_status_codes', [], 'http.client', 'Returns a client that never fails because of a status code.'),
+			fn('with_retries', [p('retries', 'int')], 'http.client', 'Returns a client that retries failed requests up to `retries` times.'),
+			fn('with_timeout', [p('seconds', 'int')], 'http.client', 'Returns a client that gives up on a request after `seconds`.')
+		]
+	},
+	{
+		name: 'version',
+		description: 'A semantic version created by `version.new`.',
+		members: [
+			value('major', 'int', 'The major version number.'),
+			value('minor', 'int', 'The minor version number.'),
+			value('patch', 'int', 'The patch version number.'),
+			value('prerelease', 'string', 'The pre-release label, or an empty string.'),
+			value('metadata', 'string', 'The build metadata, or an empty string.'),
+			value('version', 'string', 'The normalised version string.'),
+			fn('compare', [p('other', 'string | version')], 'int', 'Returns `-1`, `0` or `1` depending on how the version compares to `other`.'),
+			fn('equal', [p('other', 'string | version')], 'bool', 'Reports whether the version equals `other`.'),
+			fn('greater_than', [p('other', 'string | version')], 'bool', 'Reports whether the version is greater than `other`.'),
+			fn('less_than', [p('other', 'string | version')], 'bool', 'Reports whether the version is less than `other`.'),
+			fn('satisfies', [p('constraint', 'string', 'A constraint such as `>= 1.2, < 2.0`.')], 'bool', 'Reports whether the version satisfies `constraint`.')
+		]
+	},
+	{
+		name: 'sockaddr',
+		description: 'An IP address, network or socket address created by `sockaddr.new`.',
+		members: [
+			value('address', 'string', 'The IP address without a mask.'),
+			value('mask_bits', 'int', 'The number of bits in the network mask.'),
+			value('network', 'string', 'The network address in CIDR notation.'),
+			value('port', 'int', 'The port, or `0` when none was given.'),
+			value('type', 'string', 'The address type: `IPv4`, `IPv6` or `Unix`.'),
+			value('string', 'string', 'The address formatted as a string.'),
+			fn('contains', [p('other', 'string | sockaddr')], 'bool', 'Reports whether `other` is contained in this address or network.'),
+			fn('equal', [p('other', 'string | sockaddr')], 'bool', 'Reports whether `other` equals this address.'),
+			fn('greater', [p('other', 'string | sockaddr')], 'bool', 'Reports whether this address sorts after `other`.'),
+			fn('less', [p('other', 'string | sockaddr')], 'bool', 'Reports whether this address sorts before `other`.')
+		]
+	}
+];
+
+const DECIMAL_OPERAND = 'decimal | int | float | string';
+
+export const IMPORTS: CatalogImport[] = [
+	{
+		path: 'base64',
+		description: 'Encoding and decoding of base64 strings.',
+		members: [
+			fn('encode', [p('value', 'string')], 'string', 'Encodes `value` using standard base64 encoding.'),
+			fn('decode', [p('value', 'string')], 'string', 'Decodes a standard base64 string. Returns `undefined` if it is not valid base64.'),
+			fn('urlencode', [p('value', 'string')], 'string', 'Encodes `value` using URL-safe base64 encoding.'),
+			fn('urldecode', [p('value', 'string')], 'string', 'Decodes a URL-safe base64 string. Returns `undefined` if it is not valid base64.')
+		]
+	},
+	{
+		path: 'collection',
+		description: 'Generic helpers for working with lists and maps.',
+		members: [
+			fn('find', [p('items', 'list | map'), p('predicate', 'func', 'Called with each value (and key for maps); returns a bool.')], 'any', 'Returns the first item for which `predicate` returns `true`, or `undefined`.'),
+			fn('reduce', [p('items', 'list | map'), p('accumulator', 'func', 'Called with the accumulated value and each item.'), p('initial', 'any', undefined, { optional: true })], 'any', 'Reduces `items` to a single value by calling `accumulator` on each item in turn.'),
+			fn('to_pairs', [p('items', 'map')], 'list', 'Converts a map into a list of `[key, value]` pairs.'),
+			fn('from_pairs', [p('pairs', 'list')], 'map', 'Builds a map from a list of `[key, value]` pairs.')
+		]
+	},
+	{
+		path: 'collection/lists',
+		description: 'Helpers for working with lists.',
+		members: [
+			fn('concat', [p('a', 'list'), p('b', 'list')], 'list', 'Returns a new list with the elements of `a` followed by those of `b`.'),
+			fn('sort', [p('items', 'list'), p('less', 'func', 'Called with two items; returns whether the first sorts before the second.')], 'list', 'Returns a sorted copy of `items`.'),
+			fn('sum', [p('items', 'list')], 'int | float', 'Returns the sum of a list of numbers.')
+		]
+	},
+	{
+		path: 'collection/maps',
+		description: 'Helpers for reading and updating nested maps by path.',
+		members: [
+			fn('get', [p('object', 'map'), p('path', 'string', 'A dot-separated path such as `a.b.c`.'), p('default', 'any', undefined, { optional: true })], 'any', 'Returns the value at `path`, or `default` when it does not exist.'),
+			fn('has', [p('object', 'map'), p('path', 'string')], 'bool', 'Reports whether a value exists at `path`.'),
+			fn('set', [p('object', 'map'), p('path', 'string'), p('value', 'any')], 'map', 'Returns a copy of `object` with `value` stored at `path`.'),
+			fn('unset', [p('object', 'map'), p('path', 'string')], 'map', 'Returns a copy of `object` without the value at `path`.'),
+			fn('pick', [p('object', 'map'), p('paths', 'list')], 'map', 'Returns a map containing only the given `paths` of `object`.'),
+			fn('omit', [p('object', 'map'), p('paths', 'list')], 'map', 'Returns a copy of `object` without the given `paths`.')
+		]
+	},
+	{
+		path: 'decimal',
+		description: 'Arbitrary-precision decimal arithmetic.',
+		members: [
+			fn('new', [p('value', DECIMAL_OPERAND)], 'decimal', 'Creates a decimal from a number or numeric string.'),
+			fn('is_infinite', [p('value', DECIMAL_OPERAND)], 'bool', 'Reports whether `value` is positive or negative infinity.'),
+			fn('is_nan', [p('value', DECIMAL_OPERAND)], 'bool', 'Reports whether `value` is not a number.'),
+			value('infinity', 'decimal', 'A decimal representing positive infinity.'),
+			value('nan', 'decimal', 'A decimal representing "not a number".')
+		]
+	},
+	{
+		path: 'hex',
+		description: 'Encoding and decoding of hexadecimal strings.',
+		members: [
+			fn('encode', [p('value', 'string')], 'string', 'Encodes `value` as a lowercase hexadecimal string.'),
+			fn('decode', [p('value', 'string')], 'string', 'Decodes a hexadecimal string. Returns `undefined` if it is not valid hexadecimal.')
+		]
+	},
+	{
+		path: 'http',
+		description: 'Performs HTTP requests from a policy.',
+		members: [
+			fn('get', [p('request', 'string | http.request')], 'http.response', 'Performs a GET request with the default client. Non-2xx responses fail the policy unless accepted by the client.'),
+			fn('post', [p('request', 'string | http.request')], 'http.response', 'Performs a POST request with the default client.'),
+			fn('request', [p('url', 'string')], 'http.request', 'Creates a request for `url` that can be customised with headers, authentication and a body.'),
+			fn('accept_status_codes', [p('codes', 'list')], 'http.client', 'Returns a client that accepts the given status codes instead of failing on them.'),
+			fn('accept_all_status_codes', [], 'http.client', 'Returns a client that never fails because of a status code.'),
+			fn('with_retries', [p('retries', 'int')], 'http.client', 'Returns a client that retries failed requests up to `retries` times.'),
+			fn('with_timeout', [p('seconds', 'int')], 'http.client', 'Returns a client that gives up on a request after `seconds`.'),
+			value('client', 'http.client', 'The default HTTP client.')
+		]
+	},
+	{
+		path: 'json',
+		description: 'Encoding and decoding of JSON.',
+		members: [
+			fn('marshal', [p('value', 'any')], 'string', 'Encodes `value` as a JSON string.'),
+			fn('unmarshal', [p('json', 'string')], 'any', 'Decodes a JSON string into Sentinel values.')
+		]
+	},
+	{
+		path: 'runtime',
+		description: 'Information about the Sentinel runtime evaluating the policy.',
+		members: [
+			value('version', 'string', 'The version of the Sentinel runtime, e.g. `0.24.0`.')
+		]
+	},
+	{
+		path: 'sockaddr',
+		description: 'Parsing and comparison of IP addresses and networks.',
+		members: [
+			fn('new', [p('address', 'string')], 'sockaddr', 'Parses an IP address, CIDR network or Unix socket path.'),
+			fn('is_contained', [p('network', 'string | sockaddr'), p('address', 'string | sockaddr')], 'bool', 'Reports whether `address` is contained in `network`.'),
+			fn('is_equal', [p('a', 'string | sockaddr'), p('b', 'string | sockaddr')], 'bool', 'Reports whether two addresses are equal.'),
+			fn('is_greater', [p('a', 'string | sockaddr'), p('b', 'string | sockaddr')], 'bool', 'Reports whether `a` sorts after `b`.'),
+			fn('is_less', [p('a', 'string | sockaddr'), p('b', 'string | sockaddr')], 'bool', 'Reports whether `a` sorts before `b`.'),
+			fn('is_ipv4', [p('address', 'string | sockaddr')], 'bool', 'Reports whether `address` is an IPv4 address.'),
+			fn('is_ipv6', [p('address', 'string | sockaddr')], 'bool', 'Reports whether `address` is an IPv6 address.')
+		]
+	},
+	{
+		path: 'strings',
+		description: 'Functions for manipulating strings.',
+		members: [
+			fn('has_prefix', [p('s', 'string'), p('prefix', 'string')], 'bool', 'Reports whether `s` begins with `prefix`.'),
+			fn('has_suffix', [p('s', 'string'), p('suffix', 'string')], 'bool', 'Reports whether `s` ends with `suffix`.'),
+			fn('index', [p('s', 'string'), p('substr', 'string')], 'int', 'Returns the index of the first occurrence of `substr` in `s`, or `-1`.'),
+			fn('join', [p('list', 'list'), p('separator', 'string')], 'string', 'Concatenates the elements of `list`, placing `separator` between them.'),
+			fn('replace', [p('s', 'string'), p('old', 'string'), p('new', 'string'), p('n', 'int', 'Maximum number of replacements; `-1` replaces all.')], 'string', 'Returns a copy of `s` with the first `n` occurrences of `old` replaced by `new`.'),
+			fn('split', [p('s', 'string'), p('separator', 'string')], 'list', 'Splits `s` into a list of substrings separated by `separator`.'),
+			fn('to_lower', [p('s', 'string')], 'string', 'Returns `s` with all letters mapped to lower case.'),
+			fn('to_upper', [p('s', 'string')], 'string', 'Returns `s` with all letters mapped to upper case.'),
+			fn('trim', [p('s', 'string'), p('cutset', 'string')], 'string', 'Removes all leading and trailing characters contained in `cutset`.'),
+			fn('trim_left', [p('s', 'string'), p('cutset', 'string')], 'string', 'Removes all leading characters contained in `cutset`.'),
+			fn('trim_right', [p('s', 'string'), p('cutset', 'string')], 'string', 'Removes all trailing characters contained in `cutset`.'),
+			fn('trim_prefix', [p('s', 'string'), p('prefix', 'string')], 'string', 'Returns `s` without the leading `prefix`, if present.'),
+			fn('trim_suffix', [p('s', 'string'), p('suffix', 'string')], 'string', 'Returns `s` without the trailing `suffix`, if present.'),
+			fn('trim_space', [p('s', 'string')], 'string', 'Removes leading and trailing white space.')
+		]
+	},
+	{
+		path: 'time',
+		description: 'Parsing and manipulation of times and durations.',
+		members: [
+			value('now', 'time', 'The time at which the policy evaluation started. Constant for the whole evaluation.'),
+			fn('load', [p('value', 'string | int | time', 'An RFC 3339 string, a Unix timestamp in seconds or a time.')], 'time', 'Loads a time from a string, Unix timestamp or another time.'),
+			value('nanosecond', 'int', 'One nanosecond, the base unit of durations.'),
+			value('microsecond', 'int', 'One microsecond, as a duration in nanoseconds.'),
+			value('millisecond', 'int', 'One millisecond, as a duration in nanoseconds.'),
+			value('second', 'int', 'One second, as a duration in nanoseconds.'),
+			value('minute', 'int', 'One minute, as a duration in nanoseconds.'),
+			value('hour', 'int', 'One hour, as a duration in nanoseconds.')
+		]
+	},
+	{
+		path: 'types',
+		description: 'Inspection of value types.',
+		members: [
+			fn('type_of', [p('value', 'any')], 'string', 'Returns the type of `value` as a string: `string`, `int`, `float`, `bool`, `list`, `map`, `null`, `undefined`, `rule`, `func` or an object type.')
+		]
+	},
+	{
+		path: 'units',
+		description: 'Constants for byte sizes.',
+		members: [
+			value('byte', 'int', 'One byte.'),
+			value('kilobyte', 'int', 'One kilobyte (1024 bytes).'),
+			value('megabyte', 'int', 'One megabyte (1024 kilobytes).'),
+			value('gigabyte', 'int', 'One gigabyte (1024 megabytes).'),
+			value('terabyte', 'int', 'One terabyte (1024 gigabytes).'),
+			value('petabyte', 'int', 'One petabyte (1024 terabytes).')
+		]
+	},
+	{
+		path: 'uuid',
+		description: 'Generation of UUIDs.',
+		members: [
+			fn('new_v4', [], 'string', 'Returns a new random (version 4) UUID.'),
+			fn('new_v7', [], 'string', 'Returns a new time-ordered (version 7) UUID.')
+		]
+	},
+	{
+		path: 'version',
+		description: 'Parsing and comparison of semantic versions.',
+		members: [
+			fn('new', [p('version', 'string')], 'version', 'Parses a semantic version string.'),
+			fn('is_version', [p('version', 'string')], 'bool', 'Reports whether `version` is a valid semantic version.')
+		]
+	}
+];
+
+export const BUILTIN_FUNCTIONS: ReadonlySet<string> = new Set(BUILTINS.map(b => b.name));
+
+export function findBuiltin(name: string): CatalogFunction | undefined {
+	return BUILTINS.find(b => b.name === name);
+}
+
+export function findImport(path: string): CatalogImport | undefined {
+	return IMPORTS.find(i => i.path === path);
+}
+
+export function findObjectType(name: string): CatalogObjectType | undefined {
+	return OBJECT_TYPES.find(t => t.name === name);
+}
+
+export function findMember(members: CatalogMember[], name: string): CatalogMember | undefined {
+	return members.find(m => m.name === name);
+}
+
+/** Default name an import is bound to when it has no alias: the last path segment. */
+export function defaultImportName(path: string): string {
+	return path.split('/').pop() ?? path;
+}
+
+/** Formats a member as a one-line signature, e.g. `strings.has_prefix(s: string, prefix: string): bool`. */
+export function signatureOf(member: CatalogMember, qualifier?: string): string {
+	const name = qualifier ? `${qualifier}.${member.name}` : member.name;
+	if (member.kind === 'value') {
+		return `${name}: ${member.type}`;
+	}
+	return `${name}(${member.params.map(formatParameter).join(', ')}): ${member.returns}`;
+}
+
+export function formatParameter(param: CatalogParameter): string {
+	const name = param.variadic ? `...${param.name}` : param.optional ? `${param.name}?` : param.name;
+	return `${name}: ${param.type}`;
+}
+
+/** Markdown documentation for a member: its signature, description and parameter notes. */
+export function documentationOf(member: CatalogMember, qualifier?: string): string {
+	const lines = ['```sentinel', signatureOf(member, qualifier), '```', '', member.description];
+	if (member.kind === 'function') {
+		const described = member.params.filter(param => param.description);
+		if (described.length > 0) {
+			lines.push('');
+			for (const param of described) {
+				lines.push(`- \`${param.name}\`: ${param.description}`);
+			}
+		}
+	}
+	return lines.join('\n');
+}
@@ -0,0 +1,101 @@
+/**
+ * Human-readable descriptions of user-defined symbols, shared by hover and
+ * any other feature that needs to show what a symbol is.
+ */
+import * as ast from './ast';
+import { SentinelSymbol } from './binder';
+import { Comment } from './lexer';
+
+const MAX_DECLARATION_LINES = 10;
+
+/**
+ * Returns the text of the comments written directly above the line containing
+ * `offset`, with comment markers removed, or `undefined` if there are none.
+ */
+export function docCommentAbove(text: string, comments: Comment[], offset: number): string | undefined {
+	let lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+	const lines: string[] = [];
+	for (let i = comments.length - 1; i >= 0; i--) {
+		const comment = comments[i];
+		if (comment.end > lineStart) {
+			continue;
+		}
+		// The comment must end on the line immediately above, with nothing but
+		// white space in between.
+		const between = text.slice(comment.end, lineStart);
+		if (!/^[ \t\r]*\n$/.test(between)) {
+			break;
+		}
+		const commentLineStart = text.lastIndexOf('\n', comment.start - 1) + 1;
+		if (text.slice(commentLineStart, comment.start).trim() !== '') {
+			// A trailing comment on a line of code documents that line, not ours.
+			break;
+		}
+		lines.unshift(stripCommentMarkers(comment));
+		lineStart = commentLineStart;
+	}
+	const doc = lines.join('\n').trim();
+	return doc === '' ? undefined : doc;
+}
+
+function stripCommentMarkers(comment: Comment): string {
+	if (comment.kind === 'line') {
+		return comment.text.replace(/^(\/\/|#)\s?/, '');
+	}
+	return comment.text
+		.replace(/^\/\*+/, '')
+		.replace(/\*+\/$/, '')
+		.split('\n')
+		.map(line => line.replace(/^\s*\* ?/, ''))
+		.join('\n')
+		.trim();
+}
+
+function truncate(source: string): string {
+	const lines = source.split(/\r?\n/);
+	if (lines.length <= MAX_DECLARATION_LINES) {
+		return source;
+	}
+	return [...lines.slice(0, MAX_DECLARATION_LINES), '\t...'].join('\n');
+}
+
+function slice(text: string, span: ast.Span): string {
+	return text.slice(span.start, span.end);
+}
+
+/** A short, source-like rendering of the declaration of `symbol`. */
+export function declarationText(text: string, symbol: SentinelSymbol): string {
+	const node = symbol.node;
+	switch (symbol.kind) {
+		case 'import':
+		case 'param':
+			return slice(text, node);
+		case 'func':
+			if (node.type === 'FuncDeclaration') {
+				return `func ${symbol.name}(${node.params.map(param => param.name).join(', ')})`;
+			}
+			if (node.type === 'Assignment' && node.value.type === 'FuncExpression') {
+				return `${symbol.name} = func(${node.value.params.map(param => param.name).join(', ')})`;
+			}
+			return `func ${symbol.name}`;
+		case 'rule':
+		case 'variable':
+			return truncate(node.type === 'Assignment' ? slice(text, node) : symbol.name);
+		case 'parameter':
+			return `(parameter) ${symbol.name}`;
+		case 'binding':
+			return `(binding) ${symbol.name}`;
+	}
+}
+
+/** Markdown describing `symbol`: its declaration and the doc comment written above it. */
+export function symbolMarkdown(text: string, comments: Comment[], symbol: SentinelSymbol): string {
+	const parts = ['```sentinel\n' + declarationText(text, symbol) + '\n```'];
+	if (symbol.kind !== 'parameter' && symbol.kind !== 'binding') {
+		const doc = docCommentAbove(text, comments, symbol.node.start);
+		if (doc) {
+			parts.push(doc);
+		}
+	}
+	return parts.join('\n\n');
+}
@@ -0,0 +1,366 @@
+/**
+ * Schemas of the imports Terraform Cloud and Enterprise provide to policy
+ * checks (`tfplan/v2`, `tfconfig/v2`, `tfstate/v2` and `tfrun`), and
+ * resolution of policy expressions such as
+ * `tfplan.resource_changes[address].change.after` to the part of a schema they
+ * denote.
+ */
+import * as ast from './ast';
+import { Binding, SentinelSymbol } from './binder';
+
+export interface SchemaNode {
+	type: 'object' | 'map' | 'list' | 'string' | 'number' | 'bool' | 'any';
+	description: string;
+	/** The known keys of an object. */
+	fields?: Record<string, SchemaNode>;
+	/** The values of a map or list. */
+	elements?: SchemaNode;
+}
+
+function object(description: string, fields: Record<string, SchemaNode>): SchemaNode {
+	return { type: 'object', description, fields };
+}
+
+function mapOf(description: string, elements: SchemaNode): SchemaNode {
+	return { type: 'map', description, elements };
+}
+
+function listOf(description: string, elements: SchemaNode): SchemaNode {
+	return { type: 'list', description, elements };
+}
+
+function string(description: string): SchemaNode {
+	return { type: 'string', description };
+}
+
+function bool(description: string): SchemaNode {
+	return { type: 'bool', description };
+}
+
+function any(description: string): SchemaNode {
+	return { type: 'any', description };
+}
+
+const ADDRESS = string('The absolute address of the resource, such as `module.network.aws_vpc.main[0]`.');
+const MODULE_ADDRESS = string('The address of the module containing the resource; empty for the root module.');
+const MODE = string('`managed` for resources, `data` for data sources.');
+const RESOURCE_TYPE = string('The resource type, such as `aws_instance`.');
+const RESOURCE_NAME = string('The resource name, as written in the configuration.');
+const INDEX = any('The `count` or `for_each` index of the resource instance, or null.');
+const PROVIDER_NAME = string('The fully qualified name of the provider, such as `registry.terraform.io/hashicorp/aws`.');
+
+const PLAN_RESOURCE = object('A resource instance with its planned values.', {
+	address: ADDRESS,
+	module_address: MODULE_ADDRESS,
+	mode: MODE,
+	type: RESOURCE_TYPE,
+	name: RESOURCE_NAME,
+	index: INDEX,
+	provider_name: PROVIDER_NAME,
+	values: any('The planned attribute values of the resource.'),
+	sensitive_values: any('Which attribute values are sensitive.'),
+	depends_on: listOf('Addresses of the resources this one depends on.', string('A resource address.')),
+	tainted: bool('True if the resource is tainted.'),
+	deposed_key: string('The deposed key, for deposed objects.')
+});
+
+const CHANGE = object('The change planned for a resource or output.', {
+	actions: listOf('The planned actions: `no-op`, `create`, `read`, `update` and/or `delete`.', string('An action.')),
+	before: any('The value before the change; null when creating.'),
+	after: any('The value after the change; null when deleting.'),
+	after_unknown: any('Which values of `after` are only known after apply.'),
+	before_sensitive: any('Which values of `before` are sensitive.'),
+	after_sensitive: any('Which values of `after` are sensitive.')
+});
+
+const RESOURCE_CHANGE = object('The planned change of a resource instance.', {
+	address: ADDRESS,
+	module_address: MODULE_ADDRESS,
+	mode: MODE,
+	type: RESOURCE_TYPE,
+	name: RESOURCE_NAME,
+	index: INDEX,
+	provider_name: PROVIDER_NAME,
+	deposed: string('The deposed key, if the change applies to a deposed object.'),
+	change: CHANGE
+});
+
+const TFPLAN_V2 = object('The Terraform plan.', {
+	terraform_version: string('The Terraform version used to create the plan.'),
+	variables: mapOf('The input variables of the run, by name.', object('An input variable.', {
+		name: string('The variable name.'),
+		value: any('The variable value.')
+	})),
+	planned_values: object('The planned state after apply.', {
+		outputs: mapOf('Planned outputs, by name.', object('A planned output.', {
+			name: string('The output name.'),
+			sensitive: bool('True if the output is sensitive.'),
+			value: any('The planned output value.')
+		})),
+		resources: mapOf('Planned resources, by address.', PLAN_RESOURCE)
+	}),
+	resource_changes: mapOf('The planned changes of resources, by address.', RESOURCE_CHANGE),
+	resource_drift: mapOf('Changes made outside Terraform since the last apply, by address.', RESOURCE_CHANGE),
+	output_changes: mapOf('The planned changes of outputs, by name.', CHANGE),
+	raw: any('The plan as JSON, for data not otherwise exposed by the import.')
+});
+
+const CONFIG_EXPRESSION = any('The expression as written: `constant_value` for constants, `references` for references to other values.');
+
+const TFCONFIG_V2 = object('The Terraform configuration of every module.', {
+	providers: mapOf('Provider configurations, by configuration key.', object('A provider configuration.', {
+		provider_config_key: string('The key of the provider configuration.'),
+		name: string('The provider name, such as `aws`.'),
+		full_name: string('The fully qualified provider name.'),
+		alias: string('The provider alias, if any.'),
+		module_address: MODULE_ADDRESS,
+		config: mapOf('The provider arguments, by name.', CONFIG_EXPRESSION),
+		version_constraint: string('The version constraint of the provider.')
+	})),
+	resources: mapOf('Resources and data sources, by address.', object('A resource in the configuration.', {
+		address: ADDRESS,
+		module_address: MODULE_ADDRESS,
+		mode: MODE,
+		type: RESOURCE_TYPE,
+		name: RESOURCE_NAME,
+		provider_config_key: string('The key of the provider configuration used.'),
+		provisioners: listOf('The provisioners of the resource.', any('A provisioner.')),
+		config: mapOf('The resource arguments, by name.', CONFIG_EXPRESSION),
+		count: CONFIG_EXPRESSION,
+		for_each: CONFIG_EXPRESSION,
+		depends_on: listOf('Explicit dependencies of the resource.', string('A reference.'))
+	})),
+	provisioners: mapOf('Provisioners, by address.', object('A provisioner.', {
+		address: string('The address of the provisioner.'),
+		type: string('The provisioner type, such as `local-exec`.'),
+		index: string('The position of the provisioner in its resource.'),
+		resource_address: string('The address of the resource.'),
+		config: mapOf('The provisioner arguments, by name.', CONFIG_EXPRESSION)
+	})),
+	variables: mapOf('Input variable declarations, by address.', object('A variable declaration.', {
+		address: string('The address of the variable.'),
+		module_address: MODULE_ADDRESS,
+		name: string('The variable name.'),
+		default: any('The default value, if any.'),
+		description: string('The description of the variable.')
+	})),
+	outputs: mapOf('Output declarations, by address.', object('An output declaration.', {
+		address: string('The address of the output.'),
+		module_address: MODULE_ADDRESS,
+		name: string('The output name.'),
+		sensitive: bool('True if the output is sensitive.'),
+		value: CONFIG_EXPRESSION,
+		description: string('The description of the output.'),
+		depends_on: listOf('Explicit dependencies of the output.', string('A reference.'))
+	})),
+	module_calls: mapOf('Module calls, by address.', object('A module call.', {
+		address: string('The address of the module call.'),
+		module_address: MODULE_ADDRESS,
+		name: string('The name of the module call.'),
+		source: string('The module source.'),
+		config: mapOf('The module arguments, by name.', CONFIG_EXPRESSION),
+		count: CONFIG_EXPRESSION,
+		for_each: CONFIG_EXPRESSION,
+		depends_on: listOf('Explicit dependencies of the module call.', string('A reference.')),
+		version_constraint: string('The version constraint of the module.')
+	}))
+});
+
+const TFSTATE_V2 = object('The Terraform state before the run.', {
+	terraform_version: string('The Terraform version that wrote the state.'),
+	outputs: mapOf('Root module outputs, by name.', object('An output.', {
+		name: string('The output name.'),
+		sensitive: bool('True if the output is sensitive.'),
+		value: any('The output value.')
+	})),
+	resources: mapOf('Resources in the state, by address.', PLAN_RESOURCE)
+});
+
+const TFRUN = object('Metadata of the run being checked.', {
+	id: string('The run ID.'),
+	created_at: string('When the run was created, in RFC 3339 format.'),
+	created_by: string('The user name of the user who created the run.'),
+	message: string('The run message.'),
+	commit_sha: string('The SHA of the commit that triggered the run, if any.'),
+	is_destroy: bool('True for destroy runs.'),
+	refresh: bool('True if the state is refreshed before planning.'),
+	refresh_only: bool('True for refresh-only runs.'),
+	replace_addrs: listOf('Addresses of resources forced to be replaced.', string('A resource address.')),
+	speculative: bool('True for plan-only runs.'),
+	target_addrs: listOf('Addresses of resources targeted by the run.', string('A resource address.')),
+	variables: mapOf('The run variables, by name.', object('A run variable.', {
+		category: string('`terraform` or `env`.'),
+		sensitive: bool('True if the variable is sensitive.')
+	})),
+	organization: object('The organization of the workspace.', {
+		name: string('The organization name.')
+	}),
+	project: object('The project of the workspace.', {
+		id: string('The project ID.'),
+		name: string('The project name.')
+	}),
+	workspace: object('The workspace of the run.', {
+		id: string('The workspace ID.'),
+		name: string('The workspace name.'),
+		created_at: string('When the workspace was created, in RFC 3339 format.'),
+		description: string('The workspace description.'),
+		execution_mode: string('`remote`, `local` or `agent`.'),
+		auto_apply: bool('True if successful plans are applied automatically.'),
+		tags: listOf('The workspace tags.', string('A tag.')),
+		working_directory: string('The working directory of Terraform runs.'),
+		vcs_repo: object('The VCS repository connected to the workspace, or null.', {
+			identifier: string('The repository identifier, such as `org/repo`.'),
+			display_identifier: string('The repository name as displayed.'),
+			branch: string('The tracked branch.'),
+			ingress_submodules: bool('True if submodules are fetched.')
+		})
+	}),
+	cost_estimate: object('The cost estimate of the run, if cost estimation is enabled.', {
+		prior_monthly_cost: string('The monthly cost before the run.'),
+		proposed_monthly_cost: string('The monthly cost after the run.'),
+		delta_monthly_cost: string('The change of the monthly cost.')
+	})
+});
+
+export const TERRAFORM_SCHEMAS: Readonly<Record<string, SchemaNode>> = {
+	'tfplan/v2': TFPLAN_V2,
+	'tfconfig/v2': TFCONFIG_V2,
+	'tfstate/v2': TFSTATE_V2,
+	'tfrun': TFRUN
+};
+
+/** A step from a value to one of its parts: `.name` or `[index]`. */
+export type PathStep = { kind: 'field'; name: string } | { kind: 'index' };
+
+/**
+ * The schema reached by following `step` from `node`. Selecting a name from a
+ * map, as in `tfplan.variables.region`, looks up a key like indexing does.
+ */
+export function stepInto(node: SchemaNode, step: PathStep): SchemaNode | undefined {
+	if (step.kind === 'field' && node.type !== 'map') {
+		return node.fields?.[step.name];
+	}
+	return node.elements;
+}
+
+/** A value reached from an import by a sequence of steps, such as `tfplan.resource_changes[k].change`. */
+export interface AccessPath {
+	importPath: string;
+	steps: PathStep[];
+}
+
+/** The schema at the end of `path`, if the import is a Terraform import the schemas describe. */
+export function schemaAt(path: AccessPath): SchemaNode | undefined {
+	let node: SchemaNode | undefined = TERRAFORM_SCHEMAS[path.importPath];
+	for (const step of path.steps) {
+		node = node && stepInto(node, step);
+	}
+	return node;
+}
+
+function extend(path: AccessPath | undefined, step: PathStep): AccessPath | undefined {
+	return path && { importPath: path.importPath, steps: [...path.steps, step] };
+}
+
+const MAX_DEPTH = 16;
+
+/** The path of the value bound by a loop, quantifier or comprehension binding; keys have none. */
+function pathOfBinding(binding: Binding, symbol: SentinelSymbol, depth: number): AccessPath | undefined {
+	const node = symbol.node;
+	if (node.type !== 'QuantifierExpression' && node.type !== 'ComprehensionExpression' && node.type !== 'ForStatement') {
+		return undefined;
+	}
+	const collection = accessPathOf(binding, node.collection, depth + 1);
+	const isKey = node.key === symbol.declaration || (!node.key && collection && schemaAt(collection)?.type === 'map');
+	return isKey ? undefined : extend(collection, { kind: 'index' });
+}
+
+function pathOfSymbol(binding: Binding, symbol: SentinelSymbol, depth: number): AccessPath | undefined {
+	switch (symbol.kind) {
+		case 'import':
+			return symbol.node.type === 'ImportDeclaration' ? { importPath: symbol.node.path.value, steps: [] } : undefined;
+		case 'binding':
+			return pathOfBinding(binding, symbol, depth);
+		case 'variable':
+			// Only follow variables that are never reassigned.
+			return symbol.node.type === 'Assignment' && !symbol.references.some(r => binding.writes.has(r))
+				? accessPathOf(binding, symbol.node.value, depth + 1)
+				: undefined;
+		default:
+			return undefined;
+	}
+}
+
+/**
+ * Resolves an expression to the import value it denotes, following member and
+ * index access, quantifier bindings, `filter` results and variables that are
+ * assigned once.
+ */
+export function accessPathOf(binding: Binding, expression: ast.Expression, depth = 0): AccessPath | undefined {
+	if (depth > MAX_DEPTH) {
+		return undefined;
+	}
+	switch (expression.type) {
+		case 'Identifier': {
+			const symbol = binding.resolved.get(expression);
+			return symbol && pathOfSymbol(binding, symbol, depth);
+		}
+		case 'ParenthesizedExpression':
+			return accessPathOf(binding, expression.expression, depth + 1);
+		case 'MemberExpression':
+			return extend(accessPathOf(binding, expression.object, depth + 1), { kind: 'field', name: expression.property.name });
+		case 'IndexExpression':
+			return extend(accessPathOf(binding, expression.object, depth + 1), { kind: 'index' });
+		case 'QuantifierExpression':
+			// `filter` keeps the shape of its collection.
+			return expression.quantifier === 'filter' ? accessPathOf(binding, expression.collection, depth + 1) : undefined;
+		case 'BinaryExpression':
+			return expression.operator === 'else' ? accessPathOf(binding, expression.left, depth + 1) : undefined;
+		default:
+			return undefined;
+	}
+}
+
+/** The path of a symbol's value, such as a quantifier binding. */
+export function accessPathOfSymbol(binding: Binding, symbol: SentinelSymbol): AccessPath | undefined {
+	return pathOfSymbol(binding, symbol, 0);
+}
+
+/** Resolves an expression to the Terraform schema node of its value. */
+export function schemaOf(binding: Binding, expression: ast.Expression): SchemaNode | undefined {
+	const path = accessPathOf(binding, expression);
+	return path && schemaAt(path);
+}
+
+/** Renders a schema node's type for display, e.g. `map of object`. */
+export function describeType(node: SchemaNode): string {
+	return node.elements ? `${node.type} of ${describeType(node.elements)}` : node.type;
+}
+
+function editDistance(a: string, b: string): number {
+	const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+	for (let i = 1; i <= a.length; i++) {
+		let diagonal = previous[0];
+		previous[0] = i;
+		for (let j = 1; j <= b.length; j++) {
+			const above = previous[j];
+			previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+			diagonal = above;
+		}
+	}
+	return previous[b.length];
+}
+
+/** The known name closest to `name`, if it is close enough to be a likely misspelling. */
+export function closestName(name: string, candidates: Iterable<string>): string | undefined {
+	let best: string | undefined;
+	let bestDistance = Math.max(2, Math.floor(name.length / 3)) + 1;
+	for (const candidate of candidates) {
+		const distance = editDistance(name, candidate);
+		if (distance < bestDistance) {
+			best = candidate;
+			bestDistance = distance;
+		}
+	}
+	return best;
+}
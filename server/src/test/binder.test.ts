@@ -0,0 +1,60 @@
+import * as assert from 'assert';
+import * as ast from '../ast';
+import { Binding, bind, scopeAt, visibleSymbols } from '../binder';
+import { parse } from '../parser';
+
+function bindText(text: string): Binding {
+	return bind(parse(text).program);
+}
+
+/** The symbol the `nth` occurrence of `name` in `text` resolves to. */
+function symbolAt(binding: Binding, text: string, name: string, nth = 0) {
+	let offset = -1;
+	for (let i = 0; i <= nth; i++) {
+		offset = text.indexOf(name, offset + 1);
+	}
+	const identifier = [...binding.resolved.keys()].find((id: ast.Identifier) => id.start === offset);
+	return identifier && binding.resolved.get(identifier);
+}
+
+suite('binder', () => {
+	test('declares symbols of each kind', () => {
+		const binding = bindText('import "strings"\nparam p\nfunc f(a) { return a }\nr = rule { true }\nv = 1\ng = func() { return 1 }');
+		const kinds = Object.fromEntries(binding.globalScope.symbols);
+		assert.deepStrictEqual(Object.fromEntries(Object.entries(kinds).map(([name, symbol]) => [name, symbol.kind])), {
+			strings: 'import', p: 'param', f: 'func', r: 'rule', v: 'variable', g: 'func'
+		});
+	});
+
+	test('resolves references to top-level symbols declared later', () => {
+		const text = 'main = rule { helper }\nhelper = rule { true }';
+		const binding = bindText(text);
+		const symbol = symbolAt(binding, text, 'helper');
+		assert.strictEqual(symbol?.kind, 'rule');
+		assert.strictEqual(symbol?.references.length, 1);
+		assert.deepStrictEqual(binding.unresolved, []);
+	});
+
+	test('lets locals shadow globals', () => {
+		const text = 'x = 1\nfunc f(x) { return x }\ny = x';
+		const binding = bindText(text);
+		assert.strictEqual(symbolAt(binding, text, 'x', 2)?.kind, 'parameter');
+		assert.strictEqual(symbolAt(binding, text, 'x', 3)?.kind, 'variable');
+	});
+
+	test('scopes quantifier bindings to their body', () => {
+		const text = 'ok = all items as v { v > 0 }\nitems = []\nz = v';
+		const binding = bindText(text);
+		assert.strictEqual(symbolAt(binding, text, 'v', 1)?.kind, 'binding');
+		assert.deepStrictEqual(binding.unresolved.map(id => id.name), ['v']);
+		const inside = visibleSymbols(scopeAt(binding, text.indexOf('v >'))).map(s => s.name);
+		assert.ok(inside.includes('v') && inside.includes('items'));
+	});
+
+	test('records builtins, writes and duplicates', () => {
+		const binding = bindText('n = length([])\nn += 1\nr = rule { true }\nr = rule { false }');
+		assert.deepStrictEqual(binding.builtins.map(id => id.name), ['length']);
+		assert.deepStrictEqual([...binding.writes].map(id => id.name), ['n', 'r']);
+		assert.strictEqual(binding.duplicates.length, 1);
+	});
+});
@@ -0,0 +1,68 @@
+import * as assert from 'assert';
+import { CompletionItem, TextEdit } from 'vscode-languageserver/node';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import { provideCompletion } from '../completion';
+
+let documents = 0;
+
+/** Completes at the `|` in `text`, returning the document and the items. */
+function complete(text: string): { document: TextDocument; items: CompletionItem[] } {
+	const offset = text.indexOf('|');
+	const document = TextDocument.create(`file:///completion/${documents++}.sentinel`, 'sentinel', 1, text.replace('|', ''));
+	return { document, items: provideCompletion(document, document.positionAt(offset)) };
+}
+
+/** The text after accepting the item labelled `label`. */
+function accept(document: TextDocument, items: CompletionItem[], label: string): string {
+	const item = items.find(i => i.label === label);
+	assert.ok(item?.textEdit, `no edit for ${label}`);
+	return TextDocument.applyEdits(document, [item.textEdit as TextEdit]);
+}
+
+suite('completion', () => {
+	test('completes import paths inside an import statement', () => {
+		const { document, items } = complete('import "tfp|');
+		assert.strictEqual(accept(document, items, 'tfplan/v2'), 'import "tfplan/v2');
+	});
+
+	test('inserts a whole import statement for import paths at the start of a statement', () => {
+		const { document, items } = complete('import "strings"\ntfp|\n\nx = 1');
+		assert.strictEqual(accept(document, items, 'tfplan/v2'), 'import "strings"\nimport "tfplan/v2"\n\nx = 1');
+		const empty = complete('|');
+		assert.strictEqual(accept(empty.document, empty.items, 'strings'), 'import "strings"');
+	});
+
+	test('offers no import paths where an expression is expected', () => {
+		assert.ok(!complete('x = |').items.some(item => item.label === 'tfplan/v2'));
+	});
+
+	test('offers each snippet once, in place of its keyword', () => {
+		for (const text of ['|', 'x = |']) {
+			const labels = complete(text).items.map(item => item.label);
+			assert.deepStrictEqual(labels.filter((label, i) => labels.indexOf(label) !== i), [], text);
+		}
+		const { items } = complete('x = |');
+		assert.strictEqual(items.find(item => item.label === 'all')?.insertText, 'all ${1:collection} as _, ${2:v} {\n\t$0\n}');
+	});
+
+	test('offers declaration snippets and keywords only at the top level', () => {
+		const topLevel = ['rule', 'param', 'func', 'tfplan policy'];
+		const labels = (text: string) => complete(text).items.map(item => item.label);
+		for (const text of ['|', 'x = 1\n|', 'x = 1\nf|']) {
+			assert.deepStrictEqual(topLevel.filter(label => labels(text).includes(label)), topLevel, text);
+		}
+		for (const text of ['func f() {\n\t|', 'func f() {\n\t|\n}', 'if true {\n\t|\n}', 'func f() {\n\tfor [] as v {\n\t\tp|\n\t}\n}']) {
+			const nested = labels(text);
+			assert.deepStrictEqual(topLevel.filter(label => nested.includes(label)), [], text);
+			assert.ok(nested.includes('all') && nested.includes('return'), text);
+		}
+	});
+
+	test('offers import statements only before the other statements', () => {
+		const hasImports = (text: string) => complete(text).items.some(item => item.label === 'tfplan/v2' || item.label === 'import');
+		assert.ok(hasImports('import "strings"\n|'));
+		for (const text of ['x = 1\n|', 'func f() {\n\t|\n}', 'func f() {\n\t|', 'r = rule {\n\t|\n}', 'if true {\n\tt|\n}']) {
+			assert.ok(!hasImports(text), text);
+		}
+	});
+});
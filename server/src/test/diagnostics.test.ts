@@ -0,0 +1,22 @@
+import * as assert from 'assert';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import { styleDiagnostics } from '../diagnostics';
+import { parse } from '../parser';
+
+let documents = 0;
+
+/** The text of the operators `styleDiagnostics` hints at in `text`. */
+function hinted(text: string): string[] {
+	const document = TextDocument.create(`file:///diagnostics/${documents++}.sentinel`, 'sentinel', 1, text);
+	return styleDiagnostics(document, parse(text).program).map(diagnostic => document.getText(diagnostic.range));
+}
+
+suite('style diagnostics', () => {
+	test('prefers is to == and != against string, bool and null literals', () => {
+		assert.deepStrictEqual(hinted('a = x == "managed"\nb = "create" != y\nc = x == (true)\nd = x != null'), ['==', '!=', '==', '!=']);
+	});
+
+	test('leaves comparisons of numbers and computed values alone', () => {
+		assert.deepStrictEqual(hinted('a = x == 1\nb = length(y) != 0\nc = f(x) == g(y)\nd = x is "managed"'), []);
+	});
+});
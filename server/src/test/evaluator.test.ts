@@ -0,0 +1,94 @@
+import * as assert from 'assert';
+import { EvaluationResult, evaluatePolicy } from '../evaluator';
+import { parse } from '../parser';
+import { Value, formatValue } from '../runtimeValues';
+
+function run(text: string): EvaluationResult {
+	return evaluatePolicy(parse(text), { rules: ['r'] });
+}
+
+/** The value of `expression`, evaluated as the body of a rule. */
+function valueOf(expression: string, declarations = ''): Value {
+	const outcome = run(`${declarations}\nr = rule { ${expression} }\nmain = rule { true }`);
+	assert.strictEqual(outcome.error, undefined, outcome.error?.message);
+	return outcome.rules.find(rule => rule.name === 'r')!.value;
+}
+
+/** The printed form of the value of `expression`. */
+function show(expression: string, declarations = ''): string {
+	return formatValue(valueOf(expression, declarations));
+}
+
+suite('evaluator', () => {
+	test('propagates undefined through selectors, operators and calls', () => {
+		const m = 'm = {"a": {"b": 1}}';
+		assert.strictEqual(valueOf('m.a.b', m), 1n);
+		assert.strictEqual(valueOf('m.x.y', m), undefined);
+		assert.strictEqual(valueOf('m.x + 1', m), undefined);
+		assert.strictEqual(valueOf('m.x > 1', m), undefined);
+		assert.strictEqual(valueOf('not m.x', m), undefined);
+	});
+
+	test('lets a deciding operand win over undefined', () => {
+		assert.strictEqual(valueOf('undefined or true'), true);
+		assert.strictEqual(valueOf('undefined and false'), false);
+		assert.strictEqual(valueOf('undefined or false'), undefined);
+		assert.strictEqual(valueOf('undefined and true'), undefined);
+		assert.strictEqual(valueOf('false or undefined'), undefined);
+		assert.strictEqual(valueOf('true and undefined'), undefined);
+		assert.strictEqual(valueOf('undefined xor true'), undefined);
+	});
+
+	test('replaces undefined with the else operand', () => {
+		const m = 'm = {"a": 1}';
+		assert.strictEqual(valueOf('m.a else 2', m), 1n);
+		assert.strictEqual(valueOf('m.b else 2', m), 2n);
+		assert.strictEqual(show('m.b.c else {}', m), '{}');
+		assert.strictEqual(valueOf('m.b else m.c else 3', m), 3n);
+		// Only undefined is replaced, not null or false.
+		assert.strictEqual(valueOf('null else 1'), null);
+		assert.strictEqual(valueOf('false else true'), false);
+	});
+
+	test('short-circuits and and or', () => {
+		assert.strictEqual(valueOf('true or error("not evaluated")'), true);
+		assert.strictEqual(valueOf('false and error("not evaluated")'), false);
+		// An undefined left operand does not decide the result, so the right one runs.
+		assert.ok(run('r = rule { undefined and error("evaluated") }\nmain = rule { true }').error?.message.includes('evaluated'));
+	});
+
+	test('evaluates quantifiers over lists and maps', () => {
+		const values = 'l = [1, 2, 3]\nm = {"a": 1, "b": 5}';
+		assert.strictEqual(valueOf('all l as v { v > 0 }', values), true);
+		assert.strictEqual(valueOf('any l as v { v > 2 }', values), true);
+		assert.strictEqual(valueOf('all [] as v { false }'), true);
+		assert.strictEqual(valueOf('any [] as v { true }'), false);
+		assert.strictEqual(valueOf('all m as k, v { v < 5 }', values), false);
+		assert.strictEqual(show('filter l as v { v != 2 }', values), '[1, 3]');
+		assert.strictEqual(show('filter m as k, v { v > 1 }', values), '{"b": 5}');
+		assert.strictEqual(show('map l as v { v * 2 }', values), '[2, 4, 6]');
+	});
+
+	test('propagates undefined out of quantifiers', () => {
+		assert.strictEqual(valueOf('all l as v { v.x > 0 }', 'l = [{"x": 1}, {}]'), undefined);
+		assert.strictEqual(valueOf('any l as v { v.x > 0 }', 'l = [{"x": 1}, {}]'), true);
+	});
+
+	test('evaluates rules lazily', () => {
+		const outcome = run('unused = rule { print("unused") }\nused = rule { print("used") }\nmain = rule { used }');
+		assert.deepStrictEqual(outcome.prints, ['used']);
+		assert.deepStrictEqual(outcome.rules.map(rule => [rule.name, rule.evaluated]), [['unused', false], ['used', true], ['main', true]]);
+	});
+
+	test('reports an undefined main and runtime errors', () => {
+		assert.strictEqual(run('m = {}\nmain = rule { m.x }').result, undefined);
+		assert.strictEqual(run('main = rule { 1 / 0 > 1 }').error !== undefined, true);
+	});
+
+	test('reports invalid int literals instead of throwing', () => {
+		assert.strictEqual(run('main = rule { 09 > 1 }').error?.message, "Invalid octal literal '09'.");
+		// The evaluator does not rely on the syntax error being reported first.
+		const outcome = evaluatePolicy({ ...parse('main = rule { 09 > 1 }'), errors: [] });
+		assert.strictEqual(outcome.error?.message, "Invalid int literal '09'.");
+	});
+});
@@ -0,0 +1,51 @@
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as path from 'path';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import { formatDocument } from '../formatter';
+import { tokenize } from '../lexer';
+
+/** Pairs of `<name>.input.sentinel` and the `<name>.expected.sentinel` it formats to. */
+const FIXTURES = path.join(__dirname, '..', '..', 'src', 'test', 'fixtures', 'format');
+
+let documents = 0;
+
+function format(text: string, range?: { start: { line: number; character: number }; end: { line: number; character: number } }): string {
+	const document = TextDocument.create(`file:///format/${documents++}.sentinel`, 'sentinel', 1, text);
+	return TextDocument.applyEdits(document, formatDocument(document, range));
+}
+
+function commentsOf(text: string): string[] {
+	return tokenize(text).comments.map(comment => comment.text);
+}
+
+suite('formatter', () => {
+	for (const file of fs.readdirSync(FIXTURES).filter(name => name.endsWith('.input.sentinel'))) {
+		const name = file.slice(0, -'.input.sentinel'.length);
+		const input = fs.readFileSync(path.join(FIXTURES, file), 'utf8');
+		const expected = fs.readFileSync(path.join(FIXTURES, `${name}.expected.sentinel`), 'utf8');
+
+		test(`formats ${name}`, () => {
+			assert.strictEqual(format(input), expected);
+		});
+
+		test(`is idempotent on ${name}`, () => {
+			const once = format(input);
+			assert.strictEqual(format(once), once);
+			assert.strictEqual(format(expected), expected);
+		});
+
+		test(`keeps every comment of ${name}`, () => {
+			assert.deepStrictEqual(commentsOf(format(input)), commentsOf(input));
+		});
+	}
+
+	test('formats only the lines of a range', () => {
+		const text = 'a=1\nb=2\nc=3\n';
+		assert.strictEqual(format(text, { start: { line: 1, character: 0 }, end: { line: 1, character: 3 } }), 'a=1\nb = 2\nc=3\n');
+	});
+
+	test('leaves documents with syntax errors untouched', () => {
+		assert.strictEqual(format('x =  \ny=(1'), 'x =  \ny=(1');
+	});
+});
@@ -0,0 +1,44 @@
+import * as assert from 'assert';
+import { tokenize } from '../lexer';
+
+suite('lexer', () => {
+	test('classifies tokens', () => {
+		const { tokens, errors } = tokenize('x = rule { 1.5 + 2 >= y }');
+		assert.deepStrictEqual(errors, []);
+		assert.deepStrictEqual(tokens.map(t => [t.kind, t.text]), [
+			['ident', 'x'], ['punct', '='], ['keyword', 'rule'], ['punct', '{'], ['float', '1.5'],
+			['punct', '+'], ['int', '2'], ['punct', '>='], ['ident', 'y'], ['punct', '}'], ['eof', '']
+		]);
+	});
+
+	test('decodes strings and keeps their raw text', () => {
+		const [token] = tokenize('"a\\n\\"b\\""').tokens;
+		assert.strictEqual(token.kind, 'string');
+		assert.strictEqual(token.text, '"a\\n\\"b\\""');
+		assert.strictEqual(token.value, 'a\n"b"');
+	});
+
+	test('marks tokens that follow a line break', () => {
+		const { tokens } = tokenize('a\nb c');
+		assert.deepStrictEqual(tokens.slice(0, 3).map(t => t.newlineBefore), [false, true, false]);
+	});
+
+	test('collects comments apart from tokens', () => {
+		const { tokens, comments } = tokenize('// one\na /* two */ # three');
+		assert.deepStrictEqual(tokens.map(t => t.text), ['a', '']);
+		assert.deepStrictEqual(comments.map(c => [c.kind, c.text]), [['line', '// one'], ['block', '/* two */'], ['line', '# three']]);
+	});
+
+	test('reports malformed input without throwing', () => {
+		const { tokens, errors } = tokenize('a @ "open');
+		assert.ok(tokens.some(t => t.kind === 'invalid'));
+		assert.strictEqual(errors.length, 2);
+	});
+
+	test('reports int literals with invalid digits', () => {
+		assert.deepStrictEqual(tokenize('a = 09 + 017 + 0x + 0x1F + 09.5').errors.map(e => e.message), [
+			"Invalid octal literal '09'.",
+			"Invalid hexadecimal literal '0x'."
+		]);
+	});
+});
@@ -0,0 +1,41 @@
+import * as assert from 'assert';
+import * as path from 'path';
+import { mockValuesAt } from '../mockData';
+import { loadConfig, removeConfig } from '../sentinelConfig';
+import { pathToUri } from '../util';
+
+const DIRECTORY = path.join(path.sep, 'mock-data-test');
+const CONFIG = pathToUri(path.join(DIRECTORY, 'sentinel.hcl'));
+const POLICY = pathToUri(path.join(DIRECTORY, 'policy.sentinel'));
+
+suite('mock data', () => {
+	suiteSetup(() => {
+		loadConfig(CONFIG, `mock "tfplan/v2" {
+	data = {
+		resource_changes = {
+			"aws_instance.web" = { type = "aws_instance", change = { after = { ami = "ami-1" } } }
+			"aws_s3_bucket.logs" = { type = "aws_s3_bucket", change = { after = { acl = "private" } } }
+		}
+	}
+}
+`);
+	});
+
+	suiteTeardown(() => {
+		removeConfig(CONFIG);
+	});
+
+	test('follows fields and indexes through the mock', () => {
+		const values = mockValuesAt(POLICY, {
+			importPath: 'tfplan/v2',
+			steps: [{ kind: 'field', name: 'resource_changes' }, { kind: 'index' }, { kind: 'field', name: 'type' }]
+		});
+		assert.deepStrictEqual(values, ['aws_instance', 'aws_s3_bucket']);
+	});
+
+	test('finds nothing for keys the mock does not have', () => {
+		for (const name of ['missing', 'toString', 'constructor', '__proto__', 'hasOwnProperty']) {
+			assert.deepStrictEqual(mockValuesAt(POLICY, { importPath: 'tfplan/v2', steps: [{ kind: 'field', name }] }), [], name);
+		}
+	});
+});
@@ -0,0 +1,82 @@
+import * as assert from 'assert';
+import * as ast from '../ast';
+import { parse } from '../parser';
+
+/** Parses `text`, asserting that it has no syntax errors. */
+function parseClean(text: string): ast.Program {
+	const { program, errors } = parse(text);
+	assert.deepStrictEqual(errors.map(e => e.message), []);
+	return program;
+}
+
+/** The value assigned by the first statement of `text`. */
+function valueOf(text: string): ast.Expression {
+	const statement = parseClean(text).body[0];
+	assert.strictEqual(statement.type, 'Assignment');
+	return (statement as ast.Assignment).value;
+}
+
+suite('parser', () => {
+	test('parses declarations', () => {
+		const program = parseClean('import "strings" as s\nparam limit default 3\nfunc f(a, b) { return a }\nmain = rule when true { f(1, 2) }');
+		assert.deepStrictEqual(program.body.map(s => s.type), ['ImportDeclaration', 'ParamDeclaration', 'FuncDeclaration', 'Assignment']);
+	});
+
+	test('gives operators their precedence', () => {
+		const value = valueOf('x = a or b and c + 1 * 2 > 3') as ast.BinaryExpression;
+		assert.strictEqual(value.operator, 'or');
+		const right = value.right as ast.BinaryExpression;
+		assert.strictEqual(right.operator, 'and');
+		const comparison = right.right as ast.BinaryExpression;
+		assert.strictEqual(comparison.operator, '>');
+		assert.strictEqual((comparison.left as ast.BinaryExpression).operator, '+');
+	});
+
+	test('parses negated and two-keyword operators', () => {
+		assert.strictEqual((valueOf('x = a is not b') as ast.BinaryExpression).operator, 'is not');
+		assert.strictEqual((valueOf('x = a not contains b') as ast.BinaryExpression).operator, 'not contains');
+	});
+
+	test('parses else with a map or list default', () => {
+		for (const [text, type] of [['x = a.b else {}', 'MapLiteral'], ['x = a.b else []', 'ListLiteral'], ['x = a else {"k": 1}', 'MapLiteral']]) {
+			const value = valueOf(text) as ast.BinaryExpression;
+			assert.strictEqual(value.operator, 'else', text);
+			assert.strictEqual(value.right.type, type, text);
+		}
+	});
+
+	test('leaves the else of an if statement to the statement', () => {
+		const [statement] = parseClean('if a else b {\n} else {\n}\n').body as ast.IfStatement[];
+		assert.strictEqual(statement.type, 'IfStatement');
+		assert.strictEqual((statement.test as ast.BinaryExpression).operator, 'else');
+		assert.strictEqual(statement.alternate?.type, 'Block');
+		const [chain] = parseClean('if a {} else if b {} else {}').body as ast.IfStatement[];
+		assert.strictEqual(chain.alternate?.type, 'IfStatement');
+		assert.strictEqual((chain.alternate as ast.IfStatement).alternate?.type, 'Block');
+	});
+
+	test('leaves the else clause of a case statement to the statement', () => {
+		const [statement] = parseClean('case x {\nwhen 1:\n\ty = a\nelse:\n\ty = b\n}').body as ast.CaseStatement[];
+		assert.deepStrictEqual(statement.clauses.map(c => c.isElse), [false, true]);
+	});
+
+	test('parses quantifiers and comprehensions', () => {
+		const quantifier = valueOf('x = all items as k, v { v > 1 }') as ast.QuantifierExpression;
+		assert.strictEqual(quantifier.type, 'QuantifierExpression');
+		assert.strictEqual(quantifier.quantifier, 'all');
+		assert.strictEqual(valueOf('x = [v for items as v]').type, 'ComprehensionExpression');
+	});
+
+	test('recovers from errors at the next statement', () => {
+		const { program, errors } = parse('x = \ny = 1 +\nz = 2');
+		assert.ok(errors.length > 0);
+		const names = program.body.filter((s): s is ast.Assignment => s.type === 'Assignment').map(s => (s.target as ast.Identifier).name);
+		assert.ok(names.includes('z'));
+	});
+
+	test('reports invalid octal literals as syntax errors', () => {
+		const { program, errors } = parse('x = 09');
+		assert.deepStrictEqual(errors.map(e => e.message), ["Invalid octal literal '09'."]);
+		assert.strictEqual(program.body[0].type, 'Assignment');
+	});
+});
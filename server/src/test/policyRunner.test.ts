@@ -0,0 +1,117 @@
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import { runTestCase } from '../policyRunner';
+import { pathToUri } from '../util';
+import { getIndexedFile, indexFromDisk } from '../workspaceIndex';
+
+const POLICY = `import "inventory"
+param size default 1
+is_small = rule { size < limit }
+has_servers = rule { inventory.servers > 0 }
+main = rule { is_small and has_servers }
+`;
+
+suite('policy test cases', () => {
+	let directory: string;
+	let policy: TextDocument;
+
+	suiteSetup(() => {
+		directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sentinel-test-'));
+		policy = TextDocument.create(pathToUri(path.join(directory, 'policy.sentinel')), 'sentinel', 1, POLICY);
+	});
+
+	suiteTeardown(() => {
+		fs.rmSync(directory, { recursive: true, force: true });
+	});
+
+	/** Writes a test case and runs the policy against it. */
+	function run(name: string, text: string) {
+		const file = path.join(directory, `${name}.hcl`);
+		fs.writeFileSync(file, text);
+		return runTestCase(policy, pathToUri(file));
+	}
+
+	const SETUP = `
+mock "inventory" {
+	data = { servers = 2 }
+}
+global "limit" {
+	value = 10
+}
+param "size" {
+	value = 5
+}
+`;
+
+	test('expects main to be true without a test block', async () => {
+		const { expectations, evaluation } = await run('default', SETUP);
+		assert.strictEqual(evaluation.error, undefined);
+		assert.deepStrictEqual(expectations, [{ rule: 'main', expected: 'true', actual: 'true', passed: true }]);
+	});
+
+	test('uses the mocks, globals and params of the case', async () => {
+		const { expectations } = await run('override', `
+mock "inventory" {
+	data = { servers = 0 }
+}
+global "limit" {
+	value = 3
+}
+test {
+	rules = {
+		is_small    = true
+		has_servers = false
+	}
+}
+`);
+		// The default size of 1 is below the global limit of 3.
+		assert.deepStrictEqual(expectations.map(e => [e.rule, e.actual, e.passed]), [['is_small', 'true', true], ['has_servers', 'false', true]]);
+	});
+
+	test('compares every expected rule result', async () => {
+		const { expectations } = await run('mismatch', `${SETUP}
+test {
+	rules = {
+		main     = false
+		is_small = true
+		missing  = true
+	}
+}
+`);
+		assert.deepStrictEqual(expectations, [
+			{ rule: 'main', expected: 'false', actual: 'true', passed: false },
+			{ rule: 'is_small', expected: 'true', actual: 'true', passed: true },
+			{ rule: 'missing', expected: 'true', actual: undefined, passed: false }
+		]);
+	});
+
+	test('fails every expectation when the evaluation errors', async () => {
+		const { expectations, evaluation } = await run('no-mock', 'global "limit" {\n\tvalue = 10\n}\n');
+		assert.ok(evaluation.error?.message.includes('inventory'), evaluation.error?.message);
+		assert.deepStrictEqual(expectations, [{ rule: 'main', expected: 'true', actual: undefined, passed: false }]);
+	});
+
+	test('reports a test case that cannot be read', async () => {
+		const { expectations, evaluation } = await runTestCase(policy, pathToUri(path.join(directory, 'absent.hcl')));
+		assert.deepStrictEqual(expectations, []);
+		assert.ok(evaluation.error?.message.includes('ENOENT'), evaluation.error?.message);
+	});
+
+	test('runs the current contents of a policy that is not open', async () => {
+		const file = path.join(directory, 'closed.sentinel');
+		const uri = pathToUri(file);
+		const testCase = path.join(directory, 'closed.hcl');
+		fs.writeFileSync(testCase, '');
+		fs.writeFileSync(file, 'main = rule { false }\n');
+		await indexFromDisk(uri);
+		const before = await runTestCase(getIndexedFile(uri)!.document, pathToUri(testCase));
+		assert.strictEqual(before.expectations[0].passed, false);
+		fs.writeFileSync(file, 'main = rule { true }\n');
+		await indexFromDisk(uri);
+		const after = await runTestCase(getIndexedFile(uri)!.document, pathToUri(testCase));
+		assert.deepStrictEqual(after.expectations, [{ rule: 'main', expected: 'true', actual: 'true', passed: true }]);
+	});
+});
@@ -0,0 +1,52 @@
+import * as assert from 'assert';
+import { CodeAction, TextEdit } from 'vscode-languageserver/node';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import { provideRefactorings } from '../refactorings';
+
+let documents = 0;
+
+/**
+ * The refactorings offered for the text between `«` and `»` in `text`, or at
+ * `|`, each with the text it produces.
+ */
+function refactor(text: string): Map<string, string> {
+	const cursor = text.indexOf('|');
+	const start = cursor >= 0 ? cursor : text.indexOf('«');
+	const source = cursor >= 0 ? text.replace('|', '') : text.replace('«', '').replace('»', '');
+	const end = cursor >= 0 ? cursor : text.indexOf('»') - 1;
+	const document = TextDocument.create(`file:///refactor/${documents++}.sentinel`, 'sentinel', 1, source);
+	const actions: CodeAction[] = provideRefactorings(document, { start: document.positionAt(start), end: document.positionAt(end) });
+	return new Map(actions.map(action => [action.title, TextDocument.applyEdits(document, action.edit!.changes![document.uri] as TextEdit[])]));
+}
+
+suite('refactorings', () => {
+	test('extracts an expression into a rule', () => {
+		const result = refactor('limit = 3\nmain = rule { «length([]) < limit» }\n');
+		assert.strictEqual(result.get("Extract to rule 'new_rule'"), 'limit = 3\nnew_rule = rule {\n\tlength([]) < limit\n}\n\nmain = rule { new_rule }\n');
+	});
+
+	test('passes shadowing locals to an extracted function', () => {
+		// `limit` in the function is its parameter, not the global, and must stay so.
+		const result = refactor('limit = 3\nfunc f(limit) {\n\treturn «limit + 1»\n}\n');
+		assert.strictEqual(result.get("Extract to function 'new_func'"),
+			'limit = 3\nfunc new_func(limit) {\n\treturn limit + 1\n}\n\nfunc f(limit) {\n\treturn new_func(limit)\n}\n');
+		assert.ok(!result.has("Extract to rule 'new_rule'"));
+	});
+
+	test('inlines a rule used once', () => {
+		const result = refactor('small = rule { 1 < 2 }\nmain = rule { |small and true }\n');
+		assert.strictEqual(result.get("Inline rule 'small'"), 'main = rule { (1 < 2) and true }\n');
+	});
+
+	test('does not inline a rule whose names a local would shadow at the use', () => {
+		// Inlined into `f`, `limit` would refer to the parameter instead of the global.
+		const text = 'limit = 3\nsmall = rule { limit > 1 }\nfunc f(limit) {\n\treturn |small\n}\n';
+		assert.ok(!refactor(text).has("Inline rule 'small'"));
+		assert.ok(refactor(text.replace('f(limit)', 'f(max)')).has("Inline rule 'small'"));
+	});
+
+	test('does not inline a rule whose builtins a local would shadow at the use', () => {
+		const text = 'ok = rule { length([]) is 0 }\nfunc f(length) {\n\treturn |ok\n}\n';
+		assert.ok(!refactor(text).has("Inline rule 'ok'"));
+	});
+});
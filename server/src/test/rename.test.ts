@@ -0,0 +1,59 @@
+import * as assert from 'assert';
+import { ResponseError, WorkspaceEdit } from 'vscode-languageserver/node';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import { provideRename } from '../rename';
+
+let documents = 0;
+
+/** Renames the symbol at the `nth` occurrence of the word `name` in `text`, returning the new text or the refusal. */
+function rename(text: string, name: string, newName: string, nth = 0): string {
+	const document = TextDocument.create(`file:///rename/${documents++}.sentinel`, 'sentinel', 1, text);
+	const offset = [...text.matchAll(new RegExp(`\\b${name}\\b`, 'g'))][nth].index!;
+	const result = provideRename(document, document.positionAt(offset), newName);
+	if (result instanceof ResponseError) {
+		return `error: ${result.message}`;
+	}
+	return TextDocument.applyEdits(document, (result as WorkspaceEdit).changes?.[document.uri] ?? []);
+}
+
+suite('rename', () => {
+	test('renames the declaration and every reference', () => {
+		assert.strictEqual(rename('a = 1\nb = a + a', 'a', 'count'), 'count = 1\nb = count + count');
+	});
+
+	test('renames only the symbol the cursor is on', () => {
+		const text = 'x = 1\nfunc f(x) { return x }\ny = x';
+		assert.strictEqual(rename(text, 'x', 'value', 1), 'x = 1\nfunc f(value) { return value }\ny = x');
+	});
+
+	test('lets a local shadow a global it does not use', () => {
+		const text = 'limit = 5\nfunc double(n) { return n * 2 }\nmain = rule { double(limit) > 1 }';
+		assert.strictEqual(rename(text, 'n', 'limit'), 'limit = 5\nfunc double(limit) { return limit * 2 }\nmain = rule { double(limit) > 1 }');
+		assert.strictEqual(rename('total = 0\nok = all [1] as v { v > 0 }', 'v', 'total'), 'total = 0\nok = all [1] as total { total > 0 }');
+	});
+
+	test('refuses when a local would capture a reference to a global', () => {
+		const text = 'limit = 5\nfunc over(n) { return n > limit }';
+		assert.match(rename(text, 'n', 'limit'), /^error: Renaming would make existing references to 'limit' refer to 'n'/);
+	});
+
+	test('refuses when a nearer declaration would capture a reference', () => {
+		const text = 'n = 1\nfunc f(limit) { return n + limit }';
+		assert.match(rename(text, 'n', 'limit'), /^error: 'limit' is already defined and visible where 'n' is used/);
+	});
+
+	test('refuses a name already declared in the same scope', () => {
+		assert.match(rename('a = 1\nb = 2', 'a', 'b'), /^error: 'b' is already defined in the same scope/);
+		assert.match(rename('func f(a, b) { return a }', 'a', 'b'), /^error: 'b' is already defined in the same scope/);
+	});
+
+	test('refuses to shadow a builtin where it is used', () => {
+		assert.match(rename('n = [1]\nc = length(n)', 'n', 'length'), /^error: 'length' would shadow the builtin/);
+		assert.strictEqual(rename('func f(n) { return n }\nc = length([])', 'n', 'length', 0), 'func f(length) { return length }\nc = length([])');
+	});
+
+	test('refuses keywords and invalid names', () => {
+		assert.match(rename('a = 1', 'a', 'rule'), /^error: 'rule' is a keyword/);
+		assert.match(rename('a = 1', 'a', '1a'), /^error: '1a' is not a valid identifier/);
+	});
+});
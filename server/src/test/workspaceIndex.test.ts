@@ -0,0 +1,44 @@
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { configFiles } from '../sentinelConfig';
+import { pathToUri } from '../util';
+import { addWorkspaceFolder, getIndexedFile, indexedFiles, removeWorkspaceFolder } from '../workspaceIndex';
+
+suite('workspace index', () => {
+	test('indexes the policies of a folder until it is removed', async () => {
+		const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sentinel-index-'));
+		try {
+			fs.mkdirSync(path.join(directory, 'policies'));
+			fs.writeFileSync(path.join(directory, 'policies', 'open.sentinel'), 'main = rule { true }\n');
+			fs.writeFileSync(path.join(directory, 'policies', 'closed.sentinel'), 'main = rule { true }\n');
+			const open = pathToUri(path.join(directory, 'policies', 'open.sentinel'));
+			const closed = pathToUri(path.join(directory, 'policies', 'closed.sentinel'));
+			await addWorkspaceFolder(pathToUri(directory), uri => uri === open);
+			assert.ok(getIndexedFile(closed));
+			assert.strictEqual(getIndexedFile(open), undefined);
+			removeWorkspaceFolder(pathToUri(directory));
+			assert.strictEqual(getIndexedFile(closed), undefined);
+		} finally {
+			fs.rmSync(directory, { recursive: true, force: true });
+		}
+	});
+
+	test('skips folders that are not on the local file system', async () => {
+		// The remote folder has the path of a local one, which must not be read.
+		const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sentinel-remote-'));
+		try {
+			fs.writeFileSync(path.join(directory, 'policy.sentinel'), 'main = rule { true }\n');
+			fs.writeFileSync(path.join(directory, 'sentinel.hcl'), 'policy "policy" {\n\tsource = "./policy.sentinel"\n}\n');
+			const files = [...indexedFiles()].length;
+			const configs = [...configFiles()].length;
+			await assert.doesNotReject(addWorkspaceFolder(`vscode-remote://ssh-remote+host${pathToUri(directory).slice('file://'.length)}`, () => false));
+			assert.strictEqual([...indexedFiles()].length, files);
+			assert.strictEqual([...configFiles()].length, configs);
+			assert.strictEqual(getIndexedFile(pathToUri(path.join(directory, 'policy.sentinel'))), undefined);
+		} finally {
+			fs.rmSync(directory, { recursive: true, force: true });
+		}
+	});
+});
@@ -0,0 +1,323 @@
+/**
+ * Type inference for policy expressions. Types flow from literals, the
+ * standard-library catalog and the Terraform import schemas through
+ * variables, quantifier bindings and operators. Whatever cannot be known
+ * without running the policy, such as the result of a user function or a
+ * variable assigned in several places, is left unknown (`undefined`) rather
+ * than guessed, so that consumers only act on types that are certain.
+ */
+import * as ast from './ast';
+import { Binding, SentinelSymbol } from './binder';
+import { ImportScope } from './imports';
+import {
+	CatalogFunction,
+	CatalogMember,
+	findBuiltin,
+	findImport,
+	findMember,
+	findObjectType
+} from './stdlib';
+import { SchemaNode, schemaOf } from './terraform';
+
+export interface SentinelType {
+	/**
+	 * `string`, `int`, `float`, `bool`, `null`, `undefined`, `list`, `map`,
+	 * `func`, or the name of a catalog object type such as `decimal`.
+	 */
+	name: string;
+	/** The elements of a list or the values of a map, when they all have one known type. */
+	element?: SentinelType;
+}
+
+const NUMBER_TYPES: ReadonlySet<string> = new Set(['int', 'float']);
+
+const COMPARISON_OPERATORS: ReadonlySet<string> = new Set(['<', '<=', '>', '>=']);
+
+const ARITHMETIC_OPERATORS: ReadonlySet<string> = new Set(['+', '-', '*', '/', '%']);
+
+const BOOLEAN_RESULTS: ReadonlySet<string> = new Set([
+	'and', 'or', 'xor', '==', '!=', '<', '<=', '>', '>=', 'is', 'is not',
+	'contains', 'not contains', 'in', 'not in', 'matches', 'not matches'
+]);
+
+/** Renders a type for display, e.g. `list(string)`. */
+export function formatType(type: SentinelType): string {
+	return type.element ? `${type.name}(${formatType(type.element)})` : type.name;
+}
+
+function sameType(a: SentinelType | undefined, b: SentinelType | undefined): boolean {
+	return !!a && !!b && formatType(a) === formatType(b);
+}
+
+/** The type all `types` share, if they are all known and equal. */
+function commonType(types: (SentinelType | undefined)[]): SentinelType | undefined {
+	return types.length > 0 && types.every(type => sameType(type, types[0])) ? types[0] : undefined;
+}
+
+/** Reads a catalog type such as `int` or `decimal`; `any` and unions are unknown. */
+export function catalogType(text: string): SentinelType | undefined {
+	return text === 'any' || text.includes('|') ? undefined : { name: text };
+}
+
+/** The type names a catalog parameter accepts, or `undefined` for `any`. */
+export function acceptedTypes(text: string): string[] | undefined {
+	return text === 'any' ? undefined : text.split('|').map(name => name.trim());
+}
+
+function memberType(member: CatalogMember): SentinelType | undefined {
+	return member.kind === 'function' ? { name: 'func' } : catalogType(member.type);
+}
+
+function schemaType(node: SchemaNode): SentinelType | undefined {
+	switch (node.type) {
+		case 'object':
+			return { name: 'map' };
+		case 'map':
+		case 'list': {
+			const element = node.elements && schemaType(node.elements);
+			return element ? { name: node.type, element } : { name: node.type };
+		}
+		case 'string':
+		case 'bool':
+			return { name: node.type };
+		default:
+			return undefined;
+	}
+}
+
+function arithmeticType(operator: string, left: SentinelType | undefined, right: SentinelType | undefined): SentinelType | undefined {
+	if (!left || !right) {
+		return undefined;
+	}
+	if (NUMBER_TYPES.has(left.name) && NUMBER_TYPES.has(right.name)) {
+		return left.name === 'float' || right.name === 'float' ? { name: 'float' } : { name: 'int' };
+	}
+	if (operator === '+' && left.name === right.name && (left.name === 'string' || left.name === 'list')) {
+		return sameType(left, right) ? left : { name: left.name };
+	}
+	return undefined;
+}
+
+/**
+ * Infers the types of the expressions of one document. Results are cached,
+ * so one instance should serve a single version of the document.
+ */
+export class TypeInference {
+	private readonly types: Map<ast.Node, SentinelType | undefined> = new Map();
+	private readonly pending: Set<ast.Node> = new Set();
+
+	/** `scope` tells standard imports apart from configured imports that reuse their names. */
+	constructor(private readonly binding: Binding, private readonly scope?: ImportScope) {}
+
+	typeOf(expression: ast.Expression): SentinelType | undefined {
+		if (this.types.has(expression)) {
+			return this.types.get(expression);
+		}
+		if (this.pending.has(expression)) {
+			// A variable whose value depends on itself.
+			return undefined;
+		}
+		this.pending.add(expression);
+		const type = this.infer(expression);
+		this.pending.delete(expression);
+		this.types.set(expression, type);
+		return type;
+	}
+
+	typeOfSymbol(symbol: SentinelSymbol): SentinelType | undefined {
+		const node = symbol.node;
+		switch (symbol.kind) {
+			case 'func':
+				return { name: 'func' };
+			case 'rule':
+				return node.type === 'Assignment' && node.value.type === 'RuleExpression' ? this.typeOf(node.value.body) : undefined;
+			case 'param':
+				return node.type === 'ParamDeclaration' && node.default ? this.typeOf(node.default) : undefined;
+			case 'variable':
+				// Only variables that are never reassigned have a single known type.
+				return node.type === 'Assignment' && node.operator === '=' && !symbol.references.some(r => this.binding.writes.has(r))
+					? this.typeOf(node.value)
+					: undefined;
+			case 'binding':
+				return this.typeOfBinding(symbol);
+			default:
+				return undefined;
+		}
+	}
+
+	/** The catalog function a callee denotes: a builtin, a member of a standard import or a method of a catalog object. */
+	functionOf(callee: ast.Expression): CatalogFunction | undefined {
+		if (callee.type === 'Identifier') {
+			return this.binding.builtins.includes(callee) ? findBuiltin(callee.name) : undefined;
+		}
+		const member = callee.type === 'MemberExpression' ? this.memberOf(callee) : undefined;
+		return member?.kind === 'function' ? member : undefined;
+	}
+
+	/** The standard import an identifier refers to, if any. */
+	private standardImport(expression: ast.Expression): string | undefined {
+		const symbol = expression.type === 'Identifier' ? this.binding.resolved.get(expression) : undefined;
+		if (symbol?.kind !== 'import' || symbol.node.type !== 'ImportDeclaration') {
+			return undefined;
+		}
+		const path = symbol.node.path.value;
+		const origin = this.scope?.imports.find(entry => entry.path === path)?.origin ?? 'stdlib';
+		return origin === 'stdlib' && findImport(path) ? path : undefined;
+	}
+
+	/** The catalog member `object.name` denotes, on a standard import or a catalog object. */
+	private memberOf(expression: ast.MemberExpression): CatalogMember | undefined {
+		const path = this.standardImport(expression.object);
+		if (path) {
+			return findMember(findImport(path)?.members ?? [], expression.property.name);
+		}
+		const type = this.typeOf(expression.object);
+		const objectType = type && findObjectType(type.name);
+		return objectType && findMember(objectType.members, expression.property.name);
+	}
+
+	/** The value bound by `as`: elements and indexes of lists, values and keys of maps. */
+	private typeOfBinding(symbol: SentinelSymbol): SentinelType | undefined {
+		const node = symbol.node;
+		if (node.type !== 'QuantifierExpression' && node.type !== 'ComprehensionExpression' && node.type !== 'ForStatement') {
+			return undefined;
+		}
+		const collection = this.typeOf(node.collection);
+		const isKey = node.key === symbol.declaration;
+		if (collection?.name === 'list') {
+			return isKey ? { name: 'int' } : collection.element;
+		}
+		if (collection?.name === 'map') {
+			// A single binding over a map binds its keys.
+			return isKey || !node.key ? undefined : collection.element;
+		}
+		return undefined;
+	}
+
+	private infer(expression: ast.Expression): SentinelType | undefined {
+		switch (expression.type) {
+			case 'NumberLiteral':
+				return { name: expression.isFloat ? 'float' : 'int' };
+			case 'StringLiteral':
+				return { name: 'string' };
+			case 'BooleanLiteral':
+				return { name: 'bool' };
+			case 'NullLiteral':
+				return { name: 'null' };
+			case 'UndefinedLiteral':
+				return { name: 'undefined' };
+			case 'ListLiteral': {
+				const element = commonType(expression.elements.map(element => this.typeOf(element)));
+				return element ? { name: 'list', element } : { name: 'list' };
+			}
+			case 'MapLiteral': {
+				const element = commonType(expression.entries.map(entry => this.typeOf(entry.value)));
+				return element ? { name: 'map', element } : { name: 'map' };
+			}
+			case 'FuncExpression':
+				return { name: 'func' };
+			case 'ParenthesizedExpression':
+				return this.typeOf(expression.expression);
+			case 'RuleExpression':
+				return this.typeOf(expression.body);
+			case 'UnaryExpression': {
+				if (expression.operator === 'not' || expression.operator === '!') {
+					return { name: 'bool' };
+				}
+				const argument = this.typeOf(expression.argument);
+				return argument && NUMBER_TYPES.has(argument.name) ? argument : undefined;
+			}
+			case 'BinaryExpression': {
+				if (BOOLEAN_RESULTS.has(expression.operator)) {
+					return { name: 'bool' };
+				}
+				if (expression.operator === 'else') {
+					const left = this.typeOf(expression.left);
+					return sameType(left, this.typeOf(expression.right)) ? left : undefined;
+				}
+				return arithmeticType(expression.operator, this.typeOf(expression.left), this.typeOf(expression.right));
+			}
+			case 'Identifier': {
+				const symbol = this.binding.resolved.get(expression);
+				return symbol && this.typeOfSymbol(symbol);
+			}
+			case 'MemberExpression': {
+				const schema = schemaOf(this.binding, expression);
+				if (schema) {
+					return schemaType(schema);
+				}
+				const member = this.memberOf(expression);
+				if (member) {
+					return memberType(member);
+				}
+				// Fields of maps read their values.
+				const object = this.typeOf(expression.object);
+				return object?.name === 'map' ? object.element : undefined;
+			}
+			case 'IndexExpression': {
+				const schema = schemaOf(this.binding, expression);
+				if (schema) {
+					return schemaType(schema);
+				}
+				const object = this.typeOf(expression.object);
+				return object?.name === 'string' ? object : object?.element;
+			}
+			case 'SliceExpression': {
+				const object = this.typeOf(expression.object);
+				return object?.name === 'string' || object?.name === 'list' ? object : undefined;
+			}
+			case 'CallExpression': {
+				const callee = this.functionOf(expression.callee);
+				return callee && catalogType(callee.returns);
+			}
+			case 'QuantifierExpression': {
+				if (expression.quantifier === 'all' || expression.quantifier === 'any') {
+					return { name: 'bool' };
+				}
+				if (expression.quantifier === 'filter') {
+					return this.typeOf(expression.collection);
+				}
+				const element = this.typeOf(expression.body);
+				return element ? { name: 'list', element } : { name: 'list' };
+			}
+			case 'ComprehensionExpression': {
+				const element = this.typeOf(expression.kind === 'map' && expression.elementValue ? expression.elementValue : expression.element);
+				return element ? { name: expression.kind, element } : { name: expression.kind };
+			}
+			default:
+				return undefined;
+		}
+	}
+}
+
+/**
+ * Describes why `type` cannot be used where `accepted` types are expected, or
+ * returns `undefined` when it can. Ints and floats are interchangeable and
+ * `undefined` is accepted everywhere, as Sentinel propagates it.
+ */
+export function typeMismatch(type: SentinelType | undefined, accepted: string[] | undefined): string | undefined {
+	if (!type || !accepted || type.name === 'undefined' || accepted.includes(type.name)) {
+		return undefined;
+	}
+	if (NUMBER_TYPES.has(type.name) && accepted.some(name => NUMBER_TYPES.has(name))) {
+		return undefined;
+	}
+	return `expected ${accepted.join(' or ')}, got ${formatType(type)}`;
+}
+
+/** Describes why the operands of a comparison or arithmetic operator do not fit together, if they certainly do not. */
+export function operandMismatch(operator: string, left: SentinelType | undefined, right: SentinelType | undefined): string | undefined {
+	if (!left || !right || left.name === 'undefined' || right.name === 'undefined') {
+		return undefined;
+	}
+	if (COMPARISON_OPERATORS.has(operator)) {
+		const comparable = (NUMBER_TYPES.has(left.name) && NUMBER_TYPES.has(right.name))
+			|| (left.name === 'string' && right.name === 'string');
+		return comparable ? undefined : `Cannot compare ${formatType(left)} with ${formatType(right)} using '${operator}'.`;
+	}
+	if (ARITHMETIC_OPERATORS.has(operator) && !arithmeticType(operator, left, right)) {
+		const known = (type: SentinelType) => NUMBER_TYPES.has(type.name) || ['string', 'list', 'map', 'bool', 'null'].includes(type.name);
+		return known(left) && known(right) ? `Cannot apply '${operator}' to ${formatType(left)} and ${formatType(right)}.` : undefined;
+	}
+	return undefined;
+}
@@ -0,0 +1,19 @@
+import { fileURLToPath, pathToFileURL } from 'url';
+import { Range } from 'vscode-languageserver/node';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import { Span } from './ast';
+
+export function toRange(document: TextDocument, span: Span): Range {
+	return {
+		start: document.positionAt(span.start),
+		end: document.positionAt(span.end)
+	};
+}
+
+export function uriToPath(uri: string): string {
+	return fileURLToPath(uri);
+}
+
+export function pathToUri(fsPath: string): string {
+	return pathToFileURL(fsPath).href;
+}
@@ -0,0 +1,169 @@
+/**
+ * Index of every `.sentinel` file in the workspace folders, including files
+ * that are not open in the editor.
+ *
+ * Files are parsed once when a folder is added and then kept up to date from
+ * document change and file watcher events, so queries never touch the disk.
+ */
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { SymbolInformation, SymbolKind } from 'vscode-languageserver/node';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import { Binding, bind } from './binder';
+import { outlineSymbols } from './documentSymbols';
+import { ParseResult, parse } from './parser';
+import { CONFIG_FILE_NAME, configFiles, loadConfigFromDisk, removeConfig } from './sentinelConfig';
+import { pathToUri, uriToPath } from './util';
+
+export interface IndexedFile {
+	uri: string;
+	document: TextDocument;
+	parsed: ParseResult;
+	binding: Binding;
+	symbols: SymbolInformation[];
+}
+
+const IGNORED_DIRECTORIES: ReadonlySet<string> = new Set(['.git', 'node_modules', '.terraform']);
+
+const folders: Set<string> = new Set();
+const files: Map<string, IndexedFile> = new Map();
+
+export function isSentinelFile(uri: string): boolean {
+	return uri.endsWith('.sentinel');
+}
+
+function workspaceSymbols(document: TextDocument, binding: Binding): SymbolInformation[] {
+	const container = path.posix.basename(document.uri);
+	return outlineSymbols(document, binding)
+		.filter(symbol => symbol.kind !== SymbolKind.Module)
+		.map(symbol => SymbolInformation.create(symbol.name, symbol.kind, symbol.selectionRange, document.uri, container));
+}
+
+/** Indexes (or re-indexes) a file from its current contents. */
+export function indexText(uri: string, text: string, version = 0): IndexedFile {
+	const document = TextDocument.create(uri, 'sentinel', version, text);
+	const parsed = parse(text);
+	const binding = bind(parsed.program);
+	const file: IndexedFile = { uri, document, parsed, binding, symbols: workspaceSymbols(document, binding) };
+	files.set(uri, file);
+	return file;
+}
+
+/**
+ * Re-reads a file from disk and indexes it; drops it from the index if it no
+ * longer exists. Each read gets a new version, so that parses cached for the
+ * previous contents are not reused.
+ */
+export async function indexFromDisk(uri: string): Promise<IndexedFile | undefined> {
+	try {
+		const text = await fs.readFile(uriToPath(uri), 'utf8');
+		return indexText(uri, text, (files.get(uri)?.document.version ?? 0) + 1);
+	} catch {
+		files.delete(uri);
+		return undefined;
+	}
+}
+
+export function removeFromIndex(uri: string): void {
+	files.delete(uri);
+}
+
+export function getIndexedFile(uri: string): IndexedFile | undefined {
+	return files.get(uri);
+}
+
+export function indexedFiles(): IterableIterator<IndexedFile> {
+	return files.values();
+}
+
+async function findWorkspaceFiles(directory: string, policies: string[], configs: string[]): Promise<void> {
+	let entries;
+	try {
+		entries = await fs.readdir(directory, { withFileTypes: true });
+	} catch {
+		return;
+	}
+	for (const entry of entries) {
+		const fullPath = path.join(directory, entry.name);
+		if (entry.isDirectory()) {
+			if (!IGNORED_DIRECTORIES.has(entry.name)) {
+				await findWorkspaceFiles(fullPath, policies, configs);
+			}
+		} else if (entry.isFile() && entry.name.endsWith('.sentinel')) {
+			policies.push(fullPath);
+		} else if (entry.isFile() && entry.name === CONFIG_FILE_NAME) {
+			configs.push(fullPath);
+		}
+	}
+}
+
+/**
+ * Indexes every `.sentinel` file and loads every `sentinel.hcl` below a
+ * workspace folder. Files for which `isOpen` returns true are skipped; their
+ * contents come from the editor.
+ */
+export async function addWorkspaceFolder(folderUri: string, isOpen: (uri: string) => boolean): Promise<void> {
+	// Folders on remote or virtual file systems cannot be read from disk.
+	if (!folderUri.startsWith('file:')) {
+		return;
+	}
+	folders.add(folderUri);
+	const policies: string[] = [];
+	const configs: string[] = [];
+	await findWorkspaceFiles(uriToPath(folderUri), policies, configs);
+	for (const fsPath of configs) {
+		const uri = pathToUri(fsPath);
+		if (!isOpen(uri)) {
+			await loadConfigFromDisk(uri);
+		}
+	}
+	for (const fsPath of policies) {
+		const uri = pathToUri(fsPath);
+		if (!isOpen(uri)) {
+			await indexFromDisk(uri);
+		}
+	}
+}
+
+export function removeWorkspaceFolder(folderUri: string): void {
+	folders.delete(folderUri);
+	const prefix = folderUri.endsWith('/') ? folderUri : `${folderUri}/`;
+	const isRemoved = (uri: string) =>
+		uri.startsWith(prefix) && ![...folders].some(folder => uri.startsWith(folder.endsWith('/') ? folder : `${folder}/`));
+	for (const uri of [...files.keys()]) {
+		if (isRemoved(uri)) {
+			files.delete(uri);
+		}
+	}
+	for (const config of [...configFiles()]) {
+		if (isRemoved(config.uri)) {
+			removeConfig(config.uri);
+		}
+	}
+}
+
+/** Case-insensitive subsequence match, so `atag` finds `all_resources_tagged`. */
+function matches(query: string, name: string): boolean {
+	const lowerName = name.toLowerCase();
+	let i = 0;
+	for (const ch of query.toLowerCase()) {
+		i = lowerName.indexOf(ch, i);
+		if (i === -1) {
+			return false;
+		}
+		i++;
+	}
+	return true;
+}
+
+export function queryWorkspaceSymbols(query: string): SymbolInformation[] {
+	const result: SymbolInformation[] = [];
+	for (const file of files.values()) {
+		for (const symbol of file.symbols) {
+			if (matches(query, symbol.name)) {
+				result.push(symbol);
+			}
+		}
+	}
+	return result;
+}